@@ -0,0 +1,86 @@
+/**
+ * A1 NOTATION
+ * ===========
+ * Parsing and formatting of Sheets ranges such as "'Text Ads data'!A2:E100",
+ * shared by the local storage backends and the mock Sheets API server.
+ */
+
+function columnToIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) index = index * 26 + (ch.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+function indexToColumn(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function quoteSheetName(title) {
+    return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parse "'Tab name'!A2:C10", "Tab!B5:B", "Tab!A1", "Tab!2:100" or "Tab" into
+ * { sheetName, startRow, endRow, startCol, endCol } (1-based rows, 0-based columns;
+ * null end = open-ended)
+ */
+function parseA1Range(range) {
+    const text = String(range || '').trim();
+    let sheetName;
+    let cells = '';
+
+    if (text.startsWith("'")) {
+        const match = text.match(/^'((?:[^']|'')*)'(?:!(.*))?$/);
+        if (!match) throw new Error(`Unable to parse range: ${range}`);
+        sheetName = match[1].replace(/''/g, "'");
+        cells = match[2] || '';
+    } else {
+        const bang = text.indexOf('!');
+        sheetName = bang === -1 ? text : text.slice(0, bang);
+        cells = bang === -1 ? '' : text.slice(bang + 1);
+    }
+
+    if (!sheetName) throw new Error(`Unable to parse range: ${range}`);
+    if (!cells) return { sheetName, startRow: 1, endRow: null, startCol: 0, endCol: null };
+
+    const match = cells.toUpperCase().match(/^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/);
+    if (!match || (!match[1] && !match[2])) throw new Error(`Unable to parse range: ${range}`);
+    const [, startLetters, startDigits, endLetters, endDigits] = match;
+    const single = match[3] === undefined;
+
+    return {
+        sheetName,
+        startRow: startDigits ? parseInt(startDigits) : 1,
+        endRow: single ? (startDigits ? parseInt(startDigits) : null) : (endDigits ? parseInt(endDigits) : null),
+        startCol: startLetters ? columnToIndex(startLetters) : 0,
+        endCol: single ? (startLetters ? columnToIndex(startLetters) : null) : (endLetters ? columnToIndex(endLetters) : null)
+    };
+}
+
+function formatA1Range(sheetName, startRow, endRow, startCol, endCol) {
+    return `${quoteSheetName(sheetName)}!${indexToColumn(startCol)}${startRow}:${indexToColumn(endCol)}${endRow}`;
+}
+
+// Drop trailing empty cells per row and trailing empty rows, as values.get does
+function trimValues(values) {
+    const trimmed = values.map(row => {
+        const copy = [...row];
+        while (copy.length > 0 && copy[copy.length - 1] === '') copy.pop();
+        return copy;
+    });
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+    return trimmed;
+}
+
+module.exports = {
+    columnToIndex,
+    indexToColumn,
+    quoteSheetName,
+    parseA1Range,
+    formatA1Range,
+    trimValues
+};
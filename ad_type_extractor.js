@@ -0,0 +1,255 @@
+/**
+ * CONFIG-DRIVEN AD TYPE EXTRACTOR
+ * ===============================
+ * Reads ad_types_config.json and extracts app data using the selectors and
+ * regex patterns of whichever ad type is detected in a frame.
+ * A Transparency Center class rename is fixed by editing the JSON, not code.
+ *
+ * Per ad type the config provides:
+ *   detection.selectors      Any visible match means the frame shows this ad type
+ *   hover_target.selectors   Element hovered first (when hover_required) so the
+ *                            ad renders the data for the highlighted creative
+ *   extraction.app_name      Selectors for the app name
+ *   extraction.app_headline  Selectors for the headline
+ *   extraction.package_name  Regex patterns run over the frame HTML
+ *   extraction.image_url     Creative <img> selectors + required URL fragment (image ads)
+ *   extraction.store_link    URL template with a {package_name} placeholder
+ *
+ * Ad types are tried in the order they appear in the config file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { choosePackage } = require('./extraction_helpers');
+const { isSdkPackage } = require('./sdk_prefixes');
+
+const AD_TYPES_CONFIG_PATH = process.env.AD_TYPES_CONFIG || path.join(__dirname, 'ad_types_config.json');
+
+const MAX_PACKAGE_CANDIDATES = 50; // Package-shaped matches collected per frame
+
+function loadAdTypesConfig(configPath = AD_TYPES_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    for (const [type, def] of Object.entries(config)) {
+        if (!def?.detection?.selectors?.length || !def?.extraction) {
+            throw new Error(`Ad type "${type}" in ${configPath} needs detection.selectors and extraction`);
+        }
+    }
+    return config;
+}
+
+/**
+ * Selector lists used by the DOM fallback in extractAllInOneVisit
+ * (always taken from the text_ad section, which the fallback was built for)
+ */
+function getDomFallbackSelectors(config) {
+    const extraction = config.text_ad?.extraction || {};
+    return {
+        appNameContainers: extraction.app_name?.fallback?.container_selectors || [],
+        appNameLinks: extraction.app_name?.fallback?.link_selectors || [],
+        appNameText: extraction.app_name?.fallback?.text_selectors || [],
+        headline: extraction.app_headline?.fallback?.selectors || [],
+        install: extraction.store_link?.fallback?.install_selectors || []
+    };
+}
+
+function buildStoreLink(def, packageName) {
+    if (!packageName) return null;
+    const template = def.extraction.store_link?.construction || 'https://play.google.com/store/apps/details?id={package_name}';
+    return template.replace('{package_name}', packageName);
+}
+
+/**
+ * Find the first ad type whose detection selectors match a visible element in this frame
+ */
+async function detectAdType(frame, config) {
+    return await frame.evaluate((types) => {
+        const isVisible = (el) => {
+            const style = window.getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+        };
+
+        for (const [type, selectors] of types) {
+            for (const selector of selectors) {
+                try {
+                    if (Array.from(document.querySelectorAll(selector)).some(isVisible)) return { type, selector };
+                } catch (e) { /* Invalid selector in config */ }
+            }
+        }
+        return null;
+    }, Object.entries(config).map(([type, def]) => [type, def.detection.selectors]));
+}
+
+/**
+ * Hover the first visible hover target of the ad type (if the type needs it)
+ */
+async function hoverAdTarget(frame, def) {
+    if (!def.hover_required) return false;
+
+    for (const selector of def.hover_target?.selectors || []) {
+        try {
+            const handles = await frame.$$(selector);
+            for (const handle of handles) {
+                const box = await handle.boundingBox();
+                if (!box || box.width === 0 || box.height === 0) continue;
+                await handle.hover();
+                await new Promise(r => setTimeout(r, 500));
+                return true;
+            }
+        } catch (e) { /* Try next selector */ }
+    }
+    return false;
+}
+
+/**
+ * Apply the ad type's extraction selectors and package patterns inside the frame
+ */
+async function extractAdTypeFields(frame, def, advertiserName) {
+    return await frame.evaluate((extraction, blacklistName, maxCandidates) => {
+        const root = document.querySelector('#portrait-landscape-phone') || document.body;
+        const clean = t => (t || '').replace(/[\u200B-\u200D\uFEFF\u2066-\u2069\u00AD]/g, '').replace(/\s+/g, ' ').trim();
+        const buttonText = ['install', 'open', 'get', 'download', 'google play', 'app store'];
+
+        const isVisible = (el) => {
+            const style = window.getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+        };
+
+        // First visible element with usable text for any of the selectors
+        const firstText = (selectors, exclude) => {
+            for (const selector of selectors || []) {
+                let elements = [];
+                try { elements = root.querySelectorAll(selector); } catch (e) { continue; }
+                for (const el of elements) {
+                    if (!isVisible(el)) continue;
+                    const text = clean(el.innerText || el.textContent);
+                    if (text.length < 2 || text.length > 200) continue;
+                    const lower = text.toLowerCase();
+                    if (buttonText.includes(lower) || lower === blacklistName || exclude.includes(text)) continue;
+                    return text;
+                }
+            }
+            return null;
+        };
+
+        const appHeadline = firstText(extraction.app_headline?.selectors, []);
+        const appName = firstText(extraction.app_name?.selectors, appHeadline ? [appHeadline] : []);
+
+        // Package candidates in pattern order: capture groups shaped like a package, then
+        // the whole match (known SDKs are dropped node-side, see sdk_prefixes.js)
+        const packageShape = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z0-9_]+)+$/;
+        const html = document.documentElement.innerHTML || '';
+        const packageCandidates = [];
+        for (const source of extraction.package_name?.patterns || []) {
+            let regex;
+            try { regex = new RegExp(source, 'g'); } catch (e) { continue; }
+            let match;
+            while (packageCandidates.length < maxCandidates && (match = regex.exec(html)) !== null) {
+                for (const c of [...match.slice(1), match[0]]) {
+                    if (c && packageShape.test(c) && !packageCandidates.includes(c)) packageCandidates.push(c);
+                }
+                if (match[0].length === 0) regex.lastIndex++;
+            }
+        }
+
+        // Creative image (image ads): prefer a visible <img>, since only one of the
+        // landscape/portrait views is shown; blocked image loads still keep their src
+        let imageUrl = null;
+        let orientation = null;
+        const imageDef = extraction.image_url;
+        if (imageDef) {
+            const images = [];
+            for (const selector of imageDef.selectors || []) {
+                try { images.push(...root.querySelectorAll(selector)); } catch (e) { /* Invalid selector in config */ }
+            }
+            const withSrc = images.filter(el => {
+                const src = el.currentSrc || el.getAttribute('src') || '';
+                return src && (!imageDef.pattern || src.includes(imageDef.pattern));
+            });
+            const image = withSrc.find(isVisible) || withSrc[0];
+            if (image) {
+                imageUrl = image.currentSrc || image.src;
+                const container = image.closest('[id*="-view"], [class*="-view"]');
+                const marker = `${image.id} ${image.className} ${container ? container.id + ' ' + container.className : ''}`.toLowerCase();
+                if (marker.includes('portrait')) orientation = 'portrait';
+                else if (marker.includes('landscape')) orientation = 'landscape';
+                else {
+                    const rect = image.getBoundingClientRect();
+                    orientation = rect.width >= rect.height ? 'landscape' : 'portrait';
+                }
+            }
+        }
+
+        return { appName, appHeadline, packageCandidates, imageUrl, orientation };
+    }, def.extraction, (advertiserName || '').toLowerCase(), MAX_PACKAGE_CANDIDATES);
+}
+
+/**
+ * Detect the ad type in each frame and extract with that type's config
+ * Returns NOT_FOUND for anything the config could not locate; a package that fails
+ * validation (choosePackage) is dropped and listed in rejectedPackages
+ */
+async function extractWithAdTypeConfig(page, config, advertiserName = '') {
+    const result = {
+        adType: 'NOT_FOUND',
+        appName: 'NOT_FOUND',
+        storeLink: 'NOT_FOUND',
+        appSubtitle: 'NOT_FOUND',
+        packageName: null,
+        rejectedPackages: [],
+        imageUrl: null,
+        imageOrientation: null
+    };
+
+    for (const frame of page.frames()) {
+        try {
+            const detected = await detectAdType(frame, config);
+            if (!detected) continue;
+
+            const def = config[detected.type];
+            console.log(`  🧩 Ad type: ${detected.type} (matched ${detected.selector})`);
+            result.adType = detected.type;
+
+            if (await hoverAdTarget(frame, def)) {
+                console.log(`  🖱️ Hovered ${detected.type} target`);
+            }
+
+            const fields = await extractAdTypeFields(frame, def, advertiserName);
+            if (fields.appName) result.appName = fields.appName;
+            if (fields.appHeadline) result.appSubtitle = fields.appHeadline;
+            // Candidates that are not known SDKs; choosePackage picks the app's among them
+            const packages = fields.packageCandidates.filter(c => !isSdkPackage(c));
+            const pick = packages.length > 0 ? choosePackage(packages, { appName: fields.appName, advertiserName }) : null;
+            if (pick && !pick.packageName) {
+                console.log(`  ⚠️ Rejected packages ${pick.rejected.map(c => `${c.packageName} (${c.reasons.join(', ')})`).join(', ')}`);
+            }
+            result.rejectedPackages = pick ? pick.rejected : [];
+            const packageName = pick ? pick.packageName : null;
+            const storeLink = buildStoreLink(def, packageName);
+            if (storeLink) result.storeLink = storeLink;
+            result.packageName = packageName;
+            if (fields.imageUrl) {
+                result.imageUrl = fields.imageUrl;
+                result.imageOrientation = fields.orientation;
+                console.log(`  🖼️ Creative image (${fields.orientation}): ${fields.imageUrl.substring(0, 60)}...`);
+            }
+
+            if (result.appName !== 'NOT_FOUND' || result.storeLink !== 'NOT_FOUND') {
+                console.log(`  ✓ Config extraction (${detected.type}): ${result.appName} -> ${result.storeLink}`);
+                break;
+            }
+        } catch (e) { /* frame not accessible */ }
+    }
+
+    return result;
+}
+
+module.exports = {
+    AD_TYPES_CONFIG_PATH,
+    loadAdTypesConfig,
+    getDomFallbackSelectors,
+    detectAdType,
+    extractWithAdTypeConfig
+};
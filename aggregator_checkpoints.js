@@ -0,0 +1,110 @@
+/**
+ * AGGREGATOR CHECKPOINTS
+ * ======================
+ * Lets data_aggregator.js read only the source rows added since its last run. For
+ * every source tab a local SQLite file keeps the last data row read and a hash of
+ * the tail rows (A:B of the last TAIL_ROWS rows up to it):
+ *
+ *   checkpoints (spreadsheet_id, tab, last_row, tail_hash, updated_at)
+ *
+ * The master tab has no checkpoint: its dedupe keys are read from column B on every
+ * run, so they always match the sheet.
+ * On the next run the tail is read again; if it still hashes the same, reading
+ * resumes at last_row + 1. A different hash (rows deleted, inserted or re-sorted
+ * above the checkpoint) or a missing tail means the checkpoint is invalid and the
+ * tab is scanned in full. AGGREGATOR_FULL_SCAN=1 ignores every checkpoint.
+ * A checkpoint only moves forward when every batch of the run was read, and only
+ * once the run's new rows are in the master sheet: stage() holds it in memory and
+ * commit() (after the master append) writes it.
+ */
+
+const crypto = require('crypto');
+const { openDatabase, saveDatabase, queryOne, inTransaction } = require('./sqlite_db');
+
+const CHECKPOINT_PATH = process.env.AGGREGATOR_CHECKPOINT_PATH || './aggregator_checkpoints.sqlite';
+const FULL_SCAN = process.env.AGGREGATOR_FULL_SCAN === '1';
+const TAIL_ROWS = 5;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS checkpoints (
+        spreadsheet_id TEXT NOT NULL,
+        tab TEXT NOT NULL,
+        last_row INTEGER NOT NULL,
+        tail_hash TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (spreadsheet_id, tab)
+    );
+    -- Master dedupe keys of earlier versions (now read from column B on every run)
+    DROP TABLE IF EXISTS row_keys;
+`;
+
+// Hash of the A:B cells of the tail rows (whitespace-trimmed, so re-saving a sheet doesn't invalidate it)
+function tailHash(rows) {
+    const cells = rows.map(row => [String(row[0] ?? '').trim(), String(row[1] ?? '').trim()]);
+    return crypto.createHash('sha256').update(JSON.stringify(cells)).digest('hex');
+}
+
+// First row of the tail that ends at lastRow (never the header)
+const tailStart = (lastRow) => Math.max(2, lastRow - TAIL_ROWS + 1);
+
+/**
+ * Open the checkpoint file
+ * Returns { resumeRow, stage, commit, close }
+ */
+async function openCheckpoints({ filePath = CHECKPOINT_PATH, fullScan = FULL_SCAN } = {}) {
+    const db = await openDatabase(filePath);
+    db.exec(SCHEMA);
+    const staged = new Map(); // "<spreadsheetId>\t<tab>" -> { spreadsheetId, tab, lastRow, hash }
+
+    return {
+        /**
+         * Row to start reading a tab at: last_row + 1 when the checkpoint's tail still
+         * matches, 2 (full scan) otherwise
+         * Returns { startRow, reason } (reason says why a full scan is needed, '' when resuming)
+         */
+        async resumeRow(storage, spreadsheetId, tab, escapedTab) {
+            if (fullScan) return { startRow: 2, reason: 'AGGREGATOR_FULL_SCAN=1' };
+            const checkpoint = queryOne(db, 'SELECT last_row, tail_hash FROM checkpoints WHERE spreadsheet_id = ? AND tab = ?', [spreadsheetId, tab]);
+            if (!checkpoint) return { startRow: 2, reason: 'no checkpoint' };
+
+            const from = tailStart(checkpoint.last_row);
+            const tail = await storage.getValues(spreadsheetId, `${escapedTab}!A${from}:B${checkpoint.last_row}`);
+            if (tail.length !== checkpoint.last_row - from + 1) return { startRow: 2, reason: `rows up to ${checkpoint.last_row} are gone` };
+            if (tailHash(tail) !== checkpoint.tail_hash) return { startRow: 2, reason: `rows ${from}-${checkpoint.last_row} changed` };
+            return { startRow: checkpoint.last_row + 1, reason: '' };
+        },
+
+        // Hold lastRow (the last data row read) with the hash of its tail until commit()
+        async stage(storage, spreadsheetId, tab, escapedTab, lastRow) {
+            const tail = await storage.getValues(spreadsheetId, `${escapedTab}!A${tailStart(lastRow)}:B${lastRow}`);
+            staged.set(`${spreadsheetId}\t${tab}`, { spreadsheetId, tab, lastRow, hash: tailHash(tail) });
+        },
+
+        // Write the staged checkpoints (call once the rows read before them are safely stored)
+        commit() {
+            const updatedAt = new Date().toISOString();
+            inTransaction(db, () => {
+                for (const { spreadsheetId, tab, lastRow, hash } of staged.values()) {
+                    db.run(`INSERT INTO checkpoints (spreadsheet_id, tab, last_row, tail_hash, updated_at) VALUES (?, ?, ?, ?, ?)
+                            ON CONFLICT (spreadsheet_id, tab) DO UPDATE SET
+                                last_row = excluded.last_row, tail_hash = excluded.tail_hash, updated_at = excluded.updated_at`,
+                        [spreadsheetId, tab, lastRow, hash, updatedAt]);
+                }
+            });
+            staged.clear();
+            saveDatabase(db, filePath);
+        },
+
+        // Checkpoints still staged are dropped
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    CHECKPOINT_PATH,
+    TAIL_ROWS,
+    tailHash,
+    openCheckpoints
+};
@@ -0,0 +1,133 @@
+/**
+ * BACKFILL PROVENANCE
+ * ===================
+ * One-off migration for master rows added before the aggregator wrote Source Sheet
+ * (F) and Date Added (G). Cells that already hold a value are never touched.
+ *
+ *   F  Name of the source sheet whose tabs contain the row's Ads URL (matched on the
+ *      same creative key as the aggregator's dedupe). Left empty when no source, or
+ *      more than one, contains it.
+ *   G  Left empty: nothing in the sheet records when an older row was added (Last
+ *      Attempt is when the agent last processed it, which can be much later).
+ *      Readers fall back to Last Attempt for rows without a Date Added (rollups.js).
+ *
+ *   node backfill_provenance.js --dry-run   Count (and list) the cells it would fill
+ *   node backfill_provenance.js             Fill them
+ */
+
+const { createStorage } = require('./storage');
+const { quoteSheetName } = require('./a1_notation');
+const { COLUMN, LAST_COLUMN, fieldsFromRow } = require('./sheet_columns');
+const { MASTER_SHEET_ID, MASTER_SHEET_NAME, loadSourceSheets, sourceTabNames, createRowKey } = require('./data_aggregator');
+
+const READ_BATCH_SIZE = 50000;
+const WRITE_BATCH_SIZE = 500; // Cells per batchUpdate request
+
+// Rows of a tab from row 2 in batches: calls visit(row, rowNumber) for each
+async function forEachRow(storage, spreadsheetId, tabName, firstColumn, lastColumn, visit) {
+    const totalRows = await storage.getRowCount(spreadsheetId, tabName);
+    for (let startRow = 2; startRow <= totalRows; startRow += READ_BATCH_SIZE) {
+        const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
+        const values = await storage.getValues(spreadsheetId, `${quoteSheetName(tabName)}!${firstColumn}${startRow}:${lastColumn}${endRow}`);
+        if (values.length === 0) break;
+        values.forEach((row, i) => visit(row, startRow + i));
+    }
+}
+
+/**
+ * Ads URL key -> names of the source sheets containing it
+ * Tabs that cannot be read are reported and left out
+ */
+async function indexSourceKeys(storage, sourceSheets) {
+    const index = new Map();
+    for (const sheetConfig of sourceSheets) {
+        for (const tabName of sourceTabNames(sheetConfig)) {
+            try {
+                await forEachRow(storage, sheetConfig.id, tabName, 'B', 'B', ([adsUrl]) => {
+                    if (!adsUrl) return;
+                    const key = createRowKey(adsUrl);
+                    if (!index.has(key)) index.set(key, new Set());
+                    index.get(key).add(sheetConfig.name);
+                });
+            } catch (error) {
+                console.error(`   ❌ ${sheetConfig.name} / ${tabName}: ${error.message}`);
+            }
+        }
+    }
+    return index;
+}
+
+/**
+ * Source Sheet to fill for one master row
+ * Returns { value } ('' when F is kept or stays empty) and the reason it stays
+ * empty ('ambiguous' / 'unknown' / '')
+ */
+function planRowBackfill(fields, sourceIndex) {
+    if (fields.sourceSheet) return { value: '', unresolved: '' };
+    const sources = sourceIndex.get(createRowKey(fields.adsUrl)) || new Set();
+    if (sources.size === 1) return { value: [...sources][0], unresolved: '' };
+    return { value: '', unresolved: sources.size > 1 ? 'ambiguous' : 'unknown' };
+}
+
+/**
+ * Fill F of the master rows; returns { sourceSheets, ambiguous, unknown }
+ * (count of cells filled, or that would be in a dry run, and of rows left without a source)
+ */
+async function backfillProvenance(storage, sourceSheets, { dryRun = false } = {}) {
+    console.log(`\n🏷️  Backfilling Source Sheet${dryRun ? ' (dry run, nothing is written)' : ''}...`);
+    const sourceIndex = await indexSourceKeys(storage, sourceSheets);
+    console.log(`   ${sourceIndex.size} Ads URLs in ${sourceSheets.length} source sheets`);
+
+    const quoted = quoteSheetName(MASTER_SHEET_NAME);
+    const stats = { sourceSheets: 0, ambiguous: 0, unknown: 0 };
+    const data = [];
+    await forEachRow(storage, MASTER_SHEET_ID, MASTER_SHEET_NAME, 'A', LAST_COLUMN, (row, rowNumber) => {
+        const fields = fieldsFromRow(row);
+        if (!fields.adsUrl) return;
+
+        const { value, unresolved } = planRowBackfill(fields, sourceIndex);
+        if (unresolved) stats[unresolved]++;
+        if (!value) return;
+        stats.sourceSheets++;
+        data.push({ range: `${quoted}!${COLUMN.sourceSheet}${rowNumber}`, values: [[value]] });
+        if (dryRun) console.log(`      ${COLUMN.sourceSheet}${rowNumber}: "${value}"`);
+    });
+
+    if (!dryRun) {
+        for (let i = 0; i < data.length; i += WRITE_BATCH_SIZE) {
+            await storage.batchUpdateValues(MASTER_SHEET_ID, data.slice(i, i + WRITE_BATCH_SIZE));
+        }
+    }
+
+    console.log(`   ✅ ${stats.sourceSheets} Source Sheet cells ${dryRun ? 'would be filled' : 'filled'}`);
+    console.log(`   ⚠️ Source left empty: ${stats.ambiguous} rows found in several sources, ${stats.unknown} in none`);
+    return stats;
+}
+
+module.exports = {
+    indexSourceKeys,
+    planRowBackfill,
+    backfillProvenance
+};
+
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    (async () => {
+        const sourceSheets = loadSourceSheets();
+        if (sourceSheets.length === 0) {
+            console.error('❌ No source sheets configured. Please update source_sheets.json');
+            process.exit(1);
+        }
+
+        const storage = await createStorage();
+        try {
+            await backfillProvenance(storage, sourceSheets, { dryRun });
+        } finally {
+            await storage.close();
+        }
+    })().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
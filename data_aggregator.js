@@ -2,9 +2,13 @@
  * DATA AGGREGATOR AGENT
  * =====================
  * Collects data from multiple Google Sheets and consolidates into one master sheet
- * - Fetches rows where App Link (Column C) is NOT "NOT_FOUND"
- * - Cleans and deduplicates data
+ * - Fetches rows that have no App Link (Column C) yet, only from the source rows
+ *   added since the last run when the tab's checkpoint still matches (see aggregator_checkpoints.js)
+ * - Cleans and deduplicates data against column B of the master sheet
  * - Appends new rows to master sheet
+ * - Rebuilds the rollup tabs (Advertisers, Apps) from a full read of the master
+ *   sheet after the append (see rollups.js)
+ * - Records every app's headlines and lists the new ones in 'New Headlines' (see headline_history.js)
  * - Runs twice daily via GitHub Actions
  * 
  * Master Sheet Structure:
@@ -12,25 +16,37 @@
  *   Column B: Ads URL
  *   Column C: App Link
  *   Column D: App Name
- *   Column E: Video ID
+ *   Column E: App Headline (filled by the extraction agent)
  *   Column F: Source Sheet (for tracking)
- *   Column G: Date Added
+ *   Column G: Date Added (Pakistan time of the run)
+ *   Column L: Video ID (column E of the source sheet)
+ *   Column U: Name Source ('source_sheet' when D came from the source sheet)
+ *   Column AC-AF: Advertiser ID, Creative ID, Region, Format (parsed from the Ads URL)
+ *
+ * F of rows added before F/G were written is backfilled by backfill_provenance.js.
+ *
+ * Rows are deduplicated on the creative ID of the Ads URL, so the same creative
+ * linked with another query string (?region=..., &format=...) is not added twice.
  */
 
-const { google } = require('googleapis');
 const fs = require('fs');
+const { createStorage } = require('./storage');
+const { RESULT_MARKERS, SOURCE_SHEET_STRATEGY } = require('./retry_policy');
+const { canonicalCreativeUrl, parseTransparencyUrl } = require('./url_normalizer');
+const { LAST_COLUMN, MASTER_HEADER, rowFromFields } = require('./sheet_columns');
+const { readMasterRows, writeRollups } = require('./rollups');
+const { updateHeadlineHistory } = require('./headline_history');
+const { openCheckpoints } = require('./aggregator_checkpoints');
 
 // ============================================
 // CONFIGURATION
 // ============================================
-const CREDENTIALS_PATH = './credentials.json';
-
 // Master sheet where aggregated data will be stored
 const MASTER_SHEET_ID = '1yq2UwI94lwfYPY86CFwGbBsm3kpdqKrefYgrw3lEAwk';
 const MASTER_SHEET_NAME = 'Text Ads data'; // Your existing tab with header
 
 // Load source sheets configuration
-const SOURCE_SHEETS_CONFIG = './source_sheets.json';
+const SOURCE_SHEETS_CONFIG = process.env.SOURCE_SHEETS_CONFIG || './source_sheets.json';
 
 // Batch settings - Optimized for large datasets (500K+ rows)
 const READ_BATCH_SIZE = 50000;  // Rows to read per batch from source sheets
@@ -66,17 +82,15 @@ function cleanValue(value) {
 }
 
 function needsProcessing(appLink) {
-    // Returns TRUE if App Link is NOT_FOUND (needs to be processed by your agent)
+    // Returns TRUE if the row has no App Link yet (needs to be processed by your agent)
     if (!appLink) return true; // Empty = needs processing
     
     const link = appLink.trim().toUpperCase();
     
-    // Skip ERROR rows - they have issues, don't collect them
-    if (link === 'ERROR' || link === 'BLOCKED' || link === 'SKIP') return false;
-    
-    // These values mean the row needs processing
-    const needsWork = ['NOT_FOUND', 'NOT FOUND', ''];
-    if (needsWork.includes(link)) return true;
+    // Source sheets filled before the Status column existed may still carry markers
+    // in App Link: skip rows marked as problems, collect the NOT_FOUND ones
+    if (link === 'SKIP' || (RESULT_MARKERS.includes(link) && link !== 'NOT_FOUND')) return false;
+    if (link === 'NOT_FOUND' || link === 'NOT FOUND' || link === '') return true;
     
     // If it has a valid URL, it's already processed - skip it
     const lowerLink = appLink.toLowerCase();
@@ -92,6 +106,12 @@ function needsProcessing(appLink) {
     return !hasValidLink;
 }
 
+// Source cell value, or '' for a NOT_FOUND / BLOCKED / ERROR placeholder
+function sourceValue(value) {
+    const cleaned = cleanValue(value);
+    return [...RESULT_MARKERS, 'NOT FOUND'].includes(cleaned.toUpperCase()) ? '' : cleaned;
+}
+
 function isValidRow(row) {
     // Skip rows where advertiser name or ads URL is ERROR/empty
     const advertiserName = (row[0] || '').trim().toUpperCase();
@@ -103,14 +123,18 @@ function isValidRow(row) {
     return true;
 }
 
-function createRowKey(row) {
-    // Create unique key from Ads URL (Column B) to detect duplicates
-    const adsUrl = cleanValue(row[1] || '');
-    return adsUrl.toLowerCase();
+function createRowKey(adsUrl) {
+    // Create unique key from Ads URL (Column B) to detect duplicates: the creative ID,
+    // so ?region=, &format=, case and trailing slashes don't create new rows
+    const cleaned = cleanValue(adsUrl || '');
+    const parts = parseTransparencyUrl(cleaned);
+    if (parts && parts.creativeId) return parts.creativeId;
+    return canonicalCreativeUrl(cleaned) || cleaned.toLowerCase();
 }
 
-function getPakistanTime() {
-    return new Date().toLocaleString('en-PK', { 
+// Date Added format (column G), e.g. "05/03/2026, 06:00:12 pm"
+function getPakistanTime(date = new Date()) {
+    return date.toLocaleString('en-PK', { 
         timeZone: 'Asia/Karachi',
         year: 'numeric',
         month: '2-digit',
@@ -121,33 +145,21 @@ function getPakistanTime() {
     });
 }
 
-// ============================================
-// GOOGLE SHEETS CLIENT
-// ============================================
-async function getGoogleSheetsClient() {
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH));
-    const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-    const authClient = await auth.getClient();
-    return google.sheets({ version: 'v4', auth: authClient });
-}
-
 // ============================================
 // READ FROM SOURCE SHEETS (supports multiple tabs)
 // ============================================
-async function fetchFromSourceSheet(sheets, sheetConfig) {
-    const { id, name, sheetName, sheetNames } = sheetConfig;
-    
-    // Support both single tab (sheetName) and multiple tabs (sheetNames - can be array or string)
-    let tabsToProcess;
+// Tabs of a source sheet config: single tab (sheetName) or multiple tabs (sheetNames - array or string)
+function sourceTabNames({ sheetName, sheetNames }) {
     if (sheetNames) {
         // Handle sheetNames as either array or single string
-        tabsToProcess = Array.isArray(sheetNames) ? sheetNames : [sheetNames];
-    } else {
-        tabsToProcess = [sheetName || 'Sheet1'];
+        return Array.isArray(sheetNames) ? sheetNames : [sheetNames];
     }
+    return [sheetName || 'Sheet1'];
+}
+
+async function fetchFromSourceSheet(storage, sheetConfig, checkpoints = null) {
+    const { id, name } = sheetConfig;
+    const tabsToProcess = sourceTabNames(sheetConfig);
     
     const allValidRows = [];
     
@@ -155,7 +167,7 @@ async function fetchFromSourceSheet(sheets, sheetConfig) {
     console.log(`   Tabs to process: ${tabsToProcess.join(', ')}`);
     
     for (const tabName of tabsToProcess) {
-        const validRows = await fetchFromSingleTab(sheets, id, name, tabName);
+        const validRows = await fetchFromSingleTab(storage, id, name, tabName, checkpoints);
         allValidRows.push(...validRows);
         
         // Small delay between tabs
@@ -168,7 +180,12 @@ async function fetchFromSourceSheet(sheets, sheetConfig) {
     return allValidRows;
 }
 
-async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
+/**
+ * Valid rows of one source tab that still need an App Link
+ * With checkpoints (aggregator_checkpoints.js) only the rows after the last run's
+ * checkpoint are read, unless the checkpoint no longer matches the tab
+ */
+async function fetchFromSingleTab(storage, spreadsheetId, sourceName, tabName, checkpoints = null) {
     // Escape tab names with spaces, parentheses, or other special characters
     const needsQuotes = /[\s\(\)\-\'\"\!\@\#\$\%\^\&\*]/.test(tabName);
     const escapedTabName = needsQuotes ? `'${tabName}'` : tabName;
@@ -180,12 +197,7 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
         // Get total rows using metadata
         let totalRows = 0;
         try {
-            const metadata = await sheets.spreadsheets.get({
-                spreadsheetId: spreadsheetId,
-                ranges: [escapedTabName],
-                fields: 'sheets.properties.gridProperties.rowCount'
-            });
-            totalRows = metadata.data.sheets?.[0]?.properties?.gridProperties?.rowCount || 0;
+            totalRows = await storage.getRowCount(spreadsheetId, tabName);
             console.log(`      Rows in tab: ${totalRows}`);
         } catch (metaError) {
             console.log(`      ⚠️ Could not get metadata for ${tabName}, using default batch size`);
@@ -197,21 +209,25 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
             return validRows;
         }
         
-        // Read in batches
+        // Resume after the checkpoint when its tail rows are unchanged
         let startRow = 2; // Skip header
+        if (checkpoints) {
+            const resume = await checkpoints.resumeRow(storage, spreadsheetId, tabName, escapedTabName);
+            startRow = resume.startRow;
+            console.log(resume.reason ? `      🔁 Full scan (${resume.reason})` : `      ⏩ Resuming at row ${startRow}`);
+        }
+        
+        // Read in batches
         let processedRows = 0;
+        let lastDataRow = startRow - 1;
+        let allBatchesRead = true;
         
         while (startRow <= totalRows) {
             const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
             const range = `${escapedTabName}!A${startRow}:E${endRow}`;
             
             try {
-                const response = await sheets.spreadsheets.values.get({
-                    spreadsheetId: spreadsheetId,
-                    range: range,
-                });
-                
-                const rows = response.data.values || [];
+                const rows = await storage.getValues(spreadsheetId, range);
                 
                 if (rows.length === 0) break;
                 
@@ -227,14 +243,16 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
                         validRows.push({
                             advertiserName: cleanValue(row[0] || ''),
                             adsUrl: cleanValue(row[1] || ''),
-                            appLink: cleanValue(row[2] || 'NOT_FOUND'),
-                            appName: cleanValue(row[3] || ''),
-                            videoId: cleanValue(row[4] || '')
+                            appLink: '', // Collected rows have no link yet; the agent fills C and records its Status
+                            appName: sourceValue(row[3] || ''),
+                            videoId: sourceValue(row[4] || ''),
+                            sourceSheet: sourceName
                         });
                     }
                 }
                 
                 processedRows += rows.length;
+                lastDataRow = startRow + rows.length - 1;
                 startRow = endRow + 1;
                 
                 // Small delay to avoid rate limits
@@ -242,6 +260,7 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
                 
             } catch (batchError) {
                 console.log(`      ⚠️ Error reading batch ${startRow}-${endRow}: ${batchError.message}`);
+                allBatchesRead = false;
                 startRow += READ_BATCH_SIZE;
                 await sleep(500);
             }
@@ -249,6 +268,12 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
         
         console.log(`      ✅ Found ${validRows.length} valid rows in ${tabName}`);
         
+        // Skipped batches would be lost behind a new checkpoint, so keep the old one.
+        // The new one is only committed once the rows are in the master sheet (main)
+        if (checkpoints && allBatchesRead && lastDataRow >= 2) {
+            await checkpoints.stage(storage, spreadsheetId, tabName, escapedTabName, lastDataRow);
+        }
+        
     } catch (error) {
         console.error(`      ❌ Error reading tab ${tabName}: ${error.message}`);
     }
@@ -256,146 +281,100 @@ async function fetchFromSingleTab(sheets, spreadsheetId, sourceName, tabName) {
     return validRows;
 }
 
+/**
+ * Master sheet fields of a collected row, with its provenance (F Source Sheet, G Date Added)
+ * A team's App Name goes to D marked with Name Source 'source_sheet', so the agent
+ * still processes the row (see retry_policy.js); the source Video ID goes to L
+ */
+function masterFields(row, dateAdded) {
+    return {
+        advertiserName: row.advertiserName,
+        adsUrl: row.adsUrl,
+        storeLink: row.appLink,
+        appName: row.appName,
+        nameSource: row.appName ? SOURCE_SHEET_STRATEGY : '',
+        sourceSheet: row.sourceSheet,
+        dateAdded,
+        videoId: row.videoId,
+        ...parseTransparencyUrl(row.adsUrl)
+    };
+}
+
 // ============================================
 // GET EXISTING DATA FROM MASTER SHEET
 // ============================================
-async function getExistingKeys(sheets) {
+/**
+ * Dedupe keys of the rows already in the master sheet, read from column B only
+ * Throws when a batch cannot be read: missing keys would mean duplicate appends
+ */
+async function getExistingKeys(storage) {
     const existingKeys = new Set();
     const escapedSheetName = MASTER_SHEET_NAME.includes(' ') ? `'${MASTER_SHEET_NAME}'` : MASTER_SHEET_NAME;
     
     console.log(`\n📋 Loading existing data from master sheet...`);
     
-    try {
-        // Check if sheet exists, create if not
-        const sheetMetadata = await sheets.spreadsheets.get({
-            spreadsheetId: MASTER_SHEET_ID,
-            fields: 'sheets.properties.title'
-        });
+    // Check if sheet exists, create if not
+    const sheetExists = (await storage.listTabs(MASTER_SHEET_ID)).includes(MASTER_SHEET_NAME);
+    
+    if (!sheetExists) {
+        console.log(`   Creating new sheet: ${MASTER_SHEET_NAME}`);
+        await storage.addTab(MASTER_SHEET_ID, MASTER_SHEET_NAME);
         
-        const sheetExists = sheetMetadata.data.sheets?.some(
-            s => s.properties?.title === MASTER_SHEET_NAME
-        );
+        // Add header row (a new tab is 26 columns wide, the master runs to LAST_COLUMN)
+        await storage.ensureGridSize(MASTER_SHEET_ID, MASTER_SHEET_NAME, { columns: MASTER_HEADER.length });
+        await storage.updateValues(MASTER_SHEET_ID, `${escapedSheetName}!A1:${LAST_COLUMN}1`, [MASTER_HEADER]);
         
-        if (!sheetExists) {
-            console.log(`   Creating new sheet: ${MASTER_SHEET_NAME}`);
-            await sheets.spreadsheets.batchUpdate({
-                spreadsheetId: MASTER_SHEET_ID,
-                resource: {
-                    requests: [{
-                        addSheet: {
-                            properties: { title: MASTER_SHEET_NAME }
-                        }
-                    }]
-                }
-            });
-            
-            // Add header row
-            await sheets.spreadsheets.values.update({
-                spreadsheetId: MASTER_SHEET_ID,
-                range: `${escapedSheetName}!A1:G1`,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: [['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID', 'Source Sheet', 'Date Added']]
-                }
-            });
-            
-            console.log(`   ✅ Created sheet with headers`);
-            return existingKeys;
-        }
-        
-        // Get existing Ads URLs (Column B) to detect duplicates
-        let totalRows = 0;
+        console.log(`   ✅ Created sheet with headers`);
+        return existingKeys;
+    }
+    
+    // Get existing Ads URLs (Column B) to detect duplicates
+    const totalRows = await storage.getRowCount(MASTER_SHEET_ID, MASTER_SHEET_NAME);
+    
+    if (totalRows <= 1) {
+        // Only header exists, add it if missing
         try {
-            const metadata = await sheets.spreadsheets.get({
-                spreadsheetId: MASTER_SHEET_ID,
-                ranges: [escapedSheetName],
-                fields: 'sheets.properties.gridProperties.rowCount'
-            });
-            totalRows = metadata.data.sheets?.[0]?.properties?.gridProperties?.rowCount || 0;
-        } catch (e) {
-            totalRows = 100000;
-        }
+            await storage.ensureGridSize(MASTER_SHEET_ID, MASTER_SHEET_NAME, { columns: MASTER_HEADER.length });
+            await storage.updateValues(MASTER_SHEET_ID, `${escapedSheetName}!A1:${LAST_COLUMN}1`, [MASTER_HEADER]);
+        } catch (e) { /* Header might exist */ }
+        return existingKeys;
+    }
+    
+    // Read existing URLs in batches
+    for (let startRow = 2; startRow <= totalRows; startRow += READ_BATCH_SIZE) {
+        const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
         
-        if (totalRows <= 1) {
-            // Only header exists, add it if missing
-            try {
-                await sheets.spreadsheets.values.update({
-                    spreadsheetId: MASTER_SHEET_ID,
-                    range: `${escapedSheetName}!A1:G1`,
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID', 'Source Sheet', 'Date Added']]
-                    }
-                });
-            } catch (e) { /* Header might exist */ }
-            return existingKeys;
+        let rows;
+        try {
+            rows = await storage.getValues(MASTER_SHEET_ID, `${escapedSheetName}!B${startRow}:B${endRow}`);
+        } catch (error) {
+            throw new Error(`Could not read master rows ${startRow}-${endRow} (${error.message})`);
         }
+        if (rows.length === 0) break;
         
-        // Read existing URLs in batches
-        let startRow = 2;
-        while (startRow <= totalRows) {
-            const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
-            
-            try {
-                const response = await sheets.spreadsheets.values.get({
-                    spreadsheetId: MASTER_SHEET_ID,
-                    range: `${escapedSheetName}!B${startRow}:B${endRow}`,
-                });
-                
-                const rows = response.data.values || [];
-                if (rows.length === 0) break;
-                
-                for (const row of rows) {
-                    if (row[0]) {
-                        existingKeys.add(row[0].toLowerCase().trim());
-                    }
-                }
-                
-                startRow = endRow + 1;
-                await sleep(100);
-                
-            } catch (e) {
-                startRow += READ_BATCH_SIZE;
-            }
+        for (const [adsUrl] of rows) {
+            if (adsUrl) existingKeys.add(createRowKey(adsUrl));
         }
-        
-        console.log(`   ✅ Found ${existingKeys.size} existing entries`);
-        
-    } catch (error) {
-        console.error(`   ❌ Error reading master sheet: ${error.message}`);
+        await sleep(100);
     }
     
+    console.log(`   ✅ Found ${existingKeys.size} existing entries`);
     return existingKeys;
 }
 
 // ============================================
 // CREATE NEW TAB WITH HEADER
 // ============================================
-async function createNewTab(sheets, tabName) {
+async function createNewTab(storage, tabName) {
     const escapedTabName = tabName.includes(' ') ? `'${tabName}'` : tabName;
     
     try {
         // Create the new tab
-        await sheets.spreadsheets.batchUpdate({
-            spreadsheetId: MASTER_SHEET_ID,
-            resource: {
-                requests: [{
-                    addSheet: {
-                        properties: { title: tabName }
-                    }
-                }]
-            }
-        });
+        await storage.addTab(MASTER_SHEET_ID, tabName);
         
         // Add header row
-        await sheets.spreadsheets.values.update({
-            spreadsheetId: MASTER_SHEET_ID,
-            range: `${escapedTabName}!A1:E1`,
-            valueInputOption: 'RAW',
-            resource: {
-                values: [['Advitiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID']]
-            }
-        });
+        await storage.updateValues(MASTER_SHEET_ID, `${escapedTabName}!A1:E1`,
+            [['Advitiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID']]);
         
         console.log(`   ✅ Created new tab: ${tabName}`);
         return true;
@@ -408,7 +387,7 @@ async function createNewTab(sheets, tabName) {
 // ============================================
 // WRITE TO MASTER SHEET (SINGLE TAB - ALL DATA)
 // ============================================
-async function writeToMasterSheet(sheets, newRows) {
+async function writeToMasterSheet(storage, newRows, dateAdded = getPakistanTime()) {
     if (newRows.length === 0) {
         console.log(`\n📝 No new rows to write`);
         return;
@@ -420,25 +399,15 @@ async function writeToMasterSheet(sheets, newRows) {
     console.log(`   ⚠️ Header row (Row 1) will NOT be modified`);
     console.log(`   📊 Writing ALL data to single tab: ${MASTER_SHEET_NAME}`);
     
-    // Convert to array format for sheets API - ONLY 3 COLUMNS: A, B, C
-    const values = newRows.map(row => [
-        row.advertiserName,
-        row.adsUrl,
-        row.appLink
-    ]);
+    // Convert to array format for sheets API - full rows (see masterFields)
+    const values = newRows.map(row => rowFromFields(masterFields(row, dateAdded)));
     
     try {
         // Write in batches
         for (let i = 0; i < values.length; i += WRITE_BATCH_SIZE) {
             const batch = values.slice(i, i + WRITE_BATCH_SIZE);
             
-            await sheets.spreadsheets.values.append({
-                spreadsheetId: MASTER_SHEET_ID,
-                range: `${escapedSheetName}!A2:C`,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: batch }
-            });
+            await storage.appendValues(MASTER_SHEET_ID, `${escapedSheetName}!A2:${LAST_COLUMN}`, batch);
             
             const batchEnd = Math.min(i + WRITE_BATCH_SIZE, values.length);
             console.log(`   ✅ Wrote batch ${i + 1} - ${batchEnd}`);
@@ -463,7 +432,8 @@ async function main() {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('🔄 DATA AGGREGATOR AGENT');
     console.log('═══════════════════════════════════════════════════════════');
-    console.log(`📅 Run Time: ${getPakistanTime()}`);
+    const runTime = getPakistanTime();
+    console.log(`📅 Run Time: ${runTime}`);
     console.log(`📋 Master Sheet: ${MASTER_SHEET_ID}`);
     
     // Load source sheets configuration
@@ -479,11 +449,14 @@ async function main() {
         console.log(`   ${i + 1}. ${sheet.name} (${sheet.id})`);
     });
     
-    // Initialize Google Sheets client
-    const sheets = await getGoogleSheetsClient();
+    // Initialize storage (Google Sheets, or SQLite via STORAGE_BACKEND=sqlite)
+    const storage = await createStorage();
+    
+    // Only rows added since the last run are read when the checkpoints still match
+    const checkpoints = await openCheckpoints();
     
-    // Get existing entries to avoid duplicates
-    const existingKeys = await getExistingKeys(sheets);
+    // Get existing entries to avoid duplicates (a failed read ends the run here)
+    const existingKeys = await getExistingKeys(storage);
     
     // Collect data from all source sheets
     const allValidRows = [];
@@ -495,7 +468,7 @@ async function main() {
     };
     
     for (const sheetConfig of sourceSheets) {
-        const validRows = await fetchFromSourceSheet(sheets, sheetConfig);
+        const validRows = await fetchFromSourceSheet(storage, sheetConfig, checkpoints);
         
         stats.bySheet[sheetConfig.name] = {
             valid: validRows.length,
@@ -504,7 +477,7 @@ async function main() {
         
         // Filter out duplicates
         for (const row of validRows) {
-            const key = row.adsUrl.toLowerCase();
+            const key = createRowKey(row.adsUrl);
             
             if (!existingKeys.has(key)) {
                 allValidRows.push(row);
@@ -521,8 +494,37 @@ async function main() {
     
     stats.totalNew = allValidRows.length;
     
-    // Write new rows to master sheet
-    await writeToMasterSheet(sheets, allValidRows);
+    // Write new rows to master sheet; the checkpoints only move once they are there
+    // (a failed append throws, so the next run reads the same source rows again)
+    await writeToMasterSheet(storage, allValidRows, runTime);
+    checkpoints.commit();
+    checkpoints.close();
+
+    // The rollup tabs and the headline history need every column of every master row
+    // (the agent fills C-AF of older rows in place), so this is a full read of the tab,
+    // A:LAST_COLUMN - the run's one read beyond column B. If it fails both are skipped
+    // rather than rebuilt from part of the rows; the new rows are already written
+    let masterRows = null;
+    try {
+        console.log(`\n📚 Reading every master row (A:${LAST_COLUMN}) for the rollup tabs and headline history...`);
+        masterRows = await readMasterRows(storage, MASTER_SHEET_ID, MASTER_SHEET_NAME);
+        console.log(`   ✅ ${masterRows.length} rows`);
+    } catch (error) {
+        console.error(`   ❌ Could not read the master rows, skipping rollup tabs and headline history: ${error.message}`);
+    }
+    if (masterRows) {
+        try {
+            await writeRollups(storage, MASTER_SHEET_ID, MASTER_SHEET_NAME, masterRows);
+        } catch (error) {
+            console.error(`   ❌ Error rebuilding rollup tabs: ${error.message}`);
+        }
+        try {
+            await updateHeadlineHistory(storage, MASTER_SHEET_ID, masterRows);
+        } catch (error) {
+            console.error(`   ❌ Error updating headline history: ${error.message}`);
+        }
+    }
+    await storage.close();
     
     // Print summary
     console.log('\n═══════════════════════════════════════════════════════════');
@@ -540,7 +542,23 @@ async function main() {
 }
 
 // Run the aggregator
-main().catch(error => {
-    console.error('❌ Fatal error:', error.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MASTER_SHEET_ID,
+    MASTER_SHEET_NAME,
+    loadSourceSheets,
+    sourceTabNames,
+    getPakistanTime,
+    createRowKey,
+    fetchFromSourceSheet,
+    fetchFromSingleTab,
+    getExistingKeys,
+    writeToMasterSheet,
+    main
+};
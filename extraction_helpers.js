@@ -0,0 +1,369 @@
+/**
+ * EXTRACTION HELPERS
+ * ==================
+ * Pure text/link heuristics used by the extraction agent, kept here so they can
+ * be regression-tested without a browser (see test/).
+ *
+ * Node-side:   cleanName, cleanStoreLink, storeLinkPlatform, groupStoreLinks,
+ *              filterFramePackages, pickBestPackage, validatePackage, choosePackage,
+ *              checkStoreLink
+ * In-page:     buildPlayStoreUrl, buildAppStoreUrl, parseAppStoreId, extractStoreLink,
+ *              cleanAppName (injected into frames by evaluateWithHelpers)
+ *
+ * Known SDK/library packages come from sdk_prefixes.json (sdk_prefixes.js).
+ */
+
+const { matchSdkPackage, isSdkPackage } = require('./sdk_prefixes');
+
+// ============================================
+// STORE LINKS
+// ============================================
+
+// Build Play Store URL from package name
+function buildPlayStoreUrl(packageName) {
+    if (!packageName || !packageName.includes('.')) return null;
+    return `https://play.google.com/store/apps/details?id=${packageName}`;
+}
+
+// Canonical App Store URL from a numeric app ID
+function buildAppStoreUrl(appId) {
+    if (!appId || !/^\d+$/.test(String(appId))) return null;
+    return `https://apps.apple.com/app/id${appId}`;
+}
+
+// Numeric app ID of an App Store URL (.../app/name/id553834731, ?id=553834731) or an "id553834731" token
+function parseAppStoreId(href) {
+    if (!href || typeof href !== 'string') return null;
+    const token = href.trim().match(/^id(\d+)$/);
+    if (token) return token[1];
+    if (!href.includes('apps.apple.com') && !href.includes('itunes.apple.com')) return null;
+    const match = (href.includes('/app/') && href.match(/\/id(\d+)(?:[/?&#]|$)/)) ||
+        (href.includes('viewSoftware') && href.match(/[?&]id=(\d+)(?:[&#]|$)/));
+    return match ? match[1] : null;
+}
+
+// Clean a store link found on a visible link (drops extra query params, App Store links become canonical)
+function cleanStoreLink(href) {
+    if (!href || typeof href !== 'string') return null;
+    if (href.includes('play.google.com/store/apps') && href.includes('id=')) {
+        const match = href.match(/(https?:\/\/play\.google\.com\/store\/apps\/details\?id=[a-zA-Z0-9._]+)/);
+        return match ? match[1] : href.split('&')[0];
+    }
+    const appStoreId = parseAppStoreId(href);
+    if (appStoreId) return buildAppStoreUrl(appStoreId);
+    if ((href.includes('apps.apple.com') || href.includes('itunes.apple.com')) && href.includes('/app/')) {
+        return href.split('&')[0];
+    }
+    const pkgMatch = href.match(/[?&]id=([a-zA-Z][a-zA-Z0-9_.]+)/);
+    if (pkgMatch && pkgMatch[1] && pkgMatch[1].includes('.')) {
+        return buildPlayStoreUrl(pkgMatch[1]);
+    }
+    return null;
+}
+
+// Only accepts REAL Play Store / App Store links, unwrapping googleadservices redirects
+// App Store links come back canonical (https://apps.apple.com/app/id<number>)
+function extractStoreLink(href) {
+    if (!href || typeof href !== 'string') return null;
+    if (href.includes('javascript:') || href === '#') return null;
+
+    // The store must be the link's own host, not a URL embedded in a tracker's query
+    const isValidStoreLink = (url) => {
+        if (!url) return false;
+        const isPlayStore = /^https?:\/\/play\.google\.com\/store\/apps\//.test(url) && url.includes('id=');
+        const isAppStore = /^https?:\/\/(apps|itunes)\.apple\.com\//.test(url) && url.includes('/app/');
+        return isPlayStore || isAppStore;
+    };
+    const canonical = (url) => buildAppStoreUrl(parseAppStoreId(url)) || url;
+
+    if (isValidStoreLink(href)) return canonical(href);
+
+    if (href.includes('googleadservices.com') || href.includes('/pagead/aclk')) {
+        try {
+            const patterns = [
+                /[?&]adurl=([^&\s]+)/i,
+                /[?&]dest=([^&\s]+)/i,
+                /[?&]url=([^&\s]+)/i
+            ];
+            for (const pattern of patterns) {
+                const match = href.match(pattern);
+                if (match && match[1]) {
+                    const decoded = decodeURIComponent(match[1]);
+                    if (isValidStoreLink(decoded)) return canonical(decoded);
+                }
+            }
+        } catch (e) { }
+    }
+
+    try {
+        const playMatch = href.match(/(https?:\/\/play\.google\.com\/store\/apps\/details\?id=[a-zA-Z0-9._]+)/);
+        if (playMatch && playMatch[1]) return playMatch[1];
+        const appMatch = href.match(/(https?:\/\/(apps|itunes)\.apple\.com\/[^\s&"']+\/app\/[^\s&"']+)/);
+        if (appMatch && appMatch[1]) return canonical(appMatch[1]);
+
+        // Try to extract package name from href and build URL
+        const pkgMatch = href.match(/[?&]id=([a-zA-Z][a-zA-Z0-9_.]+)/);
+        if (pkgMatch && pkgMatch[1] && pkgMatch[1].includes('.')) {
+            return buildPlayStoreUrl(pkgMatch[1]);
+        }
+    } catch (e) { }
+
+    return null;
+}
+
+// 'android' for a Play Store link, 'ios' for an App Store link, '' otherwise
+function storeLinkPlatform(link) {
+    if (!link || typeof link !== 'string') return '';
+    if (link.includes('play.google.com/store/apps') && link.includes('id=')) return 'android';
+    if (parseAppStoreId(link) || (/(apps|itunes)\.apple\.com\//.test(link) && link.includes('/app/'))) return 'ios';
+    return '';
+}
+
+/**
+ * Sort the store links seen for one ad by platform (first link of each platform wins)
+ * Returns { playStoreLink, appStoreLink, appStoreId, platform: 'android' | 'ios' | 'both' | '' }
+ */
+function groupStoreLinks(links) {
+    const found = { android: null, ios: null };
+    for (const link of links || []) {
+        const platform = storeLinkPlatform(link);
+        if (platform && !found[platform]) found[platform] = cleanStoreLink(link);
+    }
+    const platform = found.android && found.ios ? 'both' : (found.android ? 'android' : (found.ios ? 'ios' : ''));
+    return {
+        playStoreLink: found.android || '',
+        appStoreLink: found.ios || '',
+        appStoreId: (found.ios && parseAppStoreId(found.ios)) || '',
+        platform
+    };
+}
+
+// ============================================
+// APP NAMES
+// ============================================
+
+// Clean name - removes CSS garbage and normalizes ("App | Subtitle" keeps "App")
+function cleanName(name) {
+    if (!name) return 'NOT_FOUND';
+    let cleaned = name.trim();
+
+    // Remove invisible unicode
+    cleaned = cleaned.replace(/[\u200B-\u200D\uFEFF\u2066-\u2069]/g, '');
+
+    // Remove CSS-like patterns
+    cleaned = cleaned.replace(/[a-zA-Z-]+\s*:\s*[^;]+;?/g, ' ');
+    cleaned = cleaned.replace(/\d+px/g, ' ');
+    cleaned = cleaned.replace(/\*+/g, ' ');
+    cleaned = cleaned.replace(/\.[a-zA-Z][\w-]*/g, ' ');
+
+    // Remove special markers
+    cleaned = cleaned.split('!@~!@~')[0];
+    if (cleaned.includes('|')) {
+        cleaned = cleaned.split('|')[0];
+    }
+
+    // Normalize whitespace
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+    // Length check
+    if (cleaned.length < 2 || cleaned.length > 80) return 'NOT_FOUND';
+
+    // Reject if looks like CSS
+    if (/:\s*\d/.test(cleaned) || cleaned.includes('height') || cleaned.includes('width') || cleaned.includes('font')) {
+        return 'NOT_FOUND';
+    }
+
+    return cleaned || 'NOT_FOUND';
+}
+
+// Clean app name - Unicode/Multi-language safe (in-page DOM fallback)
+function cleanAppName(text) {
+    if (!text || typeof text !== 'string') return null;
+    let clean = text.trim();
+    // Remove invisible Unicode characters only
+    clean = clean.replace(/[\u200B-\u200D\uFEFF\u2066-\u2069\u00AD]/g, '');
+    // Remove CSS-like patterns (only ASCII)
+    clean = clean.replace(/\.[a-zA-Z][\w-]*/g, ' ');
+    clean = clean.replace(/[a-zA-Z-]+\s*:\s*[^;]+;/g, ' ');
+    // Remove markers
+    clean = clean.split('!@~!@~')[0];
+    if (clean.includes('|')) {
+        // First part with a letter or digit (skips empty parts and separators like "•")
+        const parts = clean.split('|').map(p => p.trim()).filter(p => /[\p{L}\p{N}]/u.test(p));
+        if (parts.length > 0) clean = parts[0];
+    }
+    clean = clean.replace(/\s+/g, ' ').trim();
+    if (clean.length < 1 || clean.length > 100) return null;
+    // Only reject if it's ONLY ASCII digits/punctuation (keep ALL Unicode letters)
+    if (/^[\d\s.,!?@#$%^&*()\-_=+\[\]{}|\\;:'"<>\/`~]+$/.test(clean)) return null;
+    // Reject common non-app-name text
+    const lower = clean.toLowerCase();
+    if (lower === 'install' || lower === 'open' || lower === 'get' || lower === 'download') return null;
+    return clean;
+}
+
+// ============================================
+// PACKAGE NAMES
+// ============================================
+
+// Filter out Google/SDK packages (sdk_prefixes.json) from raw com.* matches found in an ad frame
+function filterFramePackages(matches) {
+    const valid = (matches || []).filter(m =>
+        m.length >= 10 &&
+        m.split('.').length >= 3 &&
+        !isSdkPackage(m)
+    );
+    return [...new Set(valid)];
+}
+
+/**
+ * Pick the package that belongs to the app when a frame holds several
+ * Each app-name word (3+ letters) found in the package scores 2x its length
+ * Returns { packageName, score, strategy } - strategy is 'only', 'best_match' or 'first'
+ */
+function pickBestPackage(packages, appName) {
+    if (!packages || packages.length === 0) return null;
+    if (packages.length === 1) return { packageName: packages[0], score: 0, strategy: 'only' };
+
+    let bestPkg = null;
+    let bestScore = 0;
+    const appWords = (appName || '').toLowerCase().split(/[^a-z]+/).filter(w => w.length >= 3);
+
+    for (const pkg of packages) {
+        const pkgText = pkg.toLowerCase().replace(/[^a-z]/g, '');
+        let score = 0;
+
+        // Check for word matches
+        for (const word of appWords) {
+            if (pkgText.includes(word)) score += word.length * 2;
+        }
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestPkg = pkg;
+        }
+    }
+
+    if (bestPkg && bestScore > 0) return { packageName: bestPkg, score: bestScore, strategy: 'best_match' };
+    return { packageName: packages[0], score: 0, strategy: 'first' };
+}
+
+// ============================================
+// PACKAGE VALIDATION
+// ============================================
+
+const TOP_LEVEL_DOMAINS = ['com', 'net', 'org', 'io', 'co', 'app', 'dev', 'me', 'info', 'biz', 'tv', 'us', 'uk', 'de', 'fr', 'jp', 'cn', 'ru', 'br'];
+const FILE_EXTENSIONS = ['js', 'css', 'html', 'htm', 'json', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'php', 'xml'];
+// Words that say nothing about which app a package belongs to
+const GENERIC_NAME_WORDS = ['com', 'net', 'org', 'app', 'apps', 'android', 'mobile', 'game', 'games', 'free',
+    'official', 'studio', 'studios', 'inc', 'ltd', 'llc', 'the', 'and', 'for', 'pro'];
+
+// Why a string cannot be an Android package: 'bad_shape', 'file_name', 'domain_order' (or null)
+function packageShapeProblem(packageName) {
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/.test(packageName || '')) return 'bad_shape';
+    const segments = packageName.toLowerCase().split('.');
+    if (FILE_EXTENSIONS.includes(segments[segments.length - 1])) return 'file_name';
+    // Domains put the TLD last (www.example.com, schema.org); packages put it first
+    if (TOP_LEVEL_DOMAINS.includes(segments[segments.length - 1]) && !TOP_LEVEL_DOMAINS.includes(segments[0])) return 'domain_order';
+    return null;
+}
+
+// Share of the name's words (3+ characters, not generic) that appear in the package, 0-1
+function packageSimilarity(packageName, name) {
+    if (!name || name === 'NOT_FOUND') return 0;
+    const words = (name || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3 && !GENERIC_NAME_WORDS.includes(w));
+    if (words.length === 0) return 0;
+    const pkgText = packageName.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const hits = words.filter(w => pkgText.includes(w) || (w.length >= 5 && pkgText.includes(w.slice(0, 4))));
+    return Math.round((hits.length / words.length) * 100) / 100;
+}
+
+/**
+ * Check a candidate package against its shape, the known SDKs and the names on the ad
+ * Returns { packageName, reasons, similarity } - any reason means the package is rejected
+ * (known SDKs give 'sdk_<category>', e.g. 'sdk_ad_network')
+ */
+function validatePackage(packageName, { appName, advertiserName } = {}) {
+    const reasons = [];
+    const shapeProblem = packageShapeProblem(packageName);
+    const sdk = shapeProblem ? null : matchSdkPackage(packageName);
+    if (shapeProblem) reasons.push(shapeProblem);
+    else if (sdk) reasons.push(`sdk_${sdk.category}`);
+
+    const similarity = shapeProblem ? 0 : Math.max(packageSimilarity(packageName, appName), packageSimilarity(packageName, advertiserName));
+    return { packageName, reasons, similarity };
+}
+
+/**
+ * Choose the advertised app among candidate packages instead of guessing
+ * One valid package is taken as is; among several, the one sharing the most non-generic
+ * words with the app name (else the advertiser) is taken - no match or a tie means no
+ * package ('no_match')
+ * Returns { packageName (or null), strategy, similarity, rejected: [{ packageName, reasons }] }
+ */
+function choosePackage(packages, names = {}) {
+    const checked = [...new Set(packages || [])].map(pkg => validatePackage(pkg, names));
+    const usable = checked.filter(c => c.reasons.length === 0);
+    const rejected = checked.filter(c => c.reasons.length > 0).map(({ packageName, reasons }) => ({ packageName, reasons }));
+    const chosen = (candidate, strategy) => ({ packageName: candidate.packageName, strategy, similarity: candidate.similarity, rejected });
+
+    if (usable.length === 1) return chosen(usable[0], 'only');
+    for (const name of usable.length > 1 ? [names.appName, names.advertiserName] : []) {
+        const scored = usable.map(c => ({ candidate: c, score: packageSimilarity(c.packageName, name) }));
+        const best = Math.max(...scored.map(s => s.score));
+        const top = scored.filter(s => s.score === best);
+        if (best > 0 && top.length === 1) return chosen(top[0].candidate, 'best_match');
+    }
+
+    return {
+        packageName: null,
+        strategy: null,
+        similarity: 0,
+        rejected: [...rejected, ...usable.map(c => ({ packageName: c.packageName, reasons: ['no_match'] }))]
+    };
+}
+
+/**
+ * Flag a Play Store link whose package shares no words with the app name or advertiser
+ * Returns 'verified', 'unverified', or '' for links without a package (e.g. App Store)
+ */
+function checkStoreLink(storeLink, names = {}) {
+    const match = (storeLink || '').match(/play\.google\.com\/store\/apps\/details\?id=([a-zA-Z0-9._]+)/);
+    if (!match) return '';
+    return validatePackage(match[1], names).similarity > 0 ? 'verified' : 'unverified';
+}
+
+// ============================================
+// IN-PAGE INJECTION
+// ============================================
+const IN_PAGE_HELPERS = [buildPlayStoreUrl, buildAppStoreUrl, parseAppStoreId, extractStoreLink, cleanAppName];
+
+/**
+ * frame.evaluate() with the in-page helpers defined in scope, so pageFunction can
+ * call extractStoreLink/cleanAppName/buildPlayStoreUrl/parseAppStoreId directly.
+ * Args must be JSON-serializable. Runs as a DevTools expression, so page CSP does not apply.
+ */
+function evaluateWithHelpers(target, pageFunction, ...args) {
+    const prelude = IN_PAGE_HELPERS.map(fn => `const ${fn.name} = ${fn.toString()};`).join('\n');
+    return target.evaluate(`(() => {\n${prelude}\nreturn (${pageFunction.toString()})(...${JSON.stringify(args)});\n})()`);
+}
+
+module.exports = {
+    buildPlayStoreUrl,
+    buildAppStoreUrl,
+    parseAppStoreId,
+    cleanStoreLink,
+    extractStoreLink,
+    storeLinkPlatform,
+    groupStoreLinks,
+    cleanName,
+    cleanAppName,
+    filterFramePackages,
+    pickBestPackage,
+    packageShapeProblem,
+    packageSimilarity,
+    validatePackage,
+    choosePackage,
+    checkStoreLink,
+    evaluateWithHelpers
+};
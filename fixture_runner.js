@@ -0,0 +1,189 @@
+/**
+ * OFFLINE FIXTURE RUNNER
+ * ======================
+ * Replays saved Transparency Center pages (main document + iframe documents)
+ * in headless Chrome and runs the agent's exact extraction pipeline
+ * (extractAllInOneVisit) against them - no network, no Google Sheets.
+ *
+ * Fixture layout (one directory per case):
+ *   fixtures/<case>/manifest.json
+ *     {
+ *       "url": "https://adstransparency.google.com/advertiser/AR.../creative/CR...",
+ *       "documents": { "<page url>": "main.html", "<iframe url>": "frames/0.html" },
+ *       "expected": { "appName": "...", "storeLink": "...", "appSubtitle": "..." }
+ *     }
+ *   fixtures/<case>/main.html, fixtures/<case>/frames/*.html
+ *
+ * Saved documents are served with scripts disabled so the captured DOM is
+ * replayed as-is; every other request is aborted.
+ *
+ * Usage:
+ *   node fixture_runner.js [fixturesDir] [--case=name] [--print]
+ * Exits with code 1 when a case does not match its "expected" block, or has none
+ * (a case without one would pass whatever the extraction returns).
+ * --print only prints what each case extracts, and accepts cases without an
+ * "expected" block - e.g. failure snapshots (snapshot_capture.js) before someone
+ * has filled one in.
+ */
+
+const puppeteer = require('puppeteer-extra');
+const fs = require('fs');
+const path = require('path');
+const { setFixtureResolver, extractAllInOneVisit } = require('./text_ads_extraction');
+
+const DEFAULT_FIXTURES_DIR = './fixtures';
+
+// Drop the #hash; optionally the ?query too (fallback match)
+function normalizeFixtureUrl(url, dropQuery = false) {
+    let normalized = String(url || '').split('#')[0];
+    if (dropQuery) normalized = normalized.split('?')[0];
+    return normalized.replace(/\/$/, '');
+}
+
+// printOnly: a case without an "expected" block loads with expected = null
+function loadFixture(caseDir, { printOnly = false } = {}) {
+    const manifestPath = path.join(caseDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!manifest.url) throw new Error(`${manifestPath} has no "url"`);
+    const hasExpected = !!manifest.expected && Object.keys(manifest.expected).length > 0;
+    if (!hasExpected && !printOnly) {
+        throw new Error(`${manifestPath} has no "expected" block (use --print to only show what it extracts)`);
+    }
+
+    const documents = { ...(manifest.documents || {}) };
+    if (!Object.keys(documents).some(u => normalizeFixtureUrl(u) === normalizeFixtureUrl(manifest.url))) {
+        documents[manifest.url] = 'main.html';
+    }
+
+    return {
+        name: path.basename(caseDir),
+        dir: caseDir,
+        url: manifest.url,
+        documents,
+        expected: hasExpected ? manifest.expected : null
+    };
+}
+
+function listFixtures(fixturesDir) {
+    if (!fs.existsSync(fixturesDir)) return [];
+    return fs.readdirSync(fixturesDir)
+        .map(name => path.join(fixturesDir, name))
+        .filter(dir => fs.existsSync(path.join(dir, 'manifest.json')))
+        .sort();
+}
+
+/**
+ * Build the request resolver for one fixture: saved documents are answered
+ * (exact URL first, then ignoring the query string), everything else aborts
+ */
+function createFixtureResolver(fixture) {
+    const exact = new Map();
+    const loose = new Map();
+    for (const [url, file] of Object.entries(fixture.documents)) {
+        const filePath = path.join(fixture.dir, file);
+        exact.set(normalizeFixtureUrl(url), filePath);
+        if (!loose.has(normalizeFixtureUrl(url, true))) loose.set(normalizeFixtureUrl(url, true), filePath);
+    }
+
+    return (requestUrl) => {
+        const filePath = exact.get(normalizeFixtureUrl(requestUrl)) || loose.get(normalizeFixtureUrl(requestUrl, true));
+        if (!filePath || !fs.existsSync(filePath)) return null;
+        return {
+            status: 200,
+            contentType: 'text/html; charset=utf-8',
+            headers: { 'content-security-policy': "script-src 'none'" },
+            body: fs.readFileSync(filePath, 'utf8')
+        };
+    };
+}
+
+function compareWithExpected(actual, expected) {
+    const mismatches = [];
+    for (const [key, value] of Object.entries(expected)) {
+        const got = actual[key] === undefined ? null : actual[key];
+        if (got !== value) mismatches.push({ field: key, expected: value, actual: got });
+    }
+    return mismatches;
+}
+
+async function runFixture(browser, fixture) {
+    setFixtureResolver(createFixtureResolver(fixture));
+    try {
+        const result = await extractAllInOneVisit(fixture.url, browser, true, true, '', 1);
+        return { name: fixture.name, result, mismatches: fixture.expected ? compareWithExpected(result, fixture.expected) : [] };
+    } finally {
+        setFixtureResolver(null);
+    }
+}
+
+async function runFixtures(fixturesDir = DEFAULT_FIXTURES_DIR, { only = null, printOnly = false } = {}) {
+    const caseDirs = listFixtures(fixturesDir).filter(dir => !only || path.basename(dir) === only);
+    if (caseDirs.length === 0) {
+        console.log(`📂 No fixtures found in ${fixturesDir}${only ? ` (case: ${only})` : ''}`);
+        return [];
+    }
+
+    console.log(`🧪 Replaying ${caseDirs.length} fixture(s) from ${fixturesDir}\n`);
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--mute-audio'],
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || null
+    });
+
+    const outcomes = [];
+    try {
+        for (const caseDir of caseDirs) {
+            console.log(`▶️ ${path.basename(caseDir)}`);
+            let outcome;
+            try {
+                outcome = await runFixture(browser, loadFixture(caseDir, { printOnly }));
+            } catch (error) {
+                outcome = { name: path.basename(caseDir), result: null, mismatches: [{ field: 'error', expected: null, actual: error.message }] };
+            }
+            outcomes.push(outcome);
+
+            if (printOnly && outcome.result) {
+                for (const field of ['appName', 'storeLink', 'appSubtitle']) {
+                    console.log(`  ${field}: ${JSON.stringify(outcome.result[field] ?? null)}`);
+                }
+            }
+            if (outcome.mismatches.length === 0) {
+                console.log(printOnly ? '' : `  ✅ Matches expected\n`);
+            } else {
+                outcome.mismatches.forEach(m => {
+                    console.log(`  ❌ ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+                });
+                console.log('');
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+
+    const failed = outcomes.filter(o => o.mismatches.length > 0).length;
+    console.log(`🏁 Fixtures: ${outcomes.length - failed} passed, ${failed} failed`);
+    return outcomes;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dir = args.find(a => !a.startsWith('--')) || DEFAULT_FIXTURES_DIR;
+    const only = (args.find(a => a.startsWith('--case=')) || '').slice('--case='.length) || null;
+    const printOnly = args.includes('--print');
+
+    runFixtures(dir, { only, printOnly })
+        .then(outcomes => process.exit(outcomes.some(o => o.mismatches.length > 0) ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Fatal error:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    loadFixture,
+    listFixtures,
+    createFixtureResolver,
+    compareWithExpected,
+    runFixture,
+    runFixtures
+};
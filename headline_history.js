@@ -0,0 +1,215 @@
+/**
+ * HEADLINE HISTORY
+ * ================
+ * Every headline (column E) ever seen for an app, kept in a local SQLite file so
+ * changes in an app's ad copy survive rows being re-extracted. data_aggregator.js
+ * feeds it the master rows at the end of each run; headlines first recorded in
+ * that run are written to the 'New Headlines' tab for the copy team.
+ *
+ *   headlines (app_id, headline_key, headline, app_name, advertiser, creative_url,
+ *              first_seen, last_seen, first_run)
+ *   runs      (id, started_at, new_headlines)
+ *
+ * Apps are keyed like the Apps rollup (package or App Store ID, see rollups.js);
+ * headlines on a normalized form (case, punctuation, emoji and spacing ignored).
+ * Advertiser and creative URL are those of the first sighting. Seen dates come from
+ * Date Added / Last Attempt, or the run time for rows without a date.
+ *
+ * The first run records every existing headline as new. Report of the latest run:
+ *   node headline_history.js report [--run=<id>]
+ */
+
+const { openDatabase, saveDatabase, queryAll, queryOne, inTransaction } = require('./sqlite_db');
+const { describeMasterRow, rewriteTab } = require('./rollups');
+const { canonicalCreativeUrl } = require('./url_normalizer');
+
+const HEADLINE_HISTORY_PATH = process.env.HEADLINE_HISTORY_PATH || './headline_history.sqlite';
+const NEW_HEADLINES_TAB = process.env.NEW_HEADLINES_TAB || 'New Headlines';
+
+const NEW_HEADLINES_HEADER = ['App ID', 'App Name', 'Headline', 'Advertiser', 'Creative URL', 'First Seen'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS headlines (
+        app_id TEXT NOT NULL,
+        headline_key TEXT NOT NULL,
+        headline TEXT NOT NULL,
+        app_name TEXT NOT NULL DEFAULT '',
+        advertiser TEXT NOT NULL DEFAULT '',
+        creative_url TEXT NOT NULL DEFAULT '',
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        first_run INTEGER NOT NULL,
+        PRIMARY KEY (app_id, headline_key)
+    );
+    CREATE INDEX IF NOT EXISTS headlines_by_run ON headlines (first_run);
+    CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        new_headlines INTEGER NOT NULL DEFAULT 0
+    );
+`;
+
+// Comparison form of a headline: "Play NOW!! 🎉" and "play now" are the same headline
+function normalizeHeadline(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * (app, headline) sightings in master rows (fieldsFromRow)
+ * Returns [{ appId, appName, headline, headlineKey, advertiser, creativeUrl, seenAt }]
+ */
+function headlineSightings(masterRows) {
+    const sightings = [];
+    for (const fields of masterRows) {
+        const row = describeMasterRow(fields);
+        const headlineKey = normalizeHeadline(row.headline);
+        if (!headlineKey) continue;
+        for (const app of row.apps) {
+            sightings.push({
+                appId: app.id,
+                appName: row.appName,
+                headline: row.headline,
+                headlineKey,
+                advertiser: row.advertiserName || row.advertiserId,
+                creativeUrl: canonicalCreativeUrl(fields.adsUrl) || fields.adsUrl,
+                seenAt: row.seenAt
+            });
+        }
+    }
+    return sightings;
+}
+
+/**
+ * Open the history file
+ * Returns { recordRun, newHeadlines, latestRun, close }
+ */
+async function openHeadlineHistory({ filePath = HEADLINE_HISTORY_PATH } = {}) {
+    const db = await openDatabase(filePath);
+    db.exec(SCHEMA);
+
+    // Headlines first recorded in a run, ordered by app
+    const newHeadlines = (runId) => queryAll(db, `SELECT app_id, app_name, headline, advertiser, creative_url, first_seen FROM headlines
+        WHERE first_run = ? ORDER BY app_id, first_seen`, [runId])
+        .map(h => ({
+            appId: h.app_id,
+            appName: h.app_name,
+            headline: h.headline,
+            advertiser: h.advertiser,
+            creativeUrl: h.creative_url,
+            firstSeen: h.first_seen
+        }));
+
+    return {
+        /**
+         * Record one run's sightings; returns { runId, newHeadlines } where newHeadlines
+         * are the (app, headline) pairs this run saw first
+         */
+        recordRun(sightings, now = Date.now()) {
+            const runTime = new Date(now).toISOString();
+            const runId = inTransaction(db, () => {
+                db.run('INSERT INTO runs (started_at) VALUES (?)', [runTime]);
+                const { id } = queryOne(db, 'SELECT last_insert_rowid() AS id');
+
+                for (const s of sightings) {
+                    const seen = s.seenAt === null ? runTime : new Date(s.seenAt).toISOString();
+                    db.run(`INSERT INTO headlines (app_id, headline_key, headline, app_name, advertiser, creative_url, first_seen, last_seen, first_run)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                            ON CONFLICT (app_id, headline_key) DO UPDATE SET
+                                first_seen = MIN(first_seen, excluded.first_seen),
+                                last_seen = MAX(last_seen, excluded.last_seen),
+                                app_name = CASE WHEN app_name = '' THEN excluded.app_name ELSE app_name END`,
+                        [s.appId, s.headlineKey, s.headline, s.appName, s.advertiser, s.creativeUrl, seen, seen, id]);
+                }
+
+                const { count } = queryOne(db, 'SELECT COUNT(*) AS count FROM headlines WHERE first_run = ?', [id]);
+                db.run('UPDATE runs SET new_headlines = ? WHERE id = ?', [count, id]);
+                return id;
+            });
+            saveDatabase(db, filePath);
+            return { runId, newHeadlines: newHeadlines(runId) };
+        },
+
+        newHeadlines,
+
+        // { id, startedAt, newHeadlines } of the last recorded run, or null
+        latestRun() {
+            const run = queryOne(db, 'SELECT id, started_at, new_headlines FROM runs ORDER BY id DESC LIMIT 1');
+            return run ? { id: run.id, startedAt: run.started_at, newHeadlines: run.new_headlines } : null;
+        },
+
+        close() {
+            saveDatabase(db, filePath);
+            db.close();
+        }
+    };
+}
+
+/**
+ * Aggregator step: record the headlines of the master rows and rewrite the
+ * 'New Headlines' tab with the ones this run saw first
+ */
+async function updateHeadlineHistory(storage, spreadsheetId, masterRows, { filePath = HEADLINE_HISTORY_PATH } = {}) {
+    console.log(`\n📰 Updating headline history (${filePath})...`);
+    const history = await openHeadlineHistory({ filePath });
+    try {
+        const { newHeadlines } = history.recordRun(headlineSightings(masterRows));
+        const rows = newHeadlines.map(h => [h.appId, h.appName, h.headline, h.advertiser, h.creativeUrl, h.firstSeen.slice(0, 10)]);
+        await rewriteTab(storage, spreadsheetId, NEW_HEADLINES_TAB, NEW_HEADLINES_HEADER, rows);
+        console.log(`   ✅ ${NEW_HEADLINES_TAB}: ${newHeadlines.length} new headlines this run`);
+        return newHeadlines;
+    } finally {
+        history.close();
+    }
+}
+
+module.exports = {
+    HEADLINE_HISTORY_PATH,
+    NEW_HEADLINES_TAB,
+    NEW_HEADLINES_HEADER,
+    normalizeHeadline,
+    headlineSightings,
+    openHeadlineHistory,
+    updateHeadlineHistory
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const runOption = (args.find(a => a.startsWith('--run=')) || '').slice('--run='.length);
+
+    if (args[0] !== 'report') {
+        console.error('Usage: node headline_history.js report [--run=<id>]');
+        process.exit(1);
+    }
+
+    (async () => {
+        const history = await openHeadlineHistory();
+        try {
+            const latest = history.latestRun();
+            const runId = parseInt(runOption) || latest?.id;
+            if (!runId) {
+                console.log('📰 No runs recorded yet');
+                return;
+            }
+
+            const headlines = history.newHeadlines(runId);
+            console.log(`📰 ${headlines.length} new headlines in run ${runId}${runId === latest?.id ? ` (${latest.startedAt})` : ''}`);
+            let appId = null;
+            for (const h of headlines) {
+                if (h.appId !== appId) {
+                    appId = h.appId;
+                    console.log(`\n${h.appName || h.appId} (${h.appId})`);
+                }
+                console.log(`   • ${h.headline} - ${h.advertiser}, ${h.firstSeen.slice(0, 10)}`);
+            }
+        } finally {
+            history.close();
+        }
+    })().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
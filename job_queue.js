@@ -0,0 +1,173 @@
+/**
+ * PERSISTENT JOB QUEUE
+ * ====================
+ * Tracks the rows the agent has to process in a local SQLite file, so a run that
+ * hits MAX_RUNTIME or crashes picks up the rows it had left instead of rescanning
+ * the whole sheet. The sheet is only scanned again once the queue is drained.
+ *
+ * Row states:
+ *   pending    Queued, waiting for a worker
+ *   in_flight  Taken by the running agent (back to pending on the next start, e.g. after a crash)
+ *   done       Result written (app found, or NOT_FOUND)
+ *   failed     ERROR written
+ *   blocked    BLOCKED written
+ *
+ * Jobs are kept per spreadsheet, tab and scan (e.g. "middle-out:lower:20000"), so
+ * differently configured agents never share a list.
+ *
+ * The file is written once per batch, when recordResults stores its results (and
+ * on enqueue, recoverInFlight and close). State changes before that (markInFlight,
+ * release, skip) stay in memory: if the run dies first, those rows are simply
+ * pending again on the next start, which is what recoverInFlight would make them.
+ */
+
+const { openDatabase, saveDatabase, queryAll, queryOne, inTransaction } = require('./sqlite_db');
+
+const JOB_QUEUE_PATH = process.env.JOB_QUEUE_PATH || './job_queue.sqlite';
+const JOB_STATES = ['pending', 'in_flight', 'done', 'failed', 'blocked'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS jobs (
+        spreadsheet_id TEXT NOT NULL,
+        tab TEXT NOT NULL,
+        scan TEXT NOT NULL,
+        row_index INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_result TEXT,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (spreadsheet_id, tab, scan, row_index)
+    );
+    CREATE INDEX IF NOT EXISTS jobs_by_state ON jobs (spreadsheet_id, tab, scan, state, position);
+`;
+
+// Queue state for a result written by batchWriteToSheet
+function jobStateForResult(result) {
+    const values = [result.storeLink, result.appName];
+    if (values.includes('BLOCKED')) return 'blocked';
+    if (values.includes('ERROR')) return 'failed';
+    return 'done';
+}
+
+function describeResult(result) {
+    if (result.storeLink === 'NOT_FOUND' && result.appName === 'NOT_FOUND') return 'NOT_FOUND';
+    const state = jobStateForResult(result);
+    return state === 'done' ? 'FOUND' : state.toUpperCase();
+}
+
+/**
+ * Open the queue for one spreadsheet tab and scan
+ * Returns { recoverInFlight, pendingJobs, enqueue, markInFlight, release, skip, recordResults, stats, close }
+ */
+async function openJobQueue({ spreadsheetId, tab, scan, filePath = JOB_QUEUE_PATH }) {
+    const db = await openDatabase(filePath);
+    db.exec(SCHEMA);
+    const key = [spreadsheetId, tab, scan];
+    const now = () => new Date().toISOString();
+
+    const setState = (items, state, lastResult = null, countAttempt = false) => {
+        inTransaction(db, () => {
+            for (const item of items) {
+                db.run(`UPDATE jobs SET state = ?, attempts = attempts + ?, last_result = COALESCE(?, last_result), updated_at = ?
+                        WHERE spreadsheet_id = ? AND tab = ? AND scan = ? AND row_index = ?`,
+                    [state, countAttempt ? 1 : 0, typeof lastResult === 'function' ? lastResult(item) : lastResult, now(), ...key, item.rowIndex]);
+            }
+        });
+    };
+
+    return {
+        // Rows left in_flight by a run that died go back to pending; returns how many
+        recoverInFlight() {
+            const { count } = queryOne(db, `SELECT COUNT(*) AS count FROM jobs
+                WHERE spreadsheet_id = ? AND tab = ? AND scan = ? AND state = 'in_flight'`, key);
+            if (count > 0) {
+                db.run(`UPDATE jobs SET state = 'pending', updated_at = ?
+                        WHERE spreadsheet_id = ? AND tab = ? AND scan = ? AND state = 'in_flight'`, [now(), ...key]);
+                saveDatabase(db, filePath);
+            }
+            return count;
+        },
+
+        // Pending rows in the order they were queued, shaped like getUrlData() items
+        pendingJobs() {
+            return queryAll(db, `SELECT row_index, url, attempts FROM jobs
+                WHERE spreadsheet_id = ? AND tab = ? AND scan = ? AND state = 'pending' ORDER BY position`, key)
+                .map(job => ({
+                    url: job.url,
+                    rowIndex: job.row_index,
+                    needsMetadata: true,
+                    needsVideoId: true,
+                    existingStoreLink: '',
+                    attempts: job.attempts
+                }));
+        },
+
+        // Queue getUrlData() items in scan order; rows already known are reset to pending
+        enqueue(items) {
+            const { start } = queryOne(db, `SELECT COALESCE(MAX(position), -1) + 1 AS start FROM jobs
+                WHERE spreadsheet_id = ? AND tab = ? AND scan = ?`, key);
+            inTransaction(db, () => {
+                items.forEach((item, i) => {
+                    db.run(`INSERT INTO jobs (spreadsheet_id, tab, scan, row_index, url, position, state, updated_at)
+                            VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)
+                            ON CONFLICT (spreadsheet_id, tab, scan, row_index) DO UPDATE SET
+                                url = excluded.url, position = excluded.position, state = 'pending', updated_at = excluded.updated_at`,
+                        [...key, item.rowIndex, item.url, start + i, now()]);
+                });
+            });
+            saveDatabase(db, filePath);
+            return items.length;
+        },
+
+        markInFlight(items) {
+            setState(items, 'in_flight');
+        },
+
+        // Rows another worker holds go back to pending
+        release(items) {
+            if (items.length > 0) setState(items, 'pending');
+        },
+
+        // Rows that turned out to need no work (e.g. another worker filled them in)
+        skip(items, reason) {
+            if (items.length > 0) setState(items, 'done', reason);
+        },
+
+        // After batchWriteToSheet: written rows take the state of their result,
+        // rows whose write failed go back to pending. Saves the file (once per batch)
+        recordResults(results, written) {
+            if (!written) {
+                setState(results, 'pending', 'WRITE_FAILED', true);
+            } else {
+                for (const state of ['done', 'failed', 'blocked']) {
+                    const matching = results.filter(r => jobStateForResult(r) === state);
+                    if (matching.length > 0) setState(matching, state, describeResult, true);
+                }
+            }
+            saveDatabase(db, filePath);
+        },
+
+        // Row count per state
+        stats() {
+            const counts = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+            queryAll(db, `SELECT state, COUNT(*) AS count FROM jobs
+                WHERE spreadsheet_id = ? AND tab = ? AND scan = ? GROUP BY state`, key)
+                .forEach(row => { counts[row.state] = row.count; });
+            return counts;
+        },
+
+        close() {
+            saveDatabase(db, filePath);
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    JOB_QUEUE_PATH,
+    JOB_STATES,
+    jobStateForResult,
+    openJobQueue
+};
@@ -0,0 +1,390 @@
+/**
+ * MOCK GOOGLE SHEETS API SERVER
+ * =============================
+ * Local stand-in for the subset of the Sheets v4 REST API used by the
+ * extraction agent and the aggregator, so full runs can be tested offline:
+ *
+ *   GET  /v4/spreadsheets/{id}                       spreadsheets.get (gridProperties)
+ *   POST /v4/spreadsheets/{id}:batchUpdate           spreadsheets.batchUpdate (addSheet, appendDimension)
+ *   GET  /v4/spreadsheets/{id}/values/{range}        values.get
+ *   GET  /v4/spreadsheets/{id}/values:batchGet       values.batchGet
+ *   PUT  /v4/spreadsheets/{id}/values/{range}        values.update
+ *   POST /v4/spreadsheets/{id}/values/{range}:append values.append
+ *   POST /v4/spreadsheets/{id}/values:batchUpdate    values.batchUpdate
+ *
+ * State is kept in memory and, when a state file is given, saved to it after
+ * every write. State / seed format (one entry per spreadsheet and tab):
+ *   {
+ *     "<spreadsheetId>": {
+ *       "Text Ads data": [["Advertiser Name", "Ads URL", ...], ["...", "..."]],
+ *       "Other tab": { "rowCount": 5000, "rows": [[...]] }
+ *     }
+ *   }
+ * Tabs get 1000 rows / 26 columns like a new Google Sheet unless rowCount/columnCount is given.
+ * As in the real API, writes outside that grid fail with 400 "exceeds grid limits";
+ * only values.append and an appendDimension request grow it.
+ *
+ * Point the agent or aggregator at it with SHEETS_API_URL (no credentials.json needed):
+ *   node mock_sheets_server.js --port=8787 --state=mock_sheets.json
+ *   SHEETS_API_URL=http://localhost:8787/ node data_aggregator.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { parseA1Range, formatA1Range, trimValues } = require('./a1_notation');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+
+// ============================================
+// IN-MEMORY STATE
+// ============================================
+class ApiError extends Error {
+    constructor(code, status, message) {
+        super(message);
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function normalizeTab(title, tab, sheetId) {
+    const rows = Array.isArray(tab) ? tab : (tab.rows || []);
+    return {
+        sheetId,
+        title,
+        rowCount: Math.max(tab.rowCount || DEFAULT_ROW_COUNT, rows.length),
+        columnCount: Math.max(tab.columnCount || DEFAULT_COLUMN_COUNT, ...rows.map(r => r.length)),
+        rows: rows.map(row => row.map(cellToString))
+    };
+}
+
+function cellToString(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function createState(seed = {}) {
+    const spreadsheets = new Map();
+    for (const [spreadsheetId, tabs] of Object.entries(seed)) {
+        spreadsheets.set(spreadsheetId, Object.entries(tabs).map(([title, tab], i) => normalizeTab(title, tab, i)));
+    }
+    return spreadsheets;
+}
+
+function serializeState(spreadsheets) {
+    const out = {};
+    for (const [spreadsheetId, tabs] of spreadsheets) {
+        out[spreadsheetId] = Object.fromEntries(tabs.map(tab => [
+            tab.title,
+            { rowCount: tab.rowCount, columnCount: tab.columnCount, rows: tab.rows }
+        ]));
+    }
+    return out;
+}
+
+function getSpreadsheet(spreadsheets, spreadsheetId) {
+    const tabs = spreadsheets.get(spreadsheetId);
+    if (!tabs) throw new ApiError(404, 'NOT_FOUND', 'Requested entity was not found.');
+    return tabs;
+}
+
+function getTab(tabs, range) {
+    let parsed;
+    try {
+        parsed = parseA1Range(range);
+    } catch (e) {
+        throw new ApiError(400, 'INVALID_ARGUMENT', e.message);
+    }
+    const tab = tabs.find(t => t.title === parsed.sheetName);
+    if (!tab) throw new ApiError(400, 'INVALID_ARGUMENT', `Unable to parse range: ${range}`);
+    return { tab, parsed };
+}
+
+function readValues(tab, parsed) {
+    const endRow = Math.min(parsed.endRow || tab.rowCount, tab.rowCount);
+    const endCol = parsed.endCol === null ? tab.columnCount - 1 : parsed.endCol;
+    const values = [];
+
+    for (let r = parsed.startRow; r <= endRow; r++) {
+        values.push((tab.rows[r - 1] || []).slice(parsed.startCol, endCol + 1));
+    }
+    // Like the real API: empty rows in between come back as []
+    return { range: formatA1Range(tab.title, parsed.startRow, endRow, parsed.startCol, endCol), values: trimValues(values) };
+}
+
+function writeValues(tab, startRow, startCol, values) {
+    values.forEach((row, i) => {
+        const r = startRow - 1 + i;
+        while (tab.rows.length <= r) tab.rows.push([]);
+        (row || []).forEach((value, j) => {
+            const target = tab.rows[r];
+            while (target.length <= startCol + j) target.push('');
+            target[startCol + j] = cellToString(value);
+        });
+    });
+
+    const width = Math.max(1, ...values.map(row => (row || []).length));
+
+    return {
+        updatedRange: formatA1Range(tab.title, startRow, startRow + values.length - 1, startCol, startCol + width - 1),
+        updatedRows: values.length,
+        updatedColumns: width,
+        updatedCells: values.reduce((sum, row) => sum + (row || []).length, 0)
+    };
+}
+
+// Reject a write that does not fit the tab's grid (same error text as the Sheets API)
+function checkGrid(tab, range, startRow, startCol, values) {
+    const endRow = startRow - 1 + values.length;
+    const endCol = startCol + Math.max(0, ...values.map(row => (row || []).length));
+    if (endRow > tab.rowCount || endCol > tab.columnCount) {
+        throw new ApiError(400, 'INVALID_ARGUMENT',
+            `Range (${range}) exceeds grid limits. Max rows: ${tab.rowCount}, max columns: ${tab.columnCount}`);
+    }
+}
+
+// Last row (1-based) with any value inside the columns of the range, at or below its start row
+function lastDataRow(tab, parsed) {
+    for (let r = tab.rows.length; r >= parsed.startRow; r--) {
+        const row = tab.rows[r - 1] || [];
+        const cells = parsed.endCol === null ? row.slice(parsed.startCol) : row.slice(parsed.startCol, parsed.endCol + 1);
+        if (cells.some(cell => cell !== '')) return r;
+    }
+    return parsed.startRow - 1;
+}
+
+// ============================================
+// REQUEST HANDLERS
+// ============================================
+function spreadsheetsGet(spreadsheets, spreadsheetId, query) {
+    const tabs = getSpreadsheet(spreadsheets, spreadsheetId);
+    const ranges = query.getAll('ranges');
+    const selected = ranges.length > 0 ? ranges.map(range => getTab(tabs, range).tab) : tabs;
+
+    return {
+        spreadsheetId,
+        sheets: selected.map(tab => ({
+            properties: {
+                sheetId: tab.sheetId,
+                title: tab.title,
+                index: tabs.indexOf(tab),
+                sheetType: 'GRID',
+                gridProperties: { rowCount: tab.rowCount, columnCount: tab.columnCount }
+            }
+        }))
+    };
+}
+
+function spreadsheetsBatchUpdate(spreadsheets, spreadsheetId, body) {
+    const tabs = getSpreadsheet(spreadsheets, spreadsheetId);
+    const replies = [];
+
+    for (const request of body.requests || []) {
+        if (request.appendDimension) {
+            const { sheetId, dimension, length } = request.appendDimension;
+            const tab = tabs.find(t => t.sheetId === sheetId);
+            if (!tab) throw new ApiError(400, 'INVALID_ARGUMENT', `Invalid requests[${replies.length}].appendDimension: No grid with id: ${sheetId}`);
+            if (dimension === 'ROWS') tab.rowCount += length;
+            else tab.columnCount += length;
+            replies.push({});
+            continue;
+        }
+        if (!request.addSheet) {
+            throw new ApiError(400, 'INVALID_ARGUMENT', `Unsupported request: ${Object.keys(request).join(', ')}`);
+        }
+        const properties = request.addSheet.properties || {};
+        const title = properties.title || `Sheet${tabs.length + 1}`;
+        if (tabs.some(t => t.title === title)) {
+            throw new ApiError(400, 'INVALID_ARGUMENT',
+                `Invalid requests[${replies.length}].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+        }
+        const tab = normalizeTab(title, { rows: [], ...(properties.gridProperties || {}) }, Math.max(-1, ...tabs.map(t => t.sheetId)) + 1);
+        tabs.push(tab);
+        replies.push({
+            addSheet: {
+                properties: {
+                    sheetId: tab.sheetId,
+                    title: tab.title,
+                    index: tabs.length - 1,
+                    sheetType: 'GRID',
+                    gridProperties: { rowCount: tab.rowCount, columnCount: tab.columnCount }
+                }
+            }
+        });
+    }
+
+    return { spreadsheetId, replies };
+}
+
+function valuesGet(spreadsheets, spreadsheetId, range) {
+    const { tab, parsed } = getTab(getSpreadsheet(spreadsheets, spreadsheetId), range);
+    const { range: resolved, values } = readValues(tab, parsed);
+    return { range: resolved, majorDimension: 'ROWS', ...(values.length > 0 ? { values } : {}) };
+}
+
+function valuesBatchGet(spreadsheets, spreadsheetId, query) {
+    const tabs = getSpreadsheet(spreadsheets, spreadsheetId);
+    const valueRanges = query.getAll('ranges').map(range => {
+        const { tab, parsed } = getTab(tabs, range);
+        const { range: resolved, values } = readValues(tab, parsed);
+        return { range: resolved, majorDimension: 'ROWS', ...(values.length > 0 ? { values } : {}) };
+    });
+    return { spreadsheetId, valueRanges };
+}
+
+function valuesUpdate(spreadsheets, spreadsheetId, range, body) {
+    const { tab, parsed } = getTab(getSpreadsheet(spreadsheets, spreadsheetId), range);
+    checkGrid(tab, range, parsed.startRow, parsed.startCol, body.values || []);
+    return { spreadsheetId, ...writeValues(tab, parsed.startRow, parsed.startCol, body.values || []) };
+}
+
+function valuesBatchUpdate(spreadsheets, spreadsheetId, body) {
+    const tabs = getSpreadsheet(spreadsheets, spreadsheetId);
+    // Resolve every range first so a bad range fails the whole batch, as the real API does
+    const writes = (body.data || []).map(entry => ({ ...getTab(tabs, entry.range), range: entry.range, values: entry.values || [] }));
+    writes.forEach(({ tab, parsed, range, values }) => checkGrid(tab, range, parsed.startRow, parsed.startCol, values));
+    const responses = writes.map(({ tab, parsed, values }) => ({ spreadsheetId, ...writeValues(tab, parsed.startRow, parsed.startCol, values) }));
+
+    return {
+        spreadsheetId,
+        totalUpdatedRows: responses.reduce((sum, r) => sum + r.updatedRows, 0),
+        totalUpdatedCells: responses.reduce((sum, r) => sum + r.updatedCells, 0),
+        totalUpdatedSheets: new Set(writes.map(w => w.tab.title)).size,
+        responses
+    };
+}
+
+function valuesAppend(spreadsheets, spreadsheetId, range, body, query) {
+    const { tab, parsed } = getTab(getSpreadsheet(spreadsheets, spreadsheetId), range);
+    const values = body.values || [];
+    const startRow = lastDataRow(tab, parsed) + 1;
+
+    if (query.get('insertDataOption') === 'INSERT_ROWS') {
+        tab.rows.splice(startRow - 1, 0, ...values.map(() => []));
+        tab.rowCount += values.length;
+    }
+    // Appending is the one write that grows the grid to fit
+    tab.rowCount = Math.max(tab.rowCount, startRow - 1 + values.length);
+    tab.columnCount = Math.max(tab.columnCount, parsed.startCol + Math.max(0, ...values.map(row => (row || []).length)));
+
+    return {
+        spreadsheetId,
+        tableRange: startRow > parsed.startRow
+            ? formatA1Range(tab.title, parsed.startRow, startRow - 1, parsed.startCol, parsed.endCol === null ? tab.columnCount - 1 : parsed.endCol)
+            : undefined,
+        updates: { spreadsheetId, ...writeValues(tab, startRow, parsed.startCol, values) }
+    };
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (e) {
+                reject(new ApiError(400, 'INVALID_ARGUMENT', `Invalid JSON payload: ${e.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function route(spreadsheets, method, pathname, query, body) {
+    const match = pathname.match(/^\/v4\/spreadsheets\/([^/:]+)(.*)$/);
+    if (!match) throw new ApiError(404, 'NOT_FOUND', `Unknown path: ${pathname}`);
+    const spreadsheetId = decodeURIComponent(match[1]);
+    const rest = match[2];
+
+    if (rest === '' && method === 'GET') return { result: spreadsheetsGet(spreadsheets, spreadsheetId, query) };
+    if (rest === ':batchUpdate' && method === 'POST') return { result: spreadsheetsBatchUpdate(spreadsheets, spreadsheetId, body), changed: true };
+    if (rest === '/values:batchGet' && method === 'GET') return { result: valuesBatchGet(spreadsheets, spreadsheetId, query) };
+    if (rest === '/values:batchUpdate' && method === 'POST') return { result: valuesBatchUpdate(spreadsheets, spreadsheetId, body), changed: true };
+
+    if (rest.startsWith('/values/')) {
+        const rawRange = rest.slice('/values/'.length);
+        if (rawRange.endsWith(':append') && method === 'POST') {
+            const range = decodeURIComponent(rawRange.slice(0, -':append'.length));
+            return { result: valuesAppend(spreadsheets, spreadsheetId, range, body, query), changed: true };
+        }
+        const range = decodeURIComponent(rawRange);
+        if (method === 'GET') return { result: valuesGet(spreadsheets, spreadsheetId, range) };
+        if (method === 'PUT') return { result: valuesUpdate(spreadsheets, spreadsheetId, range, body), changed: true };
+    }
+
+    throw new ApiError(404, 'NOT_FOUND', `Unsupported method: ${method} ${pathname}`);
+}
+
+/**
+ * Create (but do not start) a mock server
+ * Options: { spreadsheets: seed state, stateFile: path to load from / save to }
+ * Returns { server, spreadsheets, listen(port) -> url, close(), snapshot() }
+ */
+function createMockSheetsServer({ spreadsheets: seed = null, stateFile = null } = {}) {
+    const initial = seed || (stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {});
+    const spreadsheets = createState(initial);
+    const save = () => {
+        if (stateFile) fs.writeFileSync(stateFile, JSON.stringify(serializeState(spreadsheets), null, 2));
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(payload));
+        };
+
+        try {
+            const body = req.method === 'GET' ? {} : await readBody(req);
+            const { result, changed } = route(spreadsheets, req.method, url.pathname, url.searchParams, body);
+            if (changed) save();
+            send(200, result);
+        } catch (error) {
+            const apiError = error instanceof ApiError ? error : new ApiError(500, 'INTERNAL', error.message);
+            send(apiError.code, { error: { code: apiError.code, message: apiError.message, status: apiError.status } });
+        }
+    });
+
+    return {
+        server,
+        spreadsheets,
+        listen(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/`));
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+        // Current state in the seed/state-file format
+        snapshot() {
+            return serializeState(spreadsheets);
+        }
+    };
+}
+
+if (require.main === module) {
+    const option = (name) => (process.argv.find(a => a.startsWith(`--${name}=`)) || '').slice(name.length + 3) || null;
+    const port = parseInt(option('port')) || DEFAULT_PORT;
+    const stateFile = option('state');
+    const mock = createMockSheetsServer({ stateFile });
+
+    mock.listen(port).then(url => {
+        console.log(`🧪 Mock Sheets API listening on ${url}`);
+        console.log(`   State: ${stateFile ? stateFile : 'in memory'} (${mock.spreadsheets.size} spreadsheet(s))`);
+        console.log(`   Use: SHEETS_API_URL=${url} node data_aggregator.js`);
+    }).catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createMockSheetsServer
+};
@@ -0,0 +1,102 @@
+/**
+ * EXTRACTION PROVENANCE
+ * =====================
+ * The agent finds the same field in very different ways - a real Play Store link
+ * is far more trustworthy than "first package in the frame". Every extraction
+ * path records which strategy produced each field in result.sources, e.g.
+ *   result.sources = { storeLink: 'frame_first_package', appName: 'dom_container' }
+ * and batchWriteToSheet writes the strategies plus a confidence score next to the
+ * result (Link Source, Name Source, Headline Source, Confidence - see sheet_columns.js).
+ *
+ * Confidence is per strategy (0-1); the row's Confidence is the lowest of its
+ * filled fields, so filtering e.g. Confidence < 0.5 drops every guessed field.
+ *
+ * Link Check flags Play links whose package shares no words with the app name or
+ * advertiser ('unverified'), and lists the candidate packages validation rejected
+ * when no link was kept (see choosePackage in extraction_helpers.js).
+ */
+
+const { extractedValue } = require('./retry_policy');
+const { checkStoreLink } = require('./extraction_helpers');
+
+// Strategy -> confidence, per field
+const STRATEGY_CONFIDENCE = {
+    storeLink: {
+        visible_link: 0.95,         // Play/App Store link on a visible link or button
+        dom_link: 0.95,             // App name link (link selectors)
+        dom_install_button: 0.9,    // Install button href
+        frame_only_package: 0.7,    // Only package in the ad frame
+        frame_best_match: 0.6,      // Package sharing words with the app name
+        config_package: 0.5,        // ad_types_config.json package pattern, checked by choosePackage only
+        dom_package_search: 0.35,   // First package anywhere in the frame DOM
+        frame_first_package: 0.2    // First of several packages, nothing matched
+    },
+    appName: {
+        dom_container: 0.85,        // KDwhZb container span
+        config_selector: 0.8,       // ad_types_config.json app_name selectors
+        visible_near_link: 0.8,     // Bold/large text next to the store link
+        dom_link_text: 0.8,         // Text of the app name link
+        visible_pattern: 0.6,       // "App | Subtitle" text block
+        dom_text: 0.5,              // Generic heading/title selectors
+        dom_subtitle_prefix: 0.3,   // First sentence of the headline
+        page_title: 0.1             // Page <title>
+    },
+    appSubtitle: {
+        config_selector: 0.8,
+        dom_headline: 0.8,          // cS4Vcb headline selectors
+        visible_below_name: 0.7,    // Text right below the app name
+        visible_below_pattern: 0.6  // Text right below an "App | Subtitle" block
+    }
+};
+
+const DEFAULT_CONFIDENCE = 0.5; // Strategy missing from the table
+
+// pickBestPackage() strategy -> store link source
+const PACKAGE_PICK_SOURCES = { only: 'frame_only_package', best_match: 'frame_best_match', first: 'frame_first_package' };
+
+// Fields described by the provenance columns, in column order
+const PROVENANCE_FIELDS = ['storeLink', 'appName', 'appSubtitle'];
+
+function strategyConfidence(field, strategy) {
+    return STRATEGY_CONFIDENCE[field]?.[strategy] ?? DEFAULT_CONFIDENCE;
+}
+
+/**
+ * Sources and confidence of a result, for the sheet
+ * Fields without a real value get no source; confidence is '' when nothing was found
+ * Returns { sources: [link, name, headline], confidence }
+ */
+function describeProvenance(result) {
+    const sources = result.sources || {};
+    const filled = PROVENANCE_FIELDS.filter(field => extractedValue(result[field]));
+    const confidences = filled.map(field => strategyConfidence(field, sources[field]));
+
+    return {
+        sources: PROVENANCE_FIELDS.map(field => (filled.includes(field) ? sources[field] || 'unknown' : '')),
+        confidence: confidences.length > 0 ? Math.min(...confidences) : ''
+    };
+}
+
+/**
+ * Link Check value of a result: 'verified' / 'unverified' for a Play link,
+ * "rejected: <package> (<reasons>), ..." when validation dropped every candidate
+ */
+function describeLinkCheck(result) {
+    const names = { appName: extractedValue(result.appName), advertiserName: extractedValue(result.advertiserName) };
+    if (extractedValue(result.storeLink)) return checkStoreLink(result.storeLink, names);
+
+    const rejected = result.rejectedPackages || [];
+    if (rejected.length === 0) return '';
+    const listed = rejected.slice(0, 3).map(c => `${c.packageName} (${c.reasons.join('/')})`);
+    if (rejected.length > 3) listed.push(`+${rejected.length - 3} more`);
+    return `rejected: ${listed.join(', ')}`;
+}
+
+module.exports = {
+    STRATEGY_CONFIDENCE,
+    PROVENANCE_FIELDS,
+    PACKAGE_PICK_SOURCES,
+    strategyConfidence,
+    describeProvenance,
+    describeLinkCheck
+};
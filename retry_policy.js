@@ -0,0 +1,132 @@
+/**
+ * RETRY POLICY
+ * ============
+ * Decides when a row that gave no app data is tried again. batchWriteToSheet
+ * records every attempt in the retry columns (sheet_columns.js): Attempts,
+ * Last Attempt (ISO time), Error Reason, Not Found Count and Status
+ * (FOUND / NOT_FOUND / BLOCKED / ERROR). App Link, App Name and App Headline only
+ * ever hold extracted values.
+ *
+ *   BLOCKED / ERROR  Re-queued once the cool-down since the last attempt has passed
+ *   NOT_FOUND        Re-queued after the same cool-down until it has come back
+ *                    NOT_FOUND MAX_NOT_FOUND_ATTEMPTS times, then retired
+ *   Found            Never re-queued
+ *
+ *   RETRY_COOLDOWN_HOURS     Wait before a row is tried again (default: 24)
+ *   MAX_NOT_FOUND_ATTEMPTS   NOT_FOUND outcomes before a row is retired (default: 3)
+ *
+ * Rows written before the Status column existed keep their NOT_FOUND / BLOCKED / ERROR
+ * markers in App Link and App Name; they are read the same way and count as one
+ * attempt made at an unknown time. Such a row is not due until the scan has stamped
+ * a Last Attempt for it (legacyLastAttempt), spread over one cool-down so the legacy
+ * backlog comes due gradually instead of all in the first run. An App Name the aggregator copied from a team
+ * sheet (Name Source 'source_sheet') is not a result: such rows still need extraction.
+ */
+
+const { columnToIndex } = require('./a1_notation');
+const { COLUMN } = require('./sheet_columns');
+
+const RETRY_COOLDOWN_MS = (parseFloat(process.env.RETRY_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_NOT_FOUND_ATTEMPTS = parseInt(process.env.MAX_NOT_FOUND_ATTEMPTS) || 3;
+const RESULT_STATUSES = ['FOUND', 'NOT_FOUND', 'BLOCKED', 'ERROR'];
+const RESULT_MARKERS = RESULT_STATUSES.filter(status => status !== 'FOUND'); // Placeholders, never real values
+const SOURCE_SHEET_STRATEGY = 'source_sheet'; // Name Source of an App Name copied from a team sheet
+
+// Cell positions inside a row read from column A
+const INDEX = Object.fromEntries(
+    ['storeLink', 'appName', 'appSubtitle', 'attempts', 'lastAttempt', 'errorReason', 'notFoundAttempts', 'status', 'nameSource']
+        .map(key => [key, columnToIndex(COLUMN[key])])
+);
+
+const cell = (row, key) => String(row[INDEX[key]] ?? '').trim();
+
+// 'FOUND', 'NOT_FOUND', 'BLOCKED' or 'ERROR' for an extraction result (or the C/D cells of a row)
+function resultOutcome({ storeLink, appName }) {
+    const values = [storeLink, appName];
+    if (values.includes('BLOCKED')) return 'BLOCKED';
+    if (values.includes('ERROR')) return 'ERROR';
+    if (values.every(value => !value || value === 'NOT_FOUND')) return 'NOT_FOUND';
+    return 'FOUND';
+}
+
+// Extracted value to write, or '' for a missing value / marker
+function extractedValue(value) {
+    return value && !RESULT_MARKERS.includes(value) ? value : '';
+}
+
+// Outcome recorded for a sheet row, or null if it was never processed
+function rowOutcome(row) {
+    const status = cell(row, 'status').toUpperCase();
+    if (RESULT_STATUSES.includes(status)) return status;
+    const appName = cell(row, 'nameSource') === SOURCE_SHEET_STRATEGY ? '' : cell(row, 'appName');
+    if (!cell(row, 'storeLink') && !appName && !cell(row, 'appSubtitle')) return null;
+    return resultOutcome({ storeLink: cell(row, 'storeLink'), appName });
+}
+
+/**
+ * Retry counters of a sheet row
+ * Returns { attempts, lastAttempt (ms or null), errorReason, notFoundAttempts }
+ */
+function readRetryState(row) {
+    const outcome = rowOutcome(row);
+    const attempts = parseInt(cell(row, 'attempts'));
+    const notFoundAttempts = parseInt(cell(row, 'notFoundAttempts'));
+    const lastAttempt = Date.parse(cell(row, 'lastAttempt'));
+
+    return {
+        attempts: !isNaN(attempts) ? attempts : (outcome ? 1 : 0),
+        lastAttempt: isNaN(lastAttempt) ? null : lastAttempt,
+        errorReason: cell(row, 'errorReason'),
+        notFoundAttempts: !isNaN(notFoundAttempts) ? notFoundAttempts : (outcome === 'NOT_FOUND' ? 1 : 0)
+    };
+}
+
+// True when the row has never been processed or is due for another attempt
+function needsExtraction(row, now = Date.now()) {
+    const outcome = rowOutcome(row);
+    if (outcome === null) return true;
+    if (outcome === 'FOUND') return false;
+
+    const state = readRetryState(row);
+    if (outcome === 'NOT_FOUND' && state.notFoundAttempts >= MAX_NOT_FOUND_ATTEMPTS) return false;
+    // A legacy marker waits for its Last Attempt stamp (legacyLastAttempt)
+    return state.lastAttempt !== null && now - state.lastAttempt >= RETRY_COOLDOWN_MS;
+}
+
+/**
+ * Last Attempt to write for a legacy row (a marker but no Last Attempt), or null
+ * The time is a random point within the last cool-down, so stamped rows come due
+ * one by one over the next RETRY_COOLDOWN_HOURS
+ */
+function legacyLastAttempt(row, now = Date.now(), random = Math.random) {
+    const outcome = rowOutcome(row);
+    if (outcome === null || outcome === 'FOUND' || readRetryState(row).lastAttempt !== null) return null;
+    return new Date(now - Math.floor(random() * RETRY_COOLDOWN_MS)).toISOString();
+}
+
+// Counters and status to write back after an attempt with this result
+function nextRetryState(previous = {}, result, now = Date.now()) {
+    const outcome = resultOutcome(result);
+    return {
+        attempts: (previous.attempts || 0) + 1,
+        lastAttempt: new Date(now).toISOString(),
+        errorReason: outcome === 'FOUND' ? '' : (result.errorReason || outcome),
+        notFoundAttempts: (previous.notFoundAttempts || 0) + (outcome === 'NOT_FOUND' ? 1 : 0),
+        status: outcome
+    };
+}
+
+module.exports = {
+    RETRY_COOLDOWN_MS,
+    MAX_NOT_FOUND_ATTEMPTS,
+    RESULT_STATUSES,
+    RESULT_MARKERS,
+    SOURCE_SHEET_STRATEGY,
+    resultOutcome,
+    extractedValue,
+    rowOutcome,
+    readRetryState,
+    needsExtraction,
+    legacyLastAttempt,
+    nextRetryState
+};
@@ -0,0 +1,199 @@
+/**
+ * REVERSE SYNC
+ * ============
+ * Writes the agent's results from the master 'Text Ads data' tab back into the team
+ * source sheets, so rows the aggregator collected stop showing NOT_FOUND there.
+ * Source rows are matched to master rows on the Ads URL (same key as the aggregator's
+ * dedupe, see createRowKey), in every configured source sheet and tab:
+ *
+ *   Master C App Link      -> source C
+ *   Master D App Name      -> source D
+ *   Master E App Headline  -> source HEADLINE_COLUMN (default F, header 'App Headline')
+ *
+ * Only extracted values are copied. A source cell is only written when it is empty
+ * or holds a placeholder (NOT_FOUND / NOT FOUND / BLOCKED / ERROR); anything else was
+ * entered by a person (or an earlier sync) and is kept, even if the master differs.
+ * A tab whose HEADLINE_COLUMN header is neither empty nor 'App Headline' uses that
+ * column for something else: it is skipped and reported as failed.
+ *
+ *   node reverse_sync.js             Write the results
+ *   node reverse_sync.js --dry-run   Only list the cells that would be written
+ *
+ * The service account needs Editor access to the source sheets for a real run.
+ */
+
+const { createStorage } = require('./storage');
+const { columnToIndex, quoteSheetName } = require('./a1_notation');
+const { RESULT_MARKERS, SOURCE_SHEET_STRATEGY, extractedValue } = require('./retry_policy');
+const { readMasterRows } = require('./rollups');
+const { MASTER_SHEET_ID, MASTER_SHEET_NAME, loadSourceSheets, sourceTabNames, createRowKey } = require('./data_aggregator');
+
+const HEADLINE_COLUMN = (process.env.REVERSE_SYNC_HEADLINE_COLUMN || 'F').toUpperCase();
+const HEADLINE_HEADER = 'App Headline';
+const READ_BATCH_SIZE = 50000;
+const WRITE_BATCH_SIZE = 500; // Cells per batchUpdate request
+
+// Source column each result is written to, in source row order (A..HEADLINE_COLUMN)
+const SOURCE_COLUMNS = [
+    { key: 'storeLink', letter: 'C', index: 2 },
+    { key: 'appName', letter: 'D', index: 3 },
+    { key: 'headline', letter: HEADLINE_COLUMN, index: columnToIndex(HEADLINE_COLUMN) }
+];
+
+const PLACEHOLDERS = [...RESULT_MARKERS, 'NOT FOUND'];
+
+// True for cells the sync may fill: empty or a result placeholder
+function isPlaceholder(value) {
+    const text = String(value ?? '').trim().toUpperCase();
+    return text === '' || PLACEHOLDERS.includes(text);
+}
+
+/**
+ * Extracted values of the master rows, keyed like the aggregator's dedupe
+ * Returns Map key -> { storeLink, appName, headline } (rows without any result are left out)
+ */
+function masterResults(masterRows) {
+    const results = new Map();
+    for (const fields of masterRows) {
+        const result = {
+            storeLink: extractedValue(fields.storeLink),
+            // A name the aggregator copied from a team sheet is not a result
+            appName: fields.nameSource === SOURCE_SHEET_STRATEGY ? '' : extractedValue(fields.appName),
+            headline: extractedValue(fields.appSubtitle)
+        };
+        if (!result.storeLink && !result.appName && !result.headline) continue;
+
+        const key = createRowKey(fields.adsUrl);
+        const previous = results.get(key);
+        // Duplicate creatives: the row with a store link wins
+        if (!previous || (!previous.storeLink && result.storeLink)) results.set(key, result);
+    }
+    return results;
+}
+
+/**
+ * Cells to write into source rows read from startRow
+ * Returns { updates: [{ row, letter, key, value, previous }], kept } where kept counts
+ * result cells left alone because a person already filled them with something else
+ */
+function planTabUpdates(rows, results, startRow = 2) {
+    const updates = [];
+    let kept = 0;
+    rows.forEach((row, i) => {
+        const result = row[1] ? results.get(createRowKey(String(row[1]).trim())) : null;
+        if (!result) return;
+
+        for (const column of SOURCE_COLUMNS) {
+            const value = result[column.key];
+            const current = row[column.index] ?? '';
+            if (!value || String(current).trim() === value) continue;
+            if (!isPlaceholder(current)) {
+                kept++;
+                continue;
+            }
+            updates.push({ row: startRow + i, letter: column.letter, key: column.key, value, previous: String(current) });
+        }
+    });
+    return { updates, kept };
+}
+
+// Source rows of a tab (A..HEADLINE_COLUMN) from row 2, read in batches
+async function readSourceRows(storage, spreadsheetId, tabName) {
+    const totalRows = await storage.getRowCount(spreadsheetId, tabName);
+    const rows = [];
+    for (let startRow = 2; startRow <= totalRows; startRow += READ_BATCH_SIZE) {
+        const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
+        const values = await storage.getValues(spreadsheetId, `${quoteSheetName(tabName)}!A${startRow}:${HEADLINE_COLUMN}${endRow}`);
+        if (values.length === 0) break;
+        // Trailing empty rows are trimmed from the response; pad so indexes stay row numbers
+        rows.push(...values, ...Array.from({ length: endRow - startRow + 1 - values.length }, () => []));
+    }
+    return rows;
+}
+
+// Plan (and unless dryRun, write) one source tab; returns { updates, kept }
+// Throws when the tab's HEADLINE_COLUMN holds another column
+async function syncTab(storage, sheetConfig, tabName, results, dryRun) {
+    const quoted = quoteSheetName(tabName);
+    const [[header = ''] = []] = await storage.getValues(sheetConfig.id, `${quoted}!${HEADLINE_COLUMN}1`);
+    if (header.trim() && header.trim() !== HEADLINE_HEADER) {
+        throw new Error(`column ${HEADLINE_COLUMN} is "${header.trim()}", not "${HEADLINE_HEADER}" - skipped (set REVERSE_SYNC_HEADLINE_COLUMN)`);
+    }
+
+    const rows = await readSourceRows(storage, sheetConfig.id, tabName);
+    const { updates, kept } = planTabUpdates(rows, results);
+
+    const data = updates.map(u => ({ range: `${quoted}!${u.letter}${u.row}`, values: [[u.value]] }));
+    if (!header.trim() && updates.some(u => u.key === 'headline')) {
+        data.push({ range: `${quoted}!${HEADLINE_COLUMN}1`, values: [[HEADLINE_HEADER]] });
+    }
+
+    console.log(`   📑 ${sheetConfig.name} / ${tabName}: ${updates.length} cells to write, ${kept} kept`);
+    if (dryRun) {
+        for (const u of updates) console.log(`      ${u.letter}${u.row}: "${u.previous}" -> "${u.value}"`);
+    } else {
+        for (let i = 0; i < data.length; i += WRITE_BATCH_SIZE) {
+            await storage.batchUpdateValues(sheetConfig.id, data.slice(i, i + WRITE_BATCH_SIZE));
+        }
+    }
+    return { updates, kept };
+}
+
+/**
+ * Copy master results into every source tab
+ * masterRows: fields of the master rows (fieldsFromRow); read from the master tab if null
+ * Returns { written, kept, failedTabs } (written = cells planned in a dry run)
+ */
+async function reverseSync(storage, sourceSheets, { masterRows = null, dryRun = false } = {}) {
+    console.log(`\n🔁 Syncing results back to ${sourceSheets.length} source sheets${dryRun ? ' (dry run, nothing is written)' : ''}...`);
+    const results = masterResults(masterRows || await readMasterRows(storage, MASTER_SHEET_ID, MASTER_SHEET_NAME));
+    console.log(`   ${results.size} master rows with results`);
+
+    const stats = { written: 0, kept: 0, failedTabs: 0 };
+    for (const sheetConfig of sourceSheets) {
+        for (const tabName of sourceTabNames(sheetConfig)) {
+            try {
+                const { updates, kept } = await syncTab(storage, sheetConfig, tabName, results, dryRun);
+                stats.written += updates.length;
+                stats.kept += kept;
+            } catch (error) {
+                stats.failedTabs++;
+                console.error(`   ❌ ${sheetConfig.name} / ${tabName}: ${error.message}`);
+            }
+        }
+    }
+
+    console.log(`   ✅ ${stats.written} cells ${dryRun ? 'would be written' : 'written'}, ${stats.kept} human-entered cells kept`);
+    return stats;
+}
+
+module.exports = {
+    HEADLINE_COLUMN,
+    isPlaceholder,
+    masterResults,
+    planTabUpdates,
+    reverseSync
+};
+
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    (async () => {
+        const sourceSheets = loadSourceSheets();
+        if (sourceSheets.length === 0) {
+            console.error('❌ No source sheets configured. Please update source_sheets.json');
+            process.exit(1);
+        }
+
+        const storage = await createStorage();
+        try {
+            const { failedTabs } = await reverseSync(storage, sourceSheets, { dryRun });
+            if (failedTabs > 0) process.exitCode = 1;
+        } finally {
+            await storage.close();
+        }
+    })().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,324 @@
+/**
+ * ROLLUP TABS
+ * ===========
+ * Summary tabs rebuilt from the master 'Text Ads data' tab at the end of every
+ * aggregator run (from the master rows it passes in) or on their own with
+ * `node rollups.js`, so nobody has to build the same pivot tables by hand:
+ *
+ *   Advertisers   One row per advertiser: ID, name, distinct apps, creatives per
+ *                 app, first/last seen and the source sheets that contributed
+ *   Apps          One row per app (package or App Store ID): name, advertisers
+ *                 promoting it, distinct headlines, creatives, first/last seen and
+ *                 creatives per month
+ *
+ * Advertisers are keyed on the advertiser ID of the Ads URL (column AC, or parsed
+ * from column B for older rows), creatives on the creative ID. In the Advertisers
+ * tab apps are keyed on the canonical store link (or the app name when there is
+ * no link); the Apps tab only lists apps with a package or App Store ID, and a
+ * row carrying both a Play and an App Store link counts for both apps.
+ *
+ * Seen dates come from Date Added (column G, Pakistan time) or, for rows the
+ * aggregator did not add, Last Attempt (column P). Tabs are rewritten in full.
+ */
+
+const { quoteSheetName } = require('./a1_notation');
+const { LAST_COLUMN, fieldsFromRow } = require('./sheet_columns');
+const { extractedValue } = require('./retry_policy');
+const { canonicalStoreUrl, canonicalCreativeUrl, parseTransparencyUrl } = require('./url_normalizer');
+const { parseAppStoreId } = require('./extraction_helpers');
+
+const ADVERTISERS_TAB = process.env.ADVERTISERS_TAB || 'Advertisers';
+const APPS_TAB = process.env.APPS_TAB || 'Apps';
+const MAX_HEADLINES_PER_APP = 50; // Keeps the Headlines cell under the Sheets cell size limit
+const READ_BATCH_SIZE = 50000;
+const PAKISTAN_UTC_OFFSET_HOURS = 5; // Asia/Karachi, no DST
+
+const ADVERTISERS_HEADER = ['Advertiser ID', 'Advertiser Name', 'Apps', 'Creatives', 'Creatives per App',
+    'First Seen', 'Last Seen', 'Source Sheets'];
+const APPS_HEADER = ['App ID', 'Platform', 'App Name', 'Store Link', 'Advertisers', 'Advertiser Count', 'Creatives',
+    'Headlines', 'First Seen', 'Last Seen', 'Creatives per Month'];
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Time (ms) of a sheet date cell, or null
+ * Accepts ISO timestamps and the aggregator's "dd/mm/yyyy, hh:mm:ss am" (Pakistan time)
+ */
+function parseSheetDate(value) {
+    const text = String(value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const time = Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?)?$/i);
+    if (!match) return null;
+
+    const [, day, month, year, hours = '0', minutes = '0', seconds = '0', meridiem] = match;
+    let hour = parseInt(hours) % (meridiem ? 12 : 24);
+    if (meridiem && meridiem.toLowerCase() === 'pm') hour += 12;
+    return Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), hour - PAKISTAN_UTC_OFFSET_HOURS,
+        parseInt(minutes), parseInt(seconds));
+}
+
+const formatDay = (time) => (time === null ? '' : new Date(time).toISOString().slice(0, 10));
+
+// Apps a master row links to: [{ id: package or "id<number>", platform, link }]
+function rowApps(fields) {
+    const links = [fields.storeLink, fields.playStoreLink, fields.appStoreLink].map(canonicalStoreUrl).filter(Boolean);
+    if (fields.appStoreId) links.push(canonicalStoreUrl(`id${fields.appStoreId}`));
+
+    const apps = new Map();
+    for (const link of links) {
+        const packageMatch = link.match(/[?&]id=([a-zA-Z0-9._]+)/);
+        const appStoreId = parseAppStoreId(link);
+        const app = packageMatch
+            ? { id: packageMatch[1], platform: 'android', link }
+            : (appStoreId ? { id: `id${appStoreId}`, platform: 'ios', link } : null);
+        if (app && !apps.has(app.id)) apps.set(app.id, app);
+    }
+    return [...apps.values()];
+}
+
+// Identity of a master row: advertiser, creative and app keys plus labels
+function describeMasterRow(fields) {
+    const parts = parseTransparencyUrl(fields.adsUrl) || {};
+    const appLink = canonicalStoreUrl(fields.storeLink);
+    const appName = extractedValue(fields.appName);
+
+    return {
+        advertiserId: fields.advertiserId || parts.advertiserId || '',
+        advertiserName: extractedValue(fields.advertiserName),
+        creativeKey: fields.creativeId || parts.creativeId || canonicalCreativeUrl(fields.adsUrl) || fields.adsUrl.toLowerCase(),
+        appKey: appLink || (appName ? appName.toLowerCase() : ''),
+        appLink: appLink || '',
+        appName,
+        apps: rowApps(fields),
+        headline: extractedValue(fields.appSubtitle),
+        sourceSheet: fields.sourceSheet,
+        seenAt: parseSheetDate(fields.dateAdded) ?? parseSheetDate(fields.lastAttempt)
+    };
+}
+
+// Count one occurrence of value in a counter map
+function countValue(counts, value) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+// Widen a { first, last } span with a time (null times are ignored)
+function widenSpan(entry, time) {
+    if (time === null) return;
+    entry.first = entry.first === null ? time : Math.min(entry.first, time);
+    entry.last = entry.last === null ? time : Math.max(entry.last, time);
+}
+
+// Most frequent value of a counter map ('' if empty)
+function mostFrequent(counts) {
+    let best = '';
+    for (const [value, count] of counts) {
+        if (!best || count > counts.get(best)) best = value;
+    }
+    return best;
+}
+
+// ============================================
+// READ MASTER ROWS
+// ============================================
+async function readMasterRows(storage, spreadsheetId, masterTab) {
+    const totalRows = await storage.getRowCount(spreadsheetId, masterTab);
+    const rows = [];
+
+    for (let startRow = 2; startRow <= totalRows; startRow += READ_BATCH_SIZE) {
+        const endRow = Math.min(startRow + READ_BATCH_SIZE - 1, totalRows);
+        const values = await storage.getValues(spreadsheetId, `${quoteSheetName(masterTab)}!A${startRow}:${LAST_COLUMN}${endRow}`);
+        if (values.length === 0) break;
+        for (const row of values) {
+            const fields = fieldsFromRow(row);
+            if (fields.adsUrl) rows.push(fields);
+        }
+    }
+    return rows;
+}
+
+// ============================================
+// ADVERTISERS ROLLUP
+// ============================================
+
+/**
+ * One summary row per advertiser, most creatives first
+ * Rows: [ID, name, apps, creatives, "App (n); App (n)", first seen, last seen, sources]
+ */
+function buildAdvertiserRollup(masterRows) {
+    const advertisers = new Map();
+
+    for (const fields of masterRows) {
+        const row = describeMasterRow(fields);
+        const key = row.advertiserId || row.advertiserName.toLowerCase();
+        if (!key) continue;
+
+        if (!advertisers.has(key)) {
+            advertisers.set(key, { id: row.advertiserId, names: new Map(), creatives: new Set(), apps: new Map(), sources: new Set(), first: null, last: null });
+        }
+        const entry = advertisers.get(key);
+        countValue(entry.names, row.advertiserName);
+        entry.creatives.add(row.creativeKey);
+        if (row.sourceSheet) entry.sources.add(row.sourceSheet);
+        widenSpan(entry, row.seenAt);
+
+        if (row.appKey) {
+            if (!entry.apps.has(row.appKey)) entry.apps.set(row.appKey, { names: new Map(), link: row.appLink, creatives: new Set() });
+            const app = entry.apps.get(row.appKey);
+            countValue(app.names, row.appName);
+            app.creatives.add(row.creativeKey);
+        }
+    }
+
+    return [...advertisers.values()]
+        .sort((a, b) => b.creatives.size - a.creatives.size)
+        .map(entry => {
+            const perApp = [...entry.apps.values()]
+                .sort((a, b) => b.creatives.size - a.creatives.size)
+                .map(app => `${mostFrequent(app.names) || app.link} (${app.creatives.size})`);
+            return [
+                entry.id,
+                mostFrequent(entry.names),
+                entry.apps.size,
+                entry.creatives.size,
+                perApp.join('; '),
+                formatDay(entry.first),
+                formatDay(entry.last),
+                [...entry.sources].sort().join(', ')
+            ];
+        });
+}
+
+// ============================================
+// APPS ROLLUP
+// ============================================
+
+/**
+ * One summary row per app (package or App Store ID), most creatives first
+ * Rows: [app ID, platform, name, store link, advertisers, advertiser count, creatives,
+ *        headlines (one per line), first seen, last seen, "2026-03: 4; 2026-04: 1"]
+ */
+function buildAppRollup(masterRows) {
+    const apps = new Map();
+
+    for (const fields of masterRows) {
+        const row = describeMasterRow(fields);
+        for (const { id, platform, link } of row.apps) {
+            if (!apps.has(id)) {
+                apps.set(id, { id, platform, link, names: new Map(), advertisers: new Map(), headlines: new Set(), creatives: new Map(), first: null, last: null });
+            }
+            const entry = apps.get(id);
+            countValue(entry.names, row.appName);
+            const advertiserKey = row.advertiserId || row.advertiserName.toLowerCase();
+            if (advertiserKey) {
+                if (!entry.advertisers.has(advertiserKey)) entry.advertisers.set(advertiserKey, new Map());
+                countValue(entry.advertisers.get(advertiserKey), row.advertiserName || row.advertiserId);
+            }
+            if (row.headline) entry.headlines.add(row.headline);
+            // A creative seen on several rows keeps its earliest date for the timeline
+            const seen = entry.creatives.get(row.creativeKey);
+            if (seen === undefined || (row.seenAt !== null && (seen === null || row.seenAt < seen))) {
+                entry.creatives.set(row.creativeKey, row.seenAt);
+            }
+            widenSpan(entry, row.seenAt);
+        }
+    }
+
+    return [...apps.values()]
+        .sort((a, b) => b.creatives.size - a.creatives.size)
+        .map(entry => {
+            const perMonth = new Map();
+            for (const time of entry.creatives.values()) {
+                if (time !== null) countValue(perMonth, formatDay(time).slice(0, 7));
+            }
+            const headlines = [...entry.headlines];
+            if (headlines.length > MAX_HEADLINES_PER_APP) {
+                headlines.splice(MAX_HEADLINES_PER_APP, Infinity, `+${entry.headlines.size - MAX_HEADLINES_PER_APP} more`);
+            }
+            return [
+                entry.id,
+                entry.platform,
+                mostFrequent(entry.names),
+                entry.link,
+                [...entry.advertisers.values()].map(mostFrequent).join(', '),
+                entry.advertisers.size,
+                entry.creatives.size,
+                headlines.join('\n'),
+                formatDay(entry.first),
+                formatDay(entry.last),
+                [...perMonth].sort(([a], [b]) => a.localeCompare(b)).map(([month, count]) => `${month}: ${count}`).join('; ')
+            ];
+        });
+}
+
+// ============================================
+// WRITE ROLLUP TABS
+// ============================================
+
+// Replace the content of a tab with header + rows (rows left over from a longer previous version are blanked);
+// the grid is grown first, since a new tab holds only 1000 rows
+async function rewriteTab(storage, spreadsheetId, tabName, header, rows) {
+    const quoted = quoteSheetName(tabName);
+    if (!(await storage.listTabs(spreadsheetId)).includes(tabName)) {
+        await storage.addTab(spreadsheetId, tabName);
+    }
+
+    const previous = (await storage.getValues(spreadsheetId, `${quoted}!A1:A`)).length;
+    const values = [header, ...rows];
+    const blank = Array.from({ length: Math.max(0, previous - values.length) }, () => header.map(() => ''));
+    await storage.ensureGridSize(spreadsheetId, tabName, { rows: values.length, columns: header.length });
+    await storage.updateValues(spreadsheetId, `${quoted}!A1`, [...values, ...blank]);
+}
+
+/**
+ * Rebuild every rollup tab
+ * masterRows: fields of the master rows (fieldsFromRow) when the caller has already
+ * read them (data_aggregator.js); otherwise the master tab is read here
+ */
+async function writeRollups(storage, spreadsheetId, masterTab, masterRows = null) {
+    console.log(`\n📊 Rebuilding rollup tabs from ${masterTab}...`);
+    const rows = masterRows || await readMasterRows(storage, spreadsheetId, masterTab);
+
+    const advertisers = buildAdvertiserRollup(rows);
+    await rewriteTab(storage, spreadsheetId, ADVERTISERS_TAB, ADVERTISERS_HEADER, advertisers);
+    console.log(`   ✅ ${ADVERTISERS_TAB}: ${advertisers.length} advertisers from ${rows.length} rows`);
+
+    const apps = buildAppRollup(rows);
+    await rewriteTab(storage, spreadsheetId, APPS_TAB, APPS_HEADER, apps);
+    console.log(`   ✅ ${APPS_TAB}: ${apps.length} apps`);
+}
+
+module.exports = {
+    ADVERTISERS_TAB,
+    ADVERTISERS_HEADER,
+    APPS_TAB,
+    APPS_HEADER,
+    parseSheetDate,
+    describeMasterRow,
+    readMasterRows,
+    buildAdvertiserRollup,
+    buildAppRollup,
+    rewriteTab,
+    writeRollups
+};
+
+if (require.main === module) {
+    const { createStorage } = require('./storage');
+    const { MASTER_SHEET_ID, MASTER_SHEET_NAME } = require('./data_aggregator');
+
+    (async () => {
+        const storage = await createStorage();
+        try {
+            await writeRollups(storage, MASTER_SHEET_ID, MASTER_SHEET_NAME);
+        } finally {
+            await storage.close();
+        }
+    })().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
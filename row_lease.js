@@ -0,0 +1,123 @@
+/**
+ * ROW LEASES
+ * ==========
+ * Lets several agents work the same tab without processing the same row twice.
+ * Before a batch is extracted, the agent claims its rows by writing
+ * "<worker> until <ISO time>" into the Lease column (sheet_columns.js), then reads
+ * the column back and keeps only the rows that still carry its own lease
+ * (last writer wins). Right before writing results, batchWriteToSheet reads the leases
+ * again (ownLeases) and only writes, and clears the lease of, rows whose cell still
+ * holds the exact lease this claim wrote.
+ *
+ * The read-back does not make a claim exclusive. A lease write that is slower than
+ * LEASE_CONFIRM_DELAY (e.g. held back by 429 retries) can land after the other
+ * worker's read-back, so both workers see their own lease and both extract the row;
+ * the same happens when a batch outlives LEASE_TTL_MS and the row is claimed again.
+ * The check before the result write limits this to wasted work: the worker whose
+ * lease was overwritten skips the row. What remains is a claim landing between that
+ * check and the result write (one read-write round trip): both results are written,
+ * the later one wins, and the newer lease is cleared.
+ *
+ * Rows leased by another worker are skipped until the lease expires, so rows
+ * held by a worker that died are picked up again automatically.
+ *
+ *   WORKER_ID       Name written into leases (default: <hostname>-<pid>)
+ *   LEASE_TTL_MS    How long a claim holds (default: 60 minutes)
+ */
+
+const os = require('os');
+const { quoteSheetName, columnToIndex } = require('./a1_notation');
+const { COLUMN, LAST_COLUMN } = require('./sheet_columns');
+const { needsExtraction, readRetryState } = require('./retry_policy');
+
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS) || 60 * 60 * 1000;
+const LEASE_CONFIRM_DELAY = 1500; // Let a concurrent claim land before reading the leases back
+
+// Lease column inside a row read from column A
+const LEASE_INDEX = columnToIndex(COLUMN.lease);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function formatLease(workerId, expiresAt) {
+    return `${workerId} until ${new Date(expiresAt).toISOString()}`;
+}
+
+// "<worker> until <ISO time>" -> { workerId, expiresAt } (null for empty or unreadable cells)
+function parseLease(value) {
+    const match = String(value || '').trim().match(/^(.+) until (\S+)$/);
+    if (!match) return null;
+    const expiresAt = Date.parse(match[2]);
+    return isNaN(expiresAt) ? null : { workerId: match[1], expiresAt };
+}
+
+// True when the cell holds an unexpired lease of another worker
+function isLeasedByOther(value, workerId = WORKER_ID, now = Date.now()) {
+    const lease = parseLease(value);
+    return !!lease && lease.workerId !== workerId && lease.expiresAt > now;
+}
+
+/**
+ * Claim rows for this worker
+ * Returns { claimed, leasedElsewhere, alreadyProcessed } - lists of the given items;
+ * claimed items also carry the row's current retry counters as `retry` (retry_policy.js)
+ * and the lease cell written for them as `lease`
+ */
+async function claimRows(storage, spreadsheetId, sheetName, items, { workerId = WORKER_ID, ttl = LEASE_TTL_MS, confirmDelay = LEASE_CONFIRM_DELAY } = {}) {
+    const outcome = { claimed: [], leasedElsewhere: [], alreadyProcessed: [] };
+    if (items.length === 0) return outcome;
+
+    const tab = quoteSheetName(sheetName);
+    const rowRange = (item) => `${tab}!A${item.rowIndex + 1}:${LAST_COLUMN}${item.rowIndex + 1}`;
+
+    // 1. Skip rows another worker holds or already processed (and not yet due for a retry)
+    const current = await storage.batchGetValues(spreadsheetId, items.map(rowRange));
+    const candidates = [];
+    items.forEach((item, i) => {
+        const cells = current[i][0] || [];
+        if (!needsExtraction(cells)) outcome.alreadyProcessed.push(item);
+        else if (isLeasedByOther(cells[LEASE_INDEX], workerId)) outcome.leasedElsewhere.push(item);
+        else candidates.push({ ...item, retry: readRetryState(cells) });
+    });
+    if (candidates.length === 0) return outcome;
+
+    // 2. Write our lease, 3. read back and keep the rows we won
+    const lease = formatLease(workerId, Date.now() + ttl);
+    await storage.batchUpdateValues(spreadsheetId, candidates.map(item => ({
+        range: `${tab}!${COLUMN.lease}${item.rowIndex + 1}`,
+        values: [[lease]]
+    })));
+    if (confirmDelay > 0) await sleep(confirmDelay);
+
+    const confirmed = await storage.batchGetValues(spreadsheetId, candidates.map(item => `${tab}!${COLUMN.lease}${item.rowIndex + 1}`));
+    candidates.forEach((item, i) => {
+        const holder = parseLease(confirmed[i][0]?.[0]);
+        if (holder && holder.workerId === workerId) outcome.claimed.push({ ...item, lease });
+        else outcome.leasedElsewhere.push(item);
+    });
+
+    return outcome;
+}
+
+/**
+ * Row indexes of the items whose Lease cell still holds the lease claimRows wrote for
+ * them (items without a `lease` are left out): only these may be cleared
+ */
+async function ownLeases(storage, spreadsheetId, sheetName, items) {
+    const leased = items.filter(item => item.lease);
+    if (leased.length === 0) return new Set();
+
+    const tab = quoteSheetName(sheetName);
+    const cells = await storage.batchGetValues(spreadsheetId, leased.map(item => `${tab}!${COLUMN.lease}${item.rowIndex + 1}`));
+    return new Set(leased.filter((item, i) => cells[i][0]?.[0] === item.lease).map(item => item.rowIndex));
+}
+
+module.exports = {
+    WORKER_ID,
+    LEASE_TTL_MS,
+    formatLease,
+    parseLease,
+    isLeasedByOther,
+    claimRows,
+    ownLeases
+};
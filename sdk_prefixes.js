@@ -0,0 +1,57 @@
+/**
+ * KNOWN SDK / LIBRARY PACKAGES
+ * ============================
+ * Loads sdk_prefixes.json - the one list of package prefixes (and segments) that
+ * belong to SDKs, ad networks, libraries or web vocabularies rather than the
+ * advertised app. Every package-discovery path checks candidates against it:
+ * filterFramePackages / validatePackage (extraction_helpers.js), the config-driven
+ * extractor (ad_type_extractor.js) and the DOM fallback of the agent.
+ *
+ * Each entry has a category: platform, ad_network, attribution, analytics, library, web.
+ * A segment entry matches a whole dot-separated part of the package (com.vendor.sdk.core),
+ * never a substring, so apps like com.bilibili.app or com.liberty.mobile are not SDKs.
+ * Add new SDKs to the JSON file, not to code. SDK_PREFIXES_CONFIG points at another file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SDK_PREFIXES_PATH = process.env.SDK_PREFIXES_CONFIG || path.join(__dirname, 'sdk_prefixes.json');
+
+function loadSdkPrefixes(configPath = SDK_PREFIXES_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const prefixes = config.prefixes || [];
+    const segments = config.segments || [];
+
+    for (const entry of [...prefixes, ...segments]) {
+        if (!(entry.prefix || entry.segment) || !entry.category) {
+            throw new Error(`Entry ${JSON.stringify(entry)} in ${configPath} needs a prefix (or segment) and a category`);
+        }
+    }
+    return { prefixes, segments };
+}
+
+const SDK_PREFIXES = loadSdkPrefixes();
+
+/**
+ * Known SDK/library entry a package belongs to, or null
+ * Returns { prefix | segment, category, name } - the longest matching prefix wins
+ */
+function matchSdkPackage(packageName, db = SDK_PREFIXES) {
+    const pkg = (packageName || '').toLowerCase();
+    const byPrefix = db.prefixes
+        .filter(entry => pkg.startsWith(entry.prefix.toLowerCase()))
+        .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+    const parts = pkg.split('.');
+    return byPrefix || db.segments.find(entry => parts.includes(entry.segment.toLowerCase())) || null;
+}
+
+const isSdkPackage = (packageName, db = SDK_PREFIXES) => matchSdkPackage(packageName, db) !== null;
+
+module.exports = {
+    SDK_PREFIXES_PATH,
+    SDK_PREFIXES,
+    loadSdkPrefixes,
+    matchSdkPackage,
+    isSdkPackage
+};
@@ -0,0 +1,113 @@
+/**
+ * SHEET COLUMN LAYOUT
+ * ===================
+ * Column letters and headers of the master 'Text Ads data' tab.
+ * Shared by text_ads_extraction.js and data_aggregator.js, which both write it.
+ *
+ *   Column A: Advertiser Name
+ *   Column B: Ads URL
+ *   Column C: App Link
+ *   Column D: App Name
+ *   Column E: App Headline
+ *   Column F: Source Sheet (aggregator)
+ *   Column G: Date Added (aggregator)
+ *   Column H: Ad Type (text_ad / image_ad / video_ad)
+ *   Column I: Image URL (image ads)
+ *   Column J: Image Orientation (landscape / portrait)
+ *   Column K: Package Name
+ *   Column L: Video ID (YouTube, video ads)
+ *   Column M: Video Duration (seconds, video ads)
+ *   Column N: Lease ("<worker> until <ISO time>" while an agent works the row, see row_lease.js)
+ *   Column O-R: Attempts, Last Attempt, Error Reason, Not Found Count (see retry_policy.js)
+ *   Column S: Status (FOUND / NOT_FOUND / BLOCKED / ERROR of the last attempt)
+ *   Column T-W: Link Source, Name Source, Headline Source, Confidence (see provenance.js)
+ *   Column X: Link Check (verified / unverified / rejected candidate packages)
+ *   Column Y: Platform (android / ios / both)
+ *   Column Z-AB: Play Store Link, App Store Link, App Store ID (numeric)
+ *   Column AC-AF: Advertiser ID, Creative ID, Region, Format - parsed from the
+ *                 Ads URL (see parseTransparencyUrl in url_normalizer.js)
+ *
+ * C-E only ever hold extracted values (except a team's App Name the aggregator
+ * copied into D, marked 'source_sheet' in Name Source); the outcome of an attempt
+ * lives in Status.
+ * C holds the link the extraction picked (either store); Z-AB keep both
+ * platforms' links when an advertiser runs the app on Android and iOS.
+ *
+ * Source team sheets keep their own layout (E = Video ID); the master tab uses
+ * E for the headline and L for the Video ID.
+ */
+
+const COLUMNS = [
+    { key: 'advertiserName', letter: 'A', header: 'Advertiser Name' },
+    { key: 'adsUrl', letter: 'B', header: 'Ads URL' },
+    { key: 'storeLink', letter: 'C', header: 'App Link' },
+    { key: 'appName', letter: 'D', header: 'App Name' },
+    { key: 'appSubtitle', letter: 'E', header: 'App Headline' },
+    { key: 'sourceSheet', letter: 'F', header: 'Source Sheet' },
+    { key: 'dateAdded', letter: 'G', header: 'Date Added' },
+    { key: 'adType', letter: 'H', header: 'Ad Type' },
+    { key: 'imageUrl', letter: 'I', header: 'Image URL' },
+    { key: 'imageOrientation', letter: 'J', header: 'Image Orientation' },
+    { key: 'packageName', letter: 'K', header: 'Package Name' },
+    { key: 'videoId', letter: 'L', header: 'Video ID' },
+    { key: 'videoDuration', letter: 'M', header: 'Video Duration (s)' },
+    { key: 'lease', letter: 'N', header: 'Lease' },
+    { key: 'attempts', letter: 'O', header: 'Attempts' },
+    { key: 'lastAttempt', letter: 'P', header: 'Last Attempt' },
+    { key: 'errorReason', letter: 'Q', header: 'Error Reason' },
+    { key: 'notFoundAttempts', letter: 'R', header: 'Not Found Count' },
+    { key: 'status', letter: 'S', header: 'Status' },
+    { key: 'linkSource', letter: 'T', header: 'Link Source' },
+    { key: 'nameSource', letter: 'U', header: 'Name Source' },
+    { key: 'headlineSource', letter: 'V', header: 'Headline Source' },
+    { key: 'confidence', letter: 'W', header: 'Confidence' },
+    { key: 'linkCheck', letter: 'X', header: 'Link Check' },
+    { key: 'platform', letter: 'Y', header: 'Platform' },
+    { key: 'playStoreLink', letter: 'Z', header: 'Play Store Link' },
+    { key: 'appStoreLink', letter: 'AA', header: 'App Store Link' },
+    { key: 'appStoreId', letter: 'AB', header: 'App Store ID' },
+    { key: 'advertiserId', letter: 'AC', header: 'Advertiser ID' },
+    { key: 'creativeId', letter: 'AD', header: 'Creative ID' },
+    { key: 'region', letter: 'AE', header: 'Region' },
+    { key: 'format', letter: 'AF', header: 'Format' }
+];
+
+// key -> column letter, e.g. COLUMN.imageUrl === 'I'
+const COLUMN = Object.fromEntries(COLUMNS.map(c => [c.key, c.letter]));
+
+// Rightmost column of the layout, e.g. for reading whole rows
+const LAST_COLUMN = COLUMNS[COLUMNS.length - 1].letter;
+
+// Columns written by the extraction agent beyond the original A-E block
+const AGENT_EXTRA_COLUMNS = ['adType', 'imageUrl', 'imageOrientation', 'packageName', 'videoId', 'videoDuration', 'lease',
+    'attempts', 'lastAttempt', 'errorReason', 'notFoundAttempts', 'status',
+    'linkSource', 'nameSource', 'headlineSource', 'confidence', 'linkCheck',
+    'platform', 'playStoreLink', 'appStoreLink', 'appStoreId',
+    'advertiserId', 'creativeId', 'region', 'format'];
+
+// Header row of the master tab
+const MASTER_HEADER = COLUMNS.map(c => c.header);
+
+// Row array with each field in its column, e.g. rowFromFields({ adsUrl: 'https://...' }) -> ['', 'https://...']
+function rowFromFields(fields) {
+    const row = [];
+    COLUMNS.forEach((c, i) => {
+        if (fields[c.key] !== undefined && fields[c.key] !== null) row[i] = fields[c.key];
+    });
+    return Array.from(row, value => (value === undefined ? '' : value));
+}
+
+// Fields of a row read from column A, e.g. fieldsFromRow(row).adsUrl (missing cells are '')
+function fieldsFromRow(row) {
+    return Object.fromEntries(COLUMNS.map((c, i) => [c.key, String(row[i] ?? '').trim()]));
+}
+
+module.exports = {
+    COLUMNS,
+    COLUMN,
+    LAST_COLUMN,
+    AGENT_EXTRA_COLUMNS,
+    MASTER_HEADER,
+    rowFromFields,
+    fieldsFromRow
+};
@@ -0,0 +1,119 @@
+/**
+ * GOOGLE SHEETS STORAGE
+ * =====================
+ * Storage backend (see storage.js) on the Google Sheets v4 API.
+ * Uses credentials.json, or SHEETS_API_URL to talk to mock_sheets_server.js instead.
+ */
+
+const { google } = require('googleapis');
+const fs = require('fs');
+const { quoteSheetName } = require('./a1_notation');
+
+const CREDENTIALS_PATH = './credentials.json';
+const SHEETS_API_URL = process.env.SHEETS_API_URL || ''; // e.g. http://localhost:8787/ for mock_sheets_server.js
+
+async function getGoogleSheetsClient(apiUrl = SHEETS_API_URL) {
+    // Local mock server (mock_sheets_server.js) - no credentials needed
+    if (apiUrl) {
+        console.log(`🧪 Using Sheets API at ${apiUrl}`);
+        return google.sheets({ version: 'v4', rootUrl: apiUrl });
+    }
+    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH));
+    const auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    });
+    const authClient = await auth.getClient();
+    return google.sheets({ version: 'v4', auth: authClient });
+}
+
+async function createSheetsStorage({ apiUrl = SHEETS_API_URL } = {}) {
+    const sheets = await getGoogleSheetsClient(apiUrl);
+
+    return {
+        backend: 'sheets',
+
+        async listTabs(spreadsheetId) {
+            const response = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+            return (response.data.sheets || []).map(s => s.properties.title);
+        },
+
+        async addTab(spreadsheetId, title) {
+            await sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests: [{ addSheet: { properties: { title } } }] }
+            });
+        },
+
+        // Grid size from metadata - usually includes empty rows below the data
+        async getRowCount(spreadsheetId, title) {
+            const response = await sheets.spreadsheets.get({
+                spreadsheetId,
+                ranges: [quoteSheetName(title)],
+                fields: 'sheets.properties.gridProperties.rowCount'
+            });
+            return response.data.sheets?.[0]?.properties?.gridProperties?.rowCount || 0;
+        },
+
+        async getValues(spreadsheetId, range) {
+            const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+            return response.data.values || [];
+        },
+
+        async batchGetValues(spreadsheetId, ranges) {
+            const response = await sheets.spreadsheets.values.batchGet({ spreadsheetId, ranges });
+            return (response.data.valueRanges || []).map(r => r.values || []);
+        },
+
+        async updateValues(spreadsheetId, range, values) {
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range,
+                valueInputOption: 'RAW',
+                resource: { values }
+            });
+        },
+
+        async batchUpdateValues(spreadsheetId, data) {
+            await sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: { valueInputOption: 'RAW', data }
+            });
+        },
+
+        async appendValues(spreadsheetId, range, values) {
+            await sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values }
+            });
+        },
+
+        // Append rows/columns (appendDimension) where the grid is smaller than asked
+        async ensureGridSize(spreadsheetId, title, { rows = 0, columns = 0 } = {}) {
+            const response = await sheets.spreadsheets.get({
+                spreadsheetId,
+                ranges: [quoteSheetName(title)],
+                fields: 'sheets.properties(sheetId,gridProperties(rowCount,columnCount))'
+            });
+            const { sheetId, gridProperties = {} } = response.data.sheets?.[0]?.properties || {};
+            const requests = [['ROWS', rows - (gridProperties.rowCount || 0)], ['COLUMNS', columns - (gridProperties.columnCount || 0)]]
+                .filter(([, length]) => length > 0)
+                .map(([dimension, length]) => ({ appendDimension: { sheetId, dimension, length } }));
+
+            if (requests.length > 0) {
+                await sheets.spreadsheets.batchUpdate({ spreadsheetId, resource: { requests } });
+            }
+        },
+
+        async close() { }
+    };
+}
+
+module.exports = {
+    SHEETS_API_URL,
+    getGoogleSheetsClient,
+    createSheetsStorage
+};
@@ -0,0 +1,145 @@
+/**
+ * FAILURE SNAPSHOT CAPTURE
+ * ========================
+ * When a row still ends NOT_FOUND or ERROR after the last retry, the agent saves
+ * what the page looked like so the failure can be replayed offline:
+ *
+ *   snapshots/row-<row>-<timestamp>/
+ *     manifest.json    Fixture manifest (url + documents), readable by fixture_runner.js
+ *     main.html        Main document HTML
+ *     frames/<n>.html  HTML of every frame with a replayable URL
+ *     frame_tree.json  Frame hierarchy: url, name, parent, saved file
+ *     extraction.log   Console output of every attempt for this row
+ *
+ * Replay with: node fixture_runner.js snapshots --case=row-<row>-<timestamp> --print
+ * The manifest has no "expected" block, so --print only shows what the extraction
+ * returns; to keep a snapshot as a regression fixture, copy it to fixtures/ and add
+ * the correct appName / storeLink / appSubtitle as "expected".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || './snapshots';
+
+/**
+ * Tee console.log/console.error into a buffer until stop() is called
+ * (rows are processed one at a time, so the buffer only holds this row's log)
+ */
+function startLogCapture() {
+    const lines = [];
+    const originalLog = console.log;
+    const originalError = console.error;
+    const record = (args) => lines.push(args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' '));
+
+    console.log = (...args) => { record(args); originalLog.apply(console, args); };
+    console.error = (...args) => { record(args); originalError.apply(console, args); };
+
+    return {
+        lines,
+        stop() {
+            console.log = originalLog;
+            console.error = originalError;
+            return lines;
+        }
+    };
+}
+
+/**
+ * Capture the main document, every frame's HTML and the frame tree of an open page
+ */
+async function capturePageSnapshot(page) {
+    const frames = page.frames();
+    const snapshot = {
+        finalUrl: page.url(),
+        capturedAt: new Date().toISOString(),
+        mainHtml: '',
+        frames: []
+    };
+
+    try {
+        snapshot.mainHtml = await page.content();
+    } catch (e) {
+        snapshot.mainHtml = `<!-- main document not readable: ${e.message} -->`;
+    }
+
+    for (let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        if (frame === page.mainFrame()) continue;
+
+        const entry = {
+            index: i,
+            url: frame.url(),
+            name: frame.name(),
+            parentIndex: frame.parentFrame() ? frames.indexOf(frame.parentFrame()) : null,
+            html: null
+        };
+        try {
+            entry.html = await frame.content();
+        } catch (e) {
+            entry.error = e.message;
+        }
+        snapshot.frames.push(entry);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Write a snapshot bundle for a failed row; returns the bundle directory
+ */
+function writeSnapshotBundle({ rowIndex, url, reason, snapshot, log = [] }) {
+    const stamp = (snapshot?.capturedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+    const bundleDir = path.join(SNAPSHOT_DIR, `row-${rowIndex + 1}-${stamp}`);
+    fs.mkdirSync(path.join(bundleDir, 'frames'), { recursive: true });
+
+    const documents = {};
+    const frameTree = [];
+
+    if (snapshot) {
+        fs.writeFileSync(path.join(bundleDir, 'main.html'), snapshot.mainHtml || '');
+        documents[url] = 'main.html';
+        if (snapshot.finalUrl && snapshot.finalUrl !== url) documents[snapshot.finalUrl] = 'main.html';
+
+        for (const frame of snapshot.frames) {
+            // about:blank / srcdoc / data: frames cannot be requested, so they are not replayable
+            const replayable = /^https?:\/\//.test(frame.url) && frame.html !== null;
+            const file = replayable ? `frames/${frame.index}.html` : null;
+            if (replayable) {
+                fs.writeFileSync(path.join(bundleDir, file), frame.html);
+                if (!documents[frame.url]) documents[frame.url] = file;
+            }
+            frameTree.push({
+                index: frame.index,
+                url: frame.url,
+                name: frame.name,
+                parentIndex: frame.parentIndex,
+                file,
+                ...(frame.error ? { error: frame.error } : {})
+            });
+        }
+    }
+
+    const manifest = {
+        description: `Row ${rowIndex + 1} ended ${reason} after all retries`,
+        url,
+        finalUrl: snapshot?.finalUrl || null,
+        row: rowIndex + 1,
+        reason,
+        capturedAt: snapshot?.capturedAt || new Date().toISOString(),
+        documents
+    };
+
+    fs.writeFileSync(path.join(bundleDir, 'manifest.json'), JSON.stringify(manifest, null, 4));
+    fs.writeFileSync(path.join(bundleDir, 'frame_tree.json'), JSON.stringify(frameTree, null, 4));
+    fs.writeFileSync(path.join(bundleDir, 'extraction.log'), log.join('\n') + '\n');
+
+    return bundleDir;
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    startLogCapture,
+    capturePageSnapshot,
+    writeSnapshotBundle
+};
@@ -0,0 +1,68 @@
+/**
+ * SQLITE FILE HELPERS
+ * ===================
+ * sql.js (SQLite compiled to WebAssembly, no native build) keeps the database
+ * in memory; these helpers load it from a file and write it back atomically.
+ * Only one process should write a given database file at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+let sqlJsPromise = null;
+
+async function openDatabase(filePath) {
+    if (!sqlJsPromise) sqlJsPromise = initSqlJs();
+    const SQL = await sqlJsPromise;
+    return filePath && fs.existsSync(filePath)
+        ? new SQL.Database(fs.readFileSync(filePath))
+        : new SQL.Database();
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated database
+function saveDatabase(db, filePath) {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(db.export()));
+    fs.renameSync(tempPath, filePath);
+}
+
+// Run a SELECT and return every row as an object
+function queryAll(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    try {
+        stmt.bind(params);
+        const rows = [];
+        while (stmt.step()) rows.push(stmt.getAsObject());
+        return rows;
+    } finally {
+        stmt.free();
+    }
+}
+
+function queryOne(db, sql, params = []) {
+    return queryAll(db, sql, params)[0] || null;
+}
+
+// Run fn inside BEGIN/COMMIT, rolling back if it throws
+function inTransaction(db, fn) {
+    db.run('BEGIN');
+    try {
+        const result = fn();
+        db.run('COMMIT');
+        return result;
+    } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+module.exports = {
+    openDatabase,
+    saveDatabase,
+    queryAll,
+    queryOne,
+    inTransaction
+};
@@ -0,0 +1,234 @@
+/**
+ * SQLITE STORAGE
+ * ==============
+ * Storage backend (see storage.js) on a local SQLite file, for large backfills
+ * without Sheets quotas. Spreadsheets and tabs keep their Sheets identity, so the
+ * agent and the aggregator run unchanged against it:
+ *
+ *   tabs (spreadsheet_id, title, position)
+ *   rows (spreadsheet_id, tab, row_num, cells)   cells = JSON array of strings, column A first
+ *
+ * Load data with `node storage.js copy ...` (see storage.js).
+ *
+ * The database lives in memory and is written back to the file on close(), and at
+ * most every SQLITE_SAVE_INTERVAL_MS while writes keep coming (exporting the whole
+ * file per write call would make a long run quadratic). Unsaved writes are also
+ * flushed when the process exits without close() (process.exit, an uncaught error)
+ * and on SIGINT/SIGTERM; only a SIGKILL can lose them.
+ */
+
+const { parseA1Range, trimValues } = require('./a1_notation');
+const { openDatabase, saveDatabase, queryAll, queryOne, inTransaction } = require('./sqlite_db');
+
+const SQLITE_PATH = process.env.SQLITE_PATH || './sheets.sqlite';
+const SAVE_INTERVAL_MS = parseInt(process.env.SQLITE_SAVE_INTERVAL_MS) || 60000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS tabs (
+        spreadsheet_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (spreadsheet_id, title)
+    );
+    CREATE TABLE IF NOT EXISTS rows (
+        spreadsheet_id TEXT NOT NULL,
+        tab TEXT NOT NULL,
+        row_num INTEGER NOT NULL,
+        cells TEXT NOT NULL,
+        PRIMARY KEY (spreadsheet_id, tab, row_num)
+    );
+`;
+
+// Storages with unsaved writes to flush if the process ends before close()
+const openStorages = new Set();
+const EXIT_SIGNALS = { SIGINT: 130, SIGTERM: 143 };
+
+function flushOpenStorages() {
+    for (const flush of openStorages) {
+        try {
+            flush();
+        } catch (error) {
+            console.error(`❌ Could not save SQLite storage on exit: ${error.message}`);
+        }
+    }
+}
+
+function trackOpenStorage(flush) {
+    if (openStorages.size === 0) {
+        process.on('exit', flushOpenStorages);
+        for (const signal of Object.keys(EXIT_SIGNALS)) process.on(signal, exitOnSignal);
+    }
+    openStorages.add(flush);
+}
+
+function untrackOpenStorage(flush) {
+    openStorages.delete(flush);
+    if (openStorages.size === 0) {
+        process.removeListener('exit', flushOpenStorages);
+        for (const signal of Object.keys(EXIT_SIGNALS)) process.removeListener(signal, exitOnSignal);
+    }
+}
+
+// Listening for a signal replaces Node's default exit, so exit here ('exit' flushes)
+function exitOnSignal(signal) {
+    console.log(`\n🛑 ${signal} received, saving SQLite storage before exiting...`);
+    process.exit(EXIT_SIGNALS[signal]);
+}
+
+function cellToString(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+async function createSqliteStorage({ filePath = SQLITE_PATH } = {}) {
+    const db = await openDatabase(filePath);
+    db.exec(SCHEMA);
+
+    // Unsaved writes go to the file once the last save is SAVE_INTERVAL_MS old
+    let dirty = false;
+    let savedAt = Date.now();
+    const save = () => {
+        saveDatabase(db, filePath);
+        dirty = false;
+        savedAt = Date.now();
+    };
+    const written = () => {
+        dirty = true;
+        if (Date.now() - savedAt >= SAVE_INTERVAL_MS) save();
+    };
+    const flush = () => {
+        if (dirty) save();
+    };
+    trackOpenStorage(flush);
+
+    // Parse a range and make sure its tab exists (same error text as the Sheets API)
+    const resolve = (spreadsheetId, range) => {
+        const parsed = parseA1Range(range);
+        if (!queryOne(db, 'SELECT 1 FROM tabs WHERE spreadsheet_id = ? AND title = ?', [spreadsheetId, parsed.sheetName])) {
+            throw new Error(`Unable to parse range: ${range}`);
+        }
+        return parsed;
+    };
+
+    const lastRow = (spreadsheetId, tab) => queryOne(db,
+        'SELECT COALESCE(MAX(row_num), 0) AS count FROM rows WHERE spreadsheet_id = ? AND tab = ?', [spreadsheetId, tab]).count;
+
+    const readRow = (spreadsheetId, tab, rowNum) => {
+        const row = queryOne(db, 'SELECT cells FROM rows WHERE spreadsheet_id = ? AND tab = ? AND row_num = ?', [spreadsheetId, tab, rowNum]);
+        return row ? JSON.parse(row.cells) : [];
+    };
+
+    const writeBlock = (spreadsheetId, tab, startRow, startCol, values) => {
+        values.forEach((rowValues, i) => {
+            if (!rowValues || rowValues.length === 0) return;
+            const rowNum = startRow + i;
+            const cells = readRow(spreadsheetId, tab, rowNum);
+            while (cells.length < startCol) cells.push('');
+            rowValues.forEach((value, j) => { cells[startCol + j] = cellToString(value); });
+            db.run('INSERT OR REPLACE INTO rows (spreadsheet_id, tab, row_num, cells) VALUES (?, ?, ?, ?)',
+                [spreadsheetId, tab, rowNum, JSON.stringify(cells)]);
+        });
+    };
+
+    const readValues = (spreadsheetId, range) => {
+        const parsed = resolve(spreadsheetId, range);
+        const endRow = parsed.endRow || lastRow(spreadsheetId, parsed.sheetName);
+        const stored = new Map(queryAll(db,
+            'SELECT row_num, cells FROM rows WHERE spreadsheet_id = ? AND tab = ? AND row_num BETWEEN ? AND ?',
+            [spreadsheetId, parsed.sheetName, parsed.startRow, endRow]).map(r => [r.row_num, JSON.parse(r.cells)]));
+
+        const values = [];
+        for (let r = parsed.startRow; r <= endRow; r++) {
+            const cells = stored.get(r) || [];
+            values.push(parsed.endCol === null ? cells.slice(parsed.startCol) : cells.slice(parsed.startCol, parsed.endCol + 1));
+        }
+        return trimValues(values);
+    };
+
+    return {
+        backend: 'sqlite',
+        db,
+
+        async listTabs(spreadsheetId) {
+            return queryAll(db, 'SELECT title FROM tabs WHERE spreadsheet_id = ? ORDER BY position', [spreadsheetId]).map(r => r.title);
+        },
+
+        async addTab(spreadsheetId, title) {
+            if (queryOne(db, 'SELECT 1 FROM tabs WHERE spreadsheet_id = ? AND title = ?', [spreadsheetId, title])) {
+                throw new Error(`A sheet with the name "${title}" already exists. Please enter another name.`);
+            }
+            const { next } = queryOne(db, 'SELECT COALESCE(MAX(position), -1) + 1 AS next FROM tabs WHERE spreadsheet_id = ?', [spreadsheetId]);
+            db.run('INSERT INTO tabs (spreadsheet_id, title, position) VALUES (?, ?, ?)', [spreadsheetId, title, next]);
+            written();
+        },
+
+        // Last stored row number (there are no empty grid rows in the database)
+        async getRowCount(spreadsheetId, title) {
+            resolve(spreadsheetId, title);
+            return lastRow(spreadsheetId, title);
+        },
+
+        async getValues(spreadsheetId, range) {
+            return readValues(spreadsheetId, range);
+        },
+
+        async batchGetValues(spreadsheetId, ranges) {
+            return ranges.map(range => readValues(spreadsheetId, range));
+        },
+
+        async updateValues(spreadsheetId, range, values) {
+            const parsed = resolve(spreadsheetId, range);
+            inTransaction(db, () => writeBlock(spreadsheetId, parsed.sheetName, parsed.startRow, parsed.startCol, values));
+            written();
+        },
+
+        async batchUpdateValues(spreadsheetId, data) {
+            const writes = data.map(entry => ({ parsed: resolve(spreadsheetId, entry.range), values: entry.values || [] }));
+            inTransaction(db, () => {
+                for (const { parsed, values } of writes) {
+                    writeBlock(spreadsheetId, parsed.sheetName, parsed.startRow, parsed.startCol, values);
+                }
+            });
+            written();
+        },
+
+        // Written after the last row with data in the range's columns
+        async appendValues(spreadsheetId, range, values) {
+            const parsed = resolve(spreadsheetId, range);
+            let startRow = parsed.startRow;
+
+            // Walk up from the bottom; usually the last stored row already has data
+            const stmt = db.prepare('SELECT row_num, cells FROM rows WHERE spreadsheet_id = ? AND tab = ? AND row_num >= ? ORDER BY row_num DESC');
+            try {
+                stmt.bind([spreadsheetId, parsed.sheetName, parsed.startRow]);
+                while (stmt.step()) {
+                    const row = stmt.getAsObject();
+                    const cells = JSON.parse(row.cells);
+                    const inRange = parsed.endCol === null ? cells.slice(parsed.startCol) : cells.slice(parsed.startCol, parsed.endCol + 1);
+                    if (inRange.some(cell => cell !== '')) {
+                        startRow = row.row_num + 1;
+                        break;
+                    }
+                }
+            } finally {
+                stmt.free();
+            }
+
+            inTransaction(db, () => writeBlock(spreadsheetId, parsed.sheetName, startRow, parsed.startCol, values));
+            written();
+        },
+
+        // No grid: rows and columns grow with the data
+        async ensureGridSize() { },
+
+        async close() {
+            untrackOpenStorage(flush);
+            save();
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    SQLITE_PATH,
+    createSqliteStorage
+};
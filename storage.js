@@ -0,0 +1,100 @@
+/**
+ * STORAGE BACKENDS
+ * ================
+ * The extraction agent and the aggregator read and write spreadsheet-shaped data
+ * through a storage object instead of calling the Sheets API directly.
+ *
+ *   STORAGE_BACKEND=sheets  Google Sheets API (default)      sheets_storage.js
+ *   STORAGE_BACKEND=sqlite  Local SQLite file (SQLITE_PATH)  sqlite_storage.js
+ *
+ * Every backend implements (ranges are A1 notation, e.g. "'Text Ads data'!A2:E100"):
+ *   listTabs(spreadsheetId)                   -> [title]
+ *   addTab(spreadsheetId, title)
+ *   getRowCount(spreadsheetId, title)         -> rows in the tab (Sheets: grid size, may include empty rows)
+ *   getValues(spreadsheetId, range)           -> rows, trailing empty cells/rows trimmed
+ *   batchGetValues(spreadsheetId, ranges)     -> one rows array per range
+ *   updateValues(spreadsheetId, range, rows)
+ *   batchUpdateValues(spreadsheetId, [{ range, values }])
+ *   appendValues(spreadsheetId, range, rows)  -> written below the last row with data in the range's columns
+ *   ensureGridSize(spreadsheetId, title, { rows, columns })
+ *                                             -> grow the tab to at least that many rows/columns (Sheets
+ *                                                rejects writes outside the grid; SQLite has no grid)
+ *   close()
+ *
+ * Copy a tab between backends, e.g. to backfill locally and push the results back:
+ *   node storage.js copy <spreadsheetId> "<tab>" --from=sheets --to=sqlite
+ *   node storage.js copy <spreadsheetId> "<tab>" --from=sqlite --to=sheets
+ */
+
+const { quoteSheetName } = require('./a1_notation');
+const { createSheetsStorage } = require('./sheets_storage');
+const { createSqliteStorage } = require('./sqlite_storage');
+
+const STORAGE_BACKENDS = ['sheets', 'sqlite'];
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+const COPY_BATCH_SIZE = 10000;
+
+async function createStorage(backend = STORAGE_BACKEND, options = {}) {
+    if (backend === 'sheets') return createSheetsStorage(options);
+    if (backend === 'sqlite') return createSqliteStorage(options);
+    throw new Error(`Unknown storage backend "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+/**
+ * Copy every row of one tab from source to target, keeping row numbers
+ * (the agent addresses rows by number, so they must line up after a round trip)
+ */
+async function copyTab(source, target, spreadsheetId, title, batchSize = COPY_BATCH_SIZE) {
+    if (!(await target.listTabs(spreadsheetId)).includes(title)) {
+        await target.addTab(spreadsheetId, title);
+    }
+
+    const totalRows = await source.getRowCount(spreadsheetId, title);
+    let copied = 0;
+    for (let startRow = 1; startRow <= totalRows; startRow += batchSize) {
+        const endRow = Math.min(startRow + batchSize - 1, totalRows);
+        const values = await source.getValues(spreadsheetId, `${quoteSheetName(title)}!${startRow}:${endRow}`);
+        if (values.length > 0) {
+            await target.updateValues(spreadsheetId, `${quoteSheetName(title)}!A${startRow}`, values);
+            copied += values.filter(row => row.length > 0).length;
+        }
+        console.log(`  ✓ Rows ${startRow}-${endRow}: ${copied} non-empty rows copied`);
+    }
+    return copied;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => (args.find(a => a.startsWith(`--${name}=`)) || '').slice(name.length + 3) || null;
+    const [command, spreadsheetId, title] = args.filter(a => !a.startsWith('--'));
+    const from = option('from') || 'sheets';
+    const to = option('to') || 'sqlite';
+
+    if (command !== 'copy' || !spreadsheetId || !title) {
+        console.error('Usage: node storage.js copy <spreadsheetId> "<tab>" --from=sheets --to=sqlite');
+        process.exit(1);
+    }
+
+    (async () => {
+        const source = await createStorage(from);
+        const target = await createStorage(to);
+        try {
+            console.log(`📦 Copying "${title}" of ${spreadsheetId} from ${from} to ${to}`);
+            const copied = await copyTab(source, target, spreadsheetId, title);
+            console.log(`✅ Copied ${copied} rows`);
+        } finally {
+            await source.close();
+            await target.close();
+        }
+    })().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    STORAGE_BACKEND,
+    createStorage,
+    copyTab
+};
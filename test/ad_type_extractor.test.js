@@ -0,0 +1,26 @@
+/**
+ * Tests for loading the ad type config (ad_type_extractor.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { AD_TYPES_CONFIG_PATH, loadAdTypesConfig, getDomFallbackSelectors } = require('../ad_type_extractor');
+
+test('the shipped config sits next to the module and loads from any directory', () => {
+    assert.strictEqual(AD_TYPES_CONFIG_PATH, path.join(__dirname, '..', 'ad_types_config.json'));
+
+    const script = `console.log(Object.keys(require(${JSON.stringify(path.join(__dirname, '..', 'ad_type_extractor'))}).loadAdTypesConfig()).join(','))`;
+    const env = { ...process.env };
+    delete env.AD_TYPES_CONFIG;
+    const types = execFileSync(process.execPath, ['-e', script], { cwd: os.tmpdir(), env, encoding: 'utf8' }).trim();
+    assert.deepStrictEqual(types.split(','), Object.keys(loadAdTypesConfig()));
+});
+
+test('the DOM fallback selectors come from the text_ad section', () => {
+    const selectors = getDomFallbackSelectors(loadAdTypesConfig());
+    assert.ok(selectors.appNameContainers.length > 0);
+    assert.ok(selectors.headline.length > 0);
+});
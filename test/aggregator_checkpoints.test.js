@@ -0,0 +1,97 @@
+/**
+ * Tests for incremental aggregation (aggregator_checkpoints.js) and master dedupe keys against SQLite storage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { openCheckpoints, tailHash } = require('../aggregator_checkpoints');
+const { MASTER_SHEET_ID, MASTER_SHEET_NAME, fetchFromSingleTab, getExistingKeys } = require('../data_aggregator');
+
+const creative = (n) => `https://adstransparency.google.com/advertiser/AR1/creative/CR${n}`;
+const sourceRows = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => [`Adv ${from + i}`, creative(from + i), '']);
+
+async function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregator-checkpoints-'));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    const checkpointPath = path.join(dir, 'checkpoints.sqlite');
+    const checkpoints = await openCheckpoints({ filePath: checkpointPath, fullScan: false });
+    t.after(async () => {
+        checkpoints.close();
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { storage, checkpoints, checkpointPath };
+}
+
+test('tailHash only looks at columns A:B', () => {
+    assert.strictEqual(tailHash([['Adv', 'url', 'link']]), tailHash([[' Adv', 'url ', 'other link']]));
+    assert.notStrictEqual(tailHash([['Adv', 'url']]), tailHash([['Adv', 'url2']]));
+});
+
+test('source tabs are read from the checkpoint on the next run', async (t) => {
+    const { storage, checkpoints } = await setup(t);
+    await storage.addTab('source-1', 'Team');
+    await storage.updateValues('source-1', 'Team!A1', [['Advertiser Name', 'Ads URL', 'App Link'], ...sourceRows(1, 8)]);
+
+    const first = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    assert.strictEqual(first.length, 8);
+    checkpoints.commit();
+
+    await storage.updateValues('source-1', 'Team!A10', sourceRows(9, 10));
+    const second = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    assert.deepStrictEqual(second.map(r => r.adsUrl), [creative(9), creative(10)]);
+    checkpoints.commit();
+
+    const third = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    assert.deepStrictEqual(third, []);
+});
+
+test('a checkpoint that was never committed does not move', async (t) => {
+    const { storage, checkpoints, checkpointPath } = await setup(t);
+    await storage.addTab('source-1', 'Team');
+    await storage.updateValues('source-1', 'Team!A1', [['Advertiser Name', 'Ads URL', 'App Link'], ...sourceRows(1, 8)]);
+    await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    checkpoints.commit();
+
+    // Rows 9-10 are read, but the master append fails: the run ends without commit()
+    await storage.updateValues('source-1', 'Team!A10', sourceRows(9, 10));
+    await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    const reopened = await openCheckpoints({ filePath: checkpointPath, fullScan: false });
+    t.after(() => reopened.close());
+    const retried = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', reopened);
+    assert.deepStrictEqual(retried.map(r => r.adsUrl), [creative(9), creative(10)]);
+});
+
+test('a changed tail falls back to a full scan', async (t) => {
+    const { storage, checkpoints } = await setup(t);
+    await storage.addTab('source-1', 'Team');
+    await storage.updateValues('source-1', 'Team!A1', [['Advertiser Name', 'Ads URL', 'App Link'], ...sourceRows(1, 8)]);
+    await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    checkpoints.commit();
+
+    // A row above the checkpoint was replaced
+    await storage.updateValues('source-1', 'Team!A8', [['Adv 7b', creative(77), '']]);
+    const rows = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    assert.strictEqual(rows.length, 8);
+    assert.ok(rows.some(r => r.adsUrl === creative(77)));
+    checkpoints.commit();
+
+    // Rows deleted from the end: the checkpoint row is gone
+    await storage.updateValues('source-1', 'Team!A7', [['', '', ''], ['', '', ''], ['', '', '']]);
+    const afterDelete = await fetchFromSingleTab(storage, 'source-1', 'Team', 'Team', checkpoints);
+    assert.strictEqual(afterDelete.length, 5);
+});
+
+test('master keys come from column B, and a failed read throws instead of returning part of them', async (t) => {
+    const { storage } = await setup(t);
+    await storage.addTab(MASTER_SHEET_ID, MASTER_SHEET_NAME);
+    await storage.updateValues(MASTER_SHEET_ID, `'${MASTER_SHEET_NAME}'!A1`, [['Advertiser Name', 'Ads URL'], ...sourceRows(1, 3)]);
+    assert.deepStrictEqual([...await getExistingKeys(storage)], ['CR1', 'CR2', 'CR3']);
+
+    t.mock.method(storage, 'getValues', async () => { throw new Error('HTTP 503'); });
+    await assert.rejects(getExistingKeys(storage), /Could not read master rows 2-4 \(HTTP 503\)/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the Source Sheet / Date Added migration (backfill_provenance.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { MASTER_HEADER, rowFromFields } = require('../sheet_columns');
+const { MASTER_SHEET_ID, MASTER_SHEET_NAME } = require('../data_aggregator');
+const { backfillProvenance } = require('../backfill_provenance');
+
+const creative = (n) => `https://adstransparency.google.com/advertiser/AR1/creative/CR${n}`;
+const ATTEMPT = '2026-03-01T12:00:00.000Z';
+
+test('backfillProvenance fills an empty F where the source is known and leaves G alone', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-provenance-'));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    t.after(async () => {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sourceSheets = [
+        { id: 'source-1', name: 'Team 1', sheetNames: ['A', 'B'] },
+        { id: 'source-2', name: 'Team 2', sheetName: 'Data' }
+    ];
+    for (const [id, tab, rows] of [
+        ['source-1', 'A', [['Adv', creative(1)], ['Adv', creative(3)]]],
+        ['source-1', 'B', [['Adv', `${creative(2)}?region=US`]]],
+        ['source-2', 'Data', [['Adv', creative(3)], ['Adv', creative(5)]]]
+    ]) {
+        await storage.addTab(id, tab);
+        await storage.updateValues(id, `${tab}!A1`, [['Advertiser Name', 'Ads URL'], ...rows]);
+    }
+
+    await storage.addTab(MASTER_SHEET_ID, MASTER_SHEET_NAME);
+    await storage.updateValues(MASTER_SHEET_ID, `'${MASTER_SHEET_NAME}'!A1`, [
+        MASTER_HEADER,
+        rowFromFields({ adsUrl: creative(1), lastAttempt: ATTEMPT }),      // attempted: G still not guessed
+        rowFromFields({ adsUrl: creative(2) }),                            // region in the source URL
+        rowFromFields({ adsUrl: creative(3) }),                            // in two sources
+        rowFromFields({ adsUrl: creative(4) }),                            // in none
+        rowFromFields({ adsUrl: creative(5), sourceSheet: 'Manual', dateAdded: 'kept', lastAttempt: ATTEMPT })
+    ]);
+
+    const dryRun = await backfillProvenance(storage, sourceSheets, { dryRun: true });
+    assert.deepStrictEqual(dryRun, { sourceSheets: 2, ambiguous: 1, unknown: 1 });
+    assert.deepStrictEqual(await storage.getValues(MASTER_SHEET_ID, `'${MASTER_SHEET_NAME}'!F2:G3`), []);
+
+    await backfillProvenance(storage, sourceSheets);
+    assert.deepStrictEqual(await storage.getValues(MASTER_SHEET_ID, `'${MASTER_SHEET_NAME}'!F2:G6`), [
+        ['Team 1'],
+        ['Team 1'],
+        [],
+        [],
+        ['Manual', 'kept']
+    ]);
+});
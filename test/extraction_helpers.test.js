@@ -0,0 +1,61 @@
+/**
+ * Regression tests for the extraction heuristics in extraction_helpers.js
+ *
+ * Every case lives in test/golden/extraction_helpers.json as { name, input, expected }.
+ * Expected values are written by hand from the behaviour the case defines; after an
+ * intentional behaviour change, edit them in the file. To add cases, leave out their
+ * "expected" and run:
+ *   UPDATE_GOLDEN=1 npm test
+ * which fills in only the missing values (existing ones are still checked) - review
+ * each filled-in value before committing it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('../extraction_helpers');
+
+const GOLDEN_PATH = path.join(__dirname, 'golden', 'extraction_helpers.json');
+const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+const updateGolden = process.env.UPDATE_GOLDEN === '1';
+
+// How each golden section turns its input into an actual value
+const runners = {
+    cleanName: input => helpers.cleanName(input),
+    cleanAppName: input => helpers.cleanAppName(input),
+    cleanStoreLink: input => helpers.cleanStoreLink(input),
+    extractStoreLink: input => helpers.extractStoreLink(input),
+    parseAppStoreId: input => helpers.parseAppStoreId(input),
+    groupStoreLinks: input => helpers.groupStoreLinks(input),
+    filterFramePackages: input => helpers.filterFramePackages(input),
+    pickBestPackage: input => helpers.pickBestPackage(input.packages, input.appName),
+    validatePackage: input => helpers.validatePackage(input.packageName, input),
+    choosePackage: input => helpers.choosePackage(input.packages, input),
+    checkStoreLink: input => helpers.checkStoreLink(input.storeLink, input),
+    // "App | Subtitle" text through both cleaners: cleanName keeps the first part,
+    // cleanAppName keeps the first part with a letter or digit
+    appSubtitleSplit: input => ({ cleanName: helpers.cleanName(input), cleanAppName: helpers.cleanAppName(input) })
+};
+
+for (const [section, cases] of Object.entries(golden)) {
+    test(section, async (t) => {
+        assert.ok(runners[section], `No runner for golden section "${section}"`);
+        for (const c of cases) {
+            const actual = runners[section](c.input);
+            if (updateGolden && !('expected' in c)) {
+                c.expected = actual === undefined ? null : actual;
+                continue;
+            }
+            await t.test(c.name, () => {
+                assert.deepStrictEqual(actual, c.expected);
+            });
+        }
+    });
+}
+
+if (updateGolden) {
+    test.after(() => {
+        fs.writeFileSync(GOLDEN_PATH, JSON.stringify(golden, null, 4) + '\n');
+    });
+}
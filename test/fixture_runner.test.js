@@ -0,0 +1,60 @@
+/**
+ * Tests for fixture loading (fixture_runner.js) - the replay itself needs Chrome
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFixture, listFixtures, createFixtureResolver, compareWithExpected } = require('../fixture_runner');
+
+test('every committed fixture has an expected block', () => {
+    const cases = listFixtures(path.join(__dirname, '..', 'fixtures'));
+    assert.ok(cases.length > 0);
+    for (const dir of cases) {
+        const { expected } = loadFixture(dir);
+        for (const field of ['appName', 'storeLink', 'appSubtitle']) assert.ok(field in expected, `${dir}: ${field}`);
+    }
+});
+
+test('loadFixture rejects a manifest without an expected block', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ url: 'https://example.com/ad' }));
+    assert.throws(() => loadFixture(dir), /no "expected" block/);
+});
+
+test('compareWithExpected lists every mismatching field', () => {
+    assert.deepStrictEqual(compareWithExpected({ appName: 'App', storeLink: 'NOT_FOUND' }, { appName: 'App', storeLink: 'link', appSubtitle: 'Sub' }), [
+        { field: 'storeLink', expected: 'link', actual: 'NOT_FOUND' },
+        { field: 'appSubtitle', expected: 'Sub', actual: null }
+    ]);
+});
+
+test('a captured snapshot bundle loads for --print replays only', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    process.env.SNAPSHOT_DIR = dir;
+    const { writeSnapshotBundle } = require('../snapshot_capture');
+
+    const url = 'https://adstransparency.google.com/advertiser/AR1/creative/CR1';
+    const bundleDir = writeSnapshotBundle({
+        rowIndex: 4,
+        url,
+        reason: 'NOT_FOUND',
+        snapshot: {
+            finalUrl: url,
+            capturedAt: '2026-10-18T10:00:00.000Z',
+            mainHtml: '<html></html>',
+            frames: [{ index: 1, url: 'https://tpc.googlesyndication.com/frame', name: '', parentIndex: 0, html: '<div>ad</div>' }]
+        }
+    });
+
+    assert.throws(() => loadFixture(bundleDir), /no "expected" block \(use --print/);
+    const fixture = loadFixture(bundleDir, { printOnly: true });
+    assert.strictEqual(fixture.expected, null);
+    assert.strictEqual(fixture.url, url);
+    assert.deepStrictEqual(fixture.documents, { [url]: 'main.html', 'https://tpc.googlesyndication.com/frame': 'frames/1.html' });
+    assert.ok(createFixtureResolver(fixture)('https://tpc.googlesyndication.com/frame?x=1').body.includes('ad'));
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the per-app headline history (headline_history.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { rowFromFields, fieldsFromRow } = require('../sheet_columns');
+const { normalizeHeadline, headlineSightings, openHeadlineHistory } = require('../headline_history');
+
+const PLAY = 'https://play.google.com/store/apps/details?id=com.king.candycrushsaga';
+const masterRow = (id, appSubtitle, extra = {}) => fieldsFromRow(rowFromFields({
+    advertiserName: 'King',
+    adsUrl: `https://adstransparency.google.com/advertiser/AR1/creative/${id}?region=US`,
+    storeLink: PLAY,
+    appName: 'Candy Crush',
+    appSubtitle,
+    ...extra
+}));
+
+function historyPath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'headline-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'headline_history.sqlite');
+}
+
+test('normalizeHeadline ignores case, punctuation and emoji', () => {
+    assert.strictEqual(normalizeHeadline('  Play NOW!! 🎉 '), 'play now');
+    assert.strictEqual(normalizeHeadline('Jetzt   spielen – gratis'), 'jetzt spielen gratis');
+    assert.strictEqual(normalizeHeadline('🎉'), '');
+});
+
+test('headlineSightings skips rows without an app or a headline', () => {
+    const sightings = headlineSightings([
+        masterRow('CR1', 'Sweet!'),
+        masterRow('CR2', ''),
+        masterRow('CR3', 'No app', { storeLink: '' })
+    ]);
+    assert.deepStrictEqual(sightings, [{
+        appId: 'com.king.candycrushsaga',
+        appName: 'Candy Crush',
+        headline: 'Sweet!',
+        headlineKey: 'sweet',
+        advertiser: 'King',
+        creativeUrl: 'https://adstransparency.google.com/advertiser/AR1/creative/CR1',
+        seenAt: null
+    }]);
+});
+
+test('each run reports only the headlines it saw first', async (t) => {
+    const filePath = historyPath(t);
+    const first = Date.parse('2026-03-01T00:00:00.000Z');
+    const second = Date.parse('2026-03-02T00:00:00.000Z');
+
+    const history = await openHeadlineHistory({ filePath });
+    const run1 = history.recordRun(headlineSightings([masterRow('CR1', 'Sweet!'), masterRow('CR2', 'sweet')]), first);
+    assert.deepStrictEqual(run1.newHeadlines.map(h => [h.headline, h.creativeUrl.slice(-3), h.firstSeen]),
+        [['Sweet!', 'CR1', '2026-03-01T00:00:00.000Z']]);
+    history.close();
+
+    // History survives a restart; the old headline is only seen again
+    const reopened = await openHeadlineHistory({ filePath });
+    t.after(() => reopened.close());
+    const run2 = reopened.recordRun(headlineSightings([masterRow('CR1', 'SWEET!!'), masterRow('CR4', 'Match 3 now')]), second);
+    assert.deepStrictEqual(run2.newHeadlines.map(h => h.headline), ['Match 3 now']);
+    assert.deepStrictEqual(reopened.latestRun(), { id: run2.runId, startedAt: '2026-03-02T00:00:00.000Z', newHeadlines: 1 });
+    assert.deepStrictEqual(reopened.newHeadlines(run1.runId).map(h => h.headline), ['Sweet!']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the persistent job queue (job_queue.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jobStateForResult, openJobQueue } = require('../job_queue');
+
+const item = (rowIndex) => ({ url: `https://adstransparency.google.com/advertiser/AR1/creative/CR${rowIndex}`, rowIndex });
+
+function queuePath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'job_queue.sqlite');
+}
+
+test('jobStateForResult', () => {
+    assert.strictEqual(jobStateForResult({ storeLink: 'https://play.google.com/store/apps/details?id=com.a.b', appName: 'A' }), 'done');
+    assert.strictEqual(jobStateForResult({ storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' }), 'done');
+    assert.strictEqual(jobStateForResult({ storeLink: 'BLOCKED', appName: 'BLOCKED' }), 'blocked');
+    assert.strictEqual(jobStateForResult({ storeLink: 'ERROR', appName: 'ERROR' }), 'failed');
+});
+
+test('pending rows keep scan order and survive a restart', async (t) => {
+    const filePath = queuePath(t);
+    const options = { spreadsheetId: 's1', tab: 'Text Ads data', scan: 'bottom-up', filePath };
+
+    const queue = await openJobQueue(options);
+    queue.enqueue([item(9), item(5), item(7)]);
+    queue.markInFlight([item(9), item(5)]);
+    queue.recordResults([{ rowIndex: 9, storeLink: 'https://play.google.com/store/apps/details?id=com.a.b', appName: 'A' }], true);
+    queue.close();
+
+    // Row 5 was in flight when the run died
+    const resumed = await openJobQueue(options);
+    t.after(() => resumed.close());
+    assert.strictEqual(resumed.recoverInFlight(), 1);
+    assert.deepStrictEqual(resumed.pendingJobs().map(j => j.rowIndex), [5, 7]);
+    assert.deepStrictEqual(resumed.stats(), { pending: 2, in_flight: 0, done: 1, failed: 0, blocked: 0 });
+});
+
+test('results set state and attempts; failed writes go back to pending', async (t) => {
+    const queue = await openJobQueue({ spreadsheetId: 's1', tab: 'Tab', scan: 'top-down', filePath: queuePath(t) });
+    t.after(() => queue.close());
+
+    queue.enqueue([item(1), item(2), item(3), item(4)]);
+    queue.markInFlight([item(1), item(2), item(3), item(4)]);
+    queue.recordResults([
+        { rowIndex: 1, storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' },
+        { rowIndex: 2, storeLink: 'BLOCKED', appName: 'BLOCKED' },
+        { rowIndex: 3, storeLink: 'ERROR', appName: 'ERROR' }
+    ], true);
+    queue.recordResults([{ rowIndex: 4, storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' }], false);
+
+    assert.deepStrictEqual(queue.stats(), { pending: 1, in_flight: 0, done: 1, failed: 1, blocked: 1 });
+    assert.deepStrictEqual(queue.pendingJobs().map(j => [j.rowIndex, j.attempts]), [[4, 1]]);
+});
+
+test('state changes reach the file once per batch, with the results', async (t) => {
+    const options = { spreadsheetId: 's1', tab: 'Tab', scan: 'top-down', filePath: queuePath(t) };
+    // What a run starting now would read from the file
+    const onDisk = async () => {
+        const reader = await openJobQueue(options);
+        const stats = reader.stats();
+        reader.close();
+        return stats;
+    };
+
+    const queue = await openJobQueue(options);
+    t.after(() => queue.close());
+    queue.enqueue([item(1), item(2), item(3)]);
+    queue.markInFlight([item(1)]);
+    queue.release([item(2)]);
+    queue.skip([item(3)], 'ALREADY_PROCESSED');
+    assert.deepStrictEqual(await onDisk(), { pending: 3, in_flight: 0, done: 0, failed: 0, blocked: 0 });
+
+    queue.recordResults([{ rowIndex: 1, storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' }], true);
+    assert.deepStrictEqual(await onDisk(), { pending: 1, in_flight: 0, done: 2, failed: 0, blocked: 0 });
+});
+
+test('re-enqueueing a known row resets it to pending; scans are kept apart', async (t) => {
+    const filePath = queuePath(t);
+    const lower = await openJobQueue({ spreadsheetId: 's1', tab: 'Tab', scan: 'middle-out:lower', filePath });
+    lower.enqueue([item(1)]);
+    lower.markInFlight([item(1)]);
+    lower.recordResults([{ rowIndex: 1, storeLink: 'ERROR', appName: 'ERROR' }], true);
+    lower.enqueue([item(1), item(2)]);
+    assert.deepStrictEqual(lower.pendingJobs().map(j => [j.rowIndex, j.attempts]), [[1, 1], [2, 0]]);
+    lower.close();
+
+    const upper = await openJobQueue({ spreadsheetId: 's1', tab: 'Tab', scan: 'middle-out:upper', filePath });
+    t.after(() => upper.close());
+    assert.deepStrictEqual(upper.pendingJobs(), []);
+});
@@ -0,0 +1,314 @@
+/**
+ * Tests for mock_sheets_server.js, driven through the real googleapis client,
+ * plus offline end-to-end runs of the aggregator and the agent's sheet I/O
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { google } = require('googleapis');
+const { parseA1Range } = require('../a1_notation');
+const { createMockSheetsServer } = require('../mock_sheets_server');
+const { createSheetsStorage } = require('../sheets_storage');
+const { APPS_HEADER, rewriteTab } = require('../rollups');
+const { NEW_HEADLINES_HEADER } = require('../headline_history');
+const { RETRY_COOLDOWN_MS } = require('../retry_policy');
+
+const MASTER_ID = '1yq2UwI94lwfYPY86CFwGbBsm3kpdqKrefYgrw3lEAwk';
+const MASTER_HEADER = ['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'App Headline'];
+
+async function startMock(options) {
+    const mock = createMockSheetsServer(options);
+    const url = await mock.listen();
+    return { mock, url, sheets: google.sheets({ version: 'v4', rootUrl: url }) };
+}
+
+test('parseA1Range', () => {
+    assert.deepStrictEqual(parseA1Range("'Text Ads data'!A2:C10"), { sheetName: 'Text Ads data', startRow: 2, endRow: 10, startCol: 0, endCol: 2 });
+    assert.deepStrictEqual(parseA1Range('Sheet1!B5:B'), { sheetName: 'Sheet1', startRow: 5, endRow: null, startCol: 1, endCol: 1 });
+    assert.deepStrictEqual(parseA1Range("'Text Ads data'!K7"), { sheetName: 'Text Ads data', startRow: 7, endRow: 7, startCol: 10, endCol: 10 });
+    assert.deepStrictEqual(parseA1Range("'It''s'"), { sheetName: "It's", startRow: 1, endRow: null, startCol: 0, endCol: null });
+    assert.deepStrictEqual(parseA1Range('Tab!2:100'), { sheetName: 'Tab', startRow: 2, endRow: 100, startCol: 0, endCol: null });
+    assert.throws(() => parseA1Range("'Unclosed!A1"));
+});
+
+test('spreadsheets.get reports gridProperties for the requested tab', async (t) => {
+    const { mock, sheets } = await startMock({
+        spreadsheets: { [MASTER_ID]: { 'Text Ads data': { rowCount: 5000, rows: [MASTER_HEADER] }, Other: [] } }
+    });
+    t.after(() => mock.close());
+
+    const one = await sheets.spreadsheets.get({
+        spreadsheetId: MASTER_ID,
+        ranges: ["'Text Ads data'"],
+        fields: 'sheets.properties.gridProperties.rowCount'
+    });
+    assert.strictEqual(one.data.sheets.length, 1);
+    assert.strictEqual(one.data.sheets[0].properties.gridProperties.rowCount, 5000);
+
+    const all = await sheets.spreadsheets.get({ spreadsheetId: MASTER_ID, fields: 'sheets.properties.title' });
+    assert.deepStrictEqual(all.data.sheets.map(s => s.properties.title), ['Text Ads data', 'Other']);
+
+    await assert.rejects(sheets.spreadsheets.get({ spreadsheetId: 'missing' }), /not found/);
+});
+
+test('values.get trims trailing empties like the real API', async (t) => {
+    const { mock, sheets } = await startMock({
+        spreadsheets: { s1: { Tab: [['h1', 'h2', 'h3'], ['a', '', ''], [], ['b', 'c'], []] } }
+    });
+    t.after(() => mock.close());
+
+    const response = await sheets.spreadsheets.values.get({ spreadsheetId: 's1', range: 'Tab!A2:C1000' });
+    assert.deepStrictEqual(response.data.values, [['a'], [], ['b', 'c']]);
+
+    const empty = await sheets.spreadsheets.values.get({ spreadsheetId: 's1', range: 'Tab!D1:D10' });
+    assert.strictEqual(empty.data.values, undefined);
+
+    await assert.rejects(sheets.spreadsheets.values.get({ spreadsheetId: 's1', range: 'Nope!A1' }), /Unable to parse range/);
+});
+
+test('values.batchUpdate, values.update and values.append write cells', async (t) => {
+    const { mock, sheets } = await startMock({ spreadsheets: { s1: { Tab: [['h1', 'h2'], ['a', 'b']] } } });
+    t.after(() => mock.close());
+
+    await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: 's1',
+        resource: { valueInputOption: 'RAW', data: [{ range: 'Tab!C2', values: [['c']] }, { range: 'Tab!M3', values: [[30]] }] }
+    });
+    await sheets.spreadsheets.values.update({
+        spreadsheetId: 's1', range: 'Tab!A1:B1', valueInputOption: 'RAW', resource: { values: [['H1', 'H2']] }
+    });
+    const appended = await sheets.spreadsheets.values.append({
+        spreadsheetId: 's1',
+        range: 'Tab!A2:C',
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: { values: [['x', 'y', 'z']] }
+    });
+    assert.strictEqual(appended.data.updates.updatedRange, "'Tab'!A3:C3");
+
+    const tab = mock.snapshot().s1.Tab;
+    assert.deepStrictEqual(tab.rows[0], ['H1', 'H2']);
+    assert.deepStrictEqual(tab.rows[1], ['a', 'b', 'c']);
+    assert.deepStrictEqual(tab.rows[2], ['x', 'y', 'z']);
+    // M3 was on row 3 before the append inserted a row above it
+    assert.strictEqual(tab.rows[3][12], '30');
+});
+
+test('batchUpdate addSheet creates a tab once', async (t) => {
+    const { mock, sheets } = await startMock({ spreadsheets: { s1: { Tab: [] } } });
+    t.after(() => mock.close());
+
+    const addSheet = { spreadsheetId: 's1', resource: { requests: [{ addSheet: { properties: { title: 'New Tab' } } }] } };
+    const response = await sheets.spreadsheets.batchUpdate(addSheet);
+    assert.strictEqual(response.data.replies[0].addSheet.properties.title, 'New Tab');
+    assert.strictEqual(response.data.replies[0].addSheet.properties.gridProperties.rowCount, 1000);
+    await assert.rejects(sheets.spreadsheets.batchUpdate(addSheet), /already exists/);
+});
+
+test('writes outside the grid fail until appendDimension or values.append grows it', async (t) => {
+    const { mock, sheets } = await startMock({ spreadsheets: { s1: { Tab: { rowCount: 3, columnCount: 2, rows: [['h1', 'h2']] } } } });
+    t.after(() => mock.close());
+
+    const update = (range) => sheets.spreadsheets.values.update({ spreadsheetId: 's1', range, valueInputOption: 'RAW', resource: { values: [['v']] } });
+    await assert.rejects(update('Tab!C1'), /Range \(Tab!C1\) exceeds grid limits. Max rows: 3, max columns: 2/);
+    await assert.rejects(update('Tab!A4'), /exceeds grid limits/);
+    // One bad range fails the whole batch
+    await assert.rejects(sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: 's1',
+        resource: { valueInputOption: 'RAW', data: [{ range: 'Tab!A2', values: [['a']] }, { range: 'Tab!C2', values: [['c']] }] }
+    }), /exceeds grid limits/);
+    assert.deepStrictEqual(mock.snapshot().s1.Tab.rows, [['h1', 'h2']]);
+
+    await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: 's1',
+        resource: { requests: [{ appendDimension: { sheetId: 0, dimension: 'COLUMNS', length: 1 } }] }
+    });
+    await update('Tab!C1');
+
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: 's1', range: 'Tab!A1:D', valueInputOption: 'RAW', resource: { values: [['a', 'b', 'c', 'd'], ['e'], ['f'], ['g']] }
+    });
+    const tab = mock.snapshot().s1.Tab;
+    assert.deepStrictEqual([tab.rowCount, tab.columnCount], [5, 4]);
+    assert.deepStrictEqual(tab.rows[4], ['g']);
+});
+
+test('rewriteTab grows a new tab past its 1000-row grid', async (t) => {
+    const { mock, url } = await startMock({ spreadsheets: { [MASTER_ID]: {} } });
+    t.after(() => mock.close());
+    t.mock.method(console, 'log', () => { });
+
+    const storage = await createSheetsStorage({ apiUrl: url });
+    const rows = Array.from({ length: 1500 }, (_, i) => [`Adv ${i}`, String(i)]);
+    await rewriteTab(storage, MASTER_ID, 'Advertisers', ['Advertiser', 'Creatives'], rows);
+
+    const tab = mock.snapshot()[MASTER_ID].Advertisers;
+    assert.strictEqual(tab.rowCount, 1501);
+    assert.deepStrictEqual(tab.rows[1500], ['Adv 1499', '1499']);
+});
+
+test('state file is loaded on start and saved after writes', async (t) => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-sheets-')), 'state.json');
+    t.after(() => fs.rmSync(path.dirname(stateFile), { recursive: true, force: true }));
+    fs.writeFileSync(stateFile, JSON.stringify({ s1: { Tab: [['h']] } }));
+
+    const { mock, sheets } = await startMock({ stateFile });
+    await sheets.spreadsheets.values.update({
+        spreadsheetId: 's1', range: 'Tab!A2', valueInputOption: 'RAW', resource: { values: [['saved']] }
+    });
+    await mock.close();
+
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.deepStrictEqual(saved.s1.Tab.rows, [['h'], ['saved']]);
+});
+
+test('aggregator run against the mock copies new source rows into master', async (t) => {
+    const sourceId = 'source-sheet-1';
+    const { mock, url } = await startMock({
+        spreadsheets: {
+            [MASTER_ID]: { 'Text Ads data': [MASTER_HEADER, ['Adv Old', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1', 'NOT_FOUND']] },
+            [sourceId]: {
+                'Team Tab': [
+                    ['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID'],
+                    ['Adv Old', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1', ''],
+                    ['Adv New', 'https://adstransparency.google.com/advertiser/AR2/creative/CR2', 'NOT_FOUND', 'New App', 'dQw4w9WgXcQ'],
+                    // Same creatives in another shape: deduped on the canonical URL
+                    ['Adv Old', 'https://adstransparency.google.com/advertiser/ar1/creative/cr1?region=US', ''],
+                    ['Adv New', 'https://adstransparency.google.com/advertiser/AR2/creative/CR2/?region=GB&format=TEXT', ''],
+                    ['Adv Done', 'https://adstransparency.google.com/advertiser/AR3/creative/CR3', 'https://play.google.com/store/apps/details?id=com.example.done'],
+                    ['ERROR', 'https://adstransparency.google.com/advertiser/AR4/creative/CR4', '']
+                ]
+            }
+        }
+    });
+    t.after(() => mock.close());
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregator-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configPath = path.join(dir, 'source_sheets.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sheets: [{ id: sourceId, name: 'Team', sheetName: 'Team Tab' }] }));
+
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'data_aggregator.js')], {
+            env: {
+                ...process.env, SHEETS_API_URL: url, SOURCE_SHEETS_CONFIG: configPath,
+                HEADLINE_HISTORY_PATH: path.join(dir, 'headline_history.sqlite'),
+                AGGREGATOR_CHECKPOINT_PATH: path.join(dir, 'aggregator_checkpoints.sqlite')
+            },
+            timeout: 60000
+        }, (error, stdout, stderr) => (error ? reject(new Error(`${error.message}\n${stdout}\n${stderr}`)) : resolve()));
+    });
+
+    const rows = mock.snapshot()[MASTER_ID]['Text Ads data'].rows;
+    assert.strictEqual(rows.length, 3);
+    assert.deepStrictEqual(rows[2].slice(0, 6), ['Adv New', 'https://adstransparency.google.com/advertiser/AR2/creative/CR2', '', 'New App', '', 'Team']);
+    assert.match(rows[2][6], /^\d{2}\/\d{2}\/\d{4}, /);
+    assert.strictEqual(rows[2][11], 'dQw4w9WgXcQ');
+    assert.strictEqual(rows[2][20], 'source_sheet');
+    assert.deepStrictEqual(rows[2].slice(28, 32), ['AR2', 'CR2', '', '']);
+
+    // Rollup tabs are rebuilt from the master tab at the end of the run
+    const advertisers = mock.snapshot()[MASTER_ID]['Advertisers'].rows;
+    assert.deepStrictEqual(advertisers.map(r => r.slice(0, 4)), [
+        ['Advertiser ID', 'Advertiser Name', 'Apps', 'Creatives'],
+        ['AR1', 'Adv Old', '0', '1'],
+        ['AR2', 'Adv New', '1', '1']
+    ]);
+    assert.deepStrictEqual(mock.snapshot()[MASTER_ID]['Apps'].rows, [APPS_HEADER]);
+    assert.deepStrictEqual(mock.snapshot()[MASTER_ID]['New Headlines'].rows, [NEW_HEADLINES_HEADER]);
+});
+
+test('agent reads pending rows and writes results through the mock', async (t) => {
+    const { mock, url } = await startMock({
+        spreadsheets: {
+            [MASTER_ID]: {
+                'Text Ads data': [
+                    MASTER_HEADER,
+                    ['Adv 1', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1'],
+                    ['Adv 2', 'https://adstransparency.google.com/advertiser/AR2/creative/CR2', 'https://play.google.com/store/apps/details?id=com.example.two'],
+                    ['Adv 3', 'https://adstransparency.google.com/advertiser/AR3/creative/CR3'],
+                    // BLOCKED long ago (due for a retry) and BLOCKED just now (cooling down)
+                    ['Adv 4', 'https://adstransparency.google.com/advertiser/AR4/creative/CR4', '', '', '',
+                        '', '', '', '', '', '', '', '', '', '1', '2020-01-01T00:00:00.000Z', 'HTTP 429', '0', 'BLOCKED'],
+                    ['Adv 5', 'https://adstransparency.google.com/advertiser/AR5/creative/CR5', '', '', '',
+                        '', '', '', '', '', '', '', '', '', '1', new Date().toISOString(), 'HTTP 429', '0', 'BLOCKED'],
+                    // BLOCKED before the Status column existed: no Last Attempt yet
+                    ['Adv 6', 'https://adstransparency.google.com/advertiser/AR6/creative/CR6', 'BLOCKED', 'BLOCKED']
+                ]
+            }
+        }
+    });
+    t.after(() => mock.close());
+    t.mock.method(console, 'log', () => { });
+
+    const { getUrlData, ensureExtraHeaders, batchWriteToSheet } = require('../text_ads_extraction');
+    const storage = await createSheetsStorage({ apiUrl: url });
+    const pending = await getUrlData(storage, 100);
+    assert.deepStrictEqual(pending.map(p => p.rowIndex).sort(), [1, 3, 4]);
+    assert.strictEqual(pending.find(p => p.rowIndex === 4).retry.attempts, 1);
+    // The legacy row is stamped instead of queued, within the last cool-down
+    const stamped = Date.parse(mock.snapshot()[MASTER_ID]['Text Ads data'].rows[6][15]);
+    assert.ok(stamped > Date.now() - RETRY_COOLDOWN_MS && stamped <= Date.now());
+
+    // The seeded tab is 26 columns wide: columns up to AF are appended before any header is written
+    await ensureExtraHeaders(storage);
+    const { columnCount, rows: [header] } = mock.snapshot()[MASTER_ID]['Text Ads data'];
+    assert.strictEqual(columnCount, 32);
+    assert.deepStrictEqual([header[7], header[31]], ['Ad Type', 'Format']);
+
+    // Row 4 was claimed by this worker, but another worker's slower claim landed after ours
+    const otherLease = `other-worker until ${new Date(Date.now() + 60000).toISOString()}`;
+    await storage.updateValues(MASTER_ID, `'Text Ads data'!N4`, [[otherLease]]);
+
+    await batchWriteToSheet(storage, [{
+        rowIndex: 1,
+        advertiserName: 'Adv 1',
+        storeLink: 'https://play.google.com/store/apps/details?id=com.example.one',
+        appName: 'Example One',
+        appSubtitle: 'Best app',
+        adType: 'text_ad',
+        sources: { storeLink: 'visible_link', appName: 'visible_near_link', appSubtitle: 'visible_below_name' },
+        storeLinks: ['https://apps.apple.com/us/app/example-one/id123456789?mt=8'],
+        adsUrl: 'https://adstransparency.google.com/advertiser/AR1/creative/CR1?region=US&format=TEXT'
+    }, {
+        rowIndex: 4,
+        advertiserName: 'NOT_FOUND',
+        storeLink: 'NOT_FOUND',
+        appName: 'NOT_FOUND',
+        appSubtitle: 'NOT_FOUND',
+        retry: pending.find(p => p.rowIndex === 4).retry
+    }, {
+        rowIndex: 3,
+        advertiserName: 'Adv 3',
+        storeLink: 'https://play.google.com/store/apps/details?id=com.example.three',
+        appName: 'Example Three',
+        appSubtitle: 'NOT_FOUND',
+        lease: `me until ${new Date(Date.now() + 60000).toISOString()}`
+    }]);
+
+    const rows = mock.snapshot()[MASTER_ID]['Text Ads data'].rows;
+    const row = rows[1];
+    assert.deepStrictEqual(row.slice(0, 5), ['Adv 1', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1',
+        'https://play.google.com/store/apps/details?id=com.example.one', 'Example One', 'Best app']);
+    assert.strictEqual(row[7], 'text_ad');
+    assert.strictEqual(row[10], 'com.example.one');
+    assert.deepStrictEqual([row[14], row[16], row[17], row[18]], ['1', '', '0', 'FOUND']);
+    assert.deepStrictEqual(row.slice(19, 24), ['visible_link', 'visible_near_link', 'visible_below_name', '0.7', 'verified']);
+    assert.ok(Date.parse(row[15]) > 0);
+    assert.deepStrictEqual(row.slice(24, 28), ['both', 'https://play.google.com/store/apps/details?id=com.example.one',
+        'https://apps.apple.com/app/id123456789', '123456789']);
+    assert.deepStrictEqual(row.slice(28, 32), ['AR1', 'CR1', 'US', 'TEXT']);
+
+    // Outcome goes to Status; C-E stay free of markers
+    assert.deepStrictEqual(rows[4].slice(0, 5), ['Adv 4', 'https://adstransparency.google.com/advertiser/AR4/creative/CR4', '', '', '']);
+    assert.deepStrictEqual([rows[4][14], rows[4][16], rows[4][17], rows[4][18]], ['2', 'NOT_FOUND', '1', 'NOT_FOUND']);
+
+    // The row now leased by another worker is left to it, lease included
+    assert.deepStrictEqual(rows[3].slice(2, 5), ['', '', '']);
+    assert.strictEqual(rows[3][13], otherLease);
+    assert.strictEqual(rows[3][18] || '', '');
+});
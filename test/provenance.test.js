@@ -0,0 +1,55 @@
+/**
+ * Tests for extraction provenance (provenance.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { STRATEGY_CONFIDENCE, PACKAGE_PICK_SOURCES, strategyConfidence, describeProvenance, describeLinkCheck } = require('../provenance');
+
+const LINK = 'https://play.google.com/store/apps/details?id=com.example.app';
+
+test('every pickBestPackage strategy has a store link confidence', () => {
+    for (const source of Object.values(PACKAGE_PICK_SOURCES)) {
+        assert.ok(STRATEGY_CONFIDENCE.storeLink[source] > 0, source);
+    }
+    assert.ok(strategyConfidence('storeLink', 'frame_first_package') < strategyConfidence('storeLink', 'frame_best_match'));
+    assert.ok(strategyConfidence('storeLink', 'frame_best_match') < strategyConfidence('storeLink', 'visible_link'));
+});
+
+test('describeProvenance lists sources of filled fields and the lowest confidence', () => {
+    const guessed = describeProvenance({
+        storeLink: LINK,
+        appName: 'Example App',
+        appSubtitle: 'NOT_FOUND',
+        sources: { storeLink: 'frame_first_package', appName: 'dom_container', appSubtitle: 'dom_headline' }
+    });
+    assert.deepStrictEqual(guessed, { sources: ['frame_first_package', 'dom_container', ''], confidence: 0.2 });
+
+    const linked = describeProvenance({
+        storeLink: LINK,
+        appName: 'Example App',
+        appSubtitle: 'Best app',
+        sources: { storeLink: 'visible_link', appName: 'visible_near_link', appSubtitle: 'visible_below_name' }
+    });
+    assert.deepStrictEqual(linked, { sources: ['visible_link', 'visible_near_link', 'visible_below_name'], confidence: 0.7 });
+});
+
+test('results without sources or values', () => {
+    assert.deepStrictEqual(describeProvenance({ storeLink: 'BLOCKED', appName: 'BLOCKED' }), { sources: ['', '', ''], confidence: '' });
+    assert.deepStrictEqual(describeProvenance({ storeLink: LINK }), { sources: ['unknown', '', ''], confidence: 0.5 });
+});
+
+test('describeLinkCheck flags unmatched links and lists rejected packages', () => {
+    assert.strictEqual(describeLinkCheck({ storeLink: LINK, appName: 'Example App' }), 'verified');
+    assert.strictEqual(describeLinkCheck({ storeLink: LINK, appName: 'Weather Radar', advertiserName: 'Sky Labs' }), 'unverified');
+    assert.strictEqual(describeLinkCheck({ storeLink: 'NOT_FOUND', appName: 'Weather Radar' }), '');
+
+    const rejectedPackages = [
+        { packageName: 'com.unity3d.ads', reasons: ['sdk_prefix'] },
+        { packageName: 'com.alpha.one', reasons: ['no_match'] },
+        { packageName: 'com.beta.two', reasons: ['no_match'] },
+        { packageName: 'com.gamma.three', reasons: ['no_match'] }
+    ];
+    assert.strictEqual(describeLinkCheck({ storeLink: 'NOT_FOUND', appName: 'Weather Radar', rejectedPackages }),
+        'rejected: com.unity3d.ads (sdk_prefix), com.alpha.one (no_match), com.beta.two (no_match), +1 more');
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the retry policy (retry_policy.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    RETRY_COOLDOWN_MS, MAX_NOT_FOUND_ATTEMPTS, resultOutcome, extractedValue, rowOutcome, readRetryState, needsExtraction, legacyLastAttempt, nextRetryState
+} = require('../retry_policy');
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+const LINK = 'https://play.google.com/store/apps/details?id=com.example.app';
+
+// Sheet row A-S with the given C/D/E values, retry counters (O-R) and Status (S)
+function row([storeLink, appName, appSubtitle] = [], [attempts, lastAttempt, errorReason, notFound, status] = []) {
+    return ['Adv', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1', storeLink, appName, appSubtitle,
+        '', '', '', '', '', '', '', '', '', attempts, lastAttempt, errorReason, notFound, status].map(v => v ?? '');
+}
+const ago = (ms) => new Date(NOW - ms).toISOString();
+
+test('resultOutcome', () => {
+    assert.strictEqual(resultOutcome({ storeLink: LINK, appName: 'App' }), 'FOUND');
+    assert.strictEqual(resultOutcome({ storeLink: 'NOT_FOUND', appName: 'App' }), 'FOUND');
+    assert.strictEqual(resultOutcome({ storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' }), 'NOT_FOUND');
+    assert.strictEqual(resultOutcome({ storeLink: 'BLOCKED', appName: 'BLOCKED' }), 'BLOCKED');
+    assert.strictEqual(resultOutcome({ storeLink: 'ERROR', appName: 'ERROR' }), 'ERROR');
+});
+
+test('markers never reach the data columns', () => {
+    assert.strictEqual(extractedValue(LINK), LINK);
+    for (const marker of ['NOT_FOUND', 'BLOCKED', 'ERROR', '', undefined]) assert.strictEqual(extractedValue(marker), '');
+});
+
+test('rowOutcome reads Status, falling back to markers in C/D', () => {
+    assert.strictEqual(rowOutcome(row()), null);
+    assert.strictEqual(rowOutcome(row([], ['1', ago(0), 'HTTP 429', '0', 'BLOCKED'])), 'BLOCKED');
+    assert.strictEqual(rowOutcome(row(['', '', 'Headline'], ['1', ago(0), 'NOT_FOUND', '1', 'NOT_FOUND'])), 'NOT_FOUND');
+    assert.strictEqual(rowOutcome(row([LINK, 'App'], ['1', ago(0), '', '0', 'FOUND'])), 'FOUND');
+    assert.strictEqual(rowOutcome(row(['ERROR', 'ERROR', 'ERROR'])), 'ERROR');
+    assert.strictEqual(rowOutcome(row([LINK, 'App'])), 'FOUND');
+    // App Name copied from the team sheet by the aggregator: not processed yet
+    const fromSource = row(['', 'App']);
+    fromSource[20] = 'source_sheet';
+    assert.strictEqual(rowOutcome(fromSource), null);
+});
+
+test('empty rows need extraction, found rows never do', () => {
+    assert.strictEqual(needsExtraction(row(), NOW), true);
+    assert.strictEqual(needsExtraction(row([LINK, 'App', 'Headline'], ['1', ago(RETRY_COOLDOWN_MS * 10), '', '0']), NOW), false);
+});
+
+test('BLOCKED and ERROR rows come back after the cool-down', () => {
+    for (const status of ['BLOCKED', 'ERROR']) {
+        assert.strictEqual(needsExtraction(row([], ['4', ago(RETRY_COOLDOWN_MS - 1000), 'HTTP 429', '0', status]), NOW), false);
+        assert.strictEqual(needsExtraction(row([], ['4', ago(RETRY_COOLDOWN_MS), 'HTTP 429', '0', status]), NOW), true);
+    }
+});
+
+test('NOT_FOUND rows are retired after MAX_NOT_FOUND_ATTEMPTS', () => {
+    const longAgo = ago(RETRY_COOLDOWN_MS * 2);
+    assert.strictEqual(needsExtraction(row([], ['5', longAgo, 'NOT_FOUND', String(MAX_NOT_FOUND_ATTEMPTS - 1), 'NOT_FOUND']), NOW), true);
+    assert.strictEqual(needsExtraction(row([], ['5', longAgo, 'NOT_FOUND', String(MAX_NOT_FOUND_ATTEMPTS), 'NOT_FOUND']), NOW), false);
+    assert.strictEqual(needsExtraction(row([], ['1', ago(1000), 'NOT_FOUND', '1', 'NOT_FOUND']), NOW), false);
+});
+
+test('rows written before the Status column count as one attempt at an unknown time', () => {
+    const legacy = row(['NOT_FOUND', 'NOT_FOUND', 'NOT_FOUND']);
+    assert.deepStrictEqual(readRetryState(legacy), { attempts: 1, lastAttempt: null, errorReason: '', notFoundAttempts: 1 });
+    assert.deepStrictEqual(readRetryState(row()), { attempts: 0, lastAttempt: null, errorReason: '', notFoundAttempts: 0 });
+});
+
+test('legacy markers are not due until stamped, and the stamps spread over one cool-down', () => {
+    const legacy = row(['BLOCKED', 'BLOCKED']);
+    assert.strictEqual(needsExtraction(legacy, NOW), false);
+
+    const earliest = legacyLastAttempt(legacy, NOW, () => 0.999);
+    const latest = legacyLastAttempt(legacy, NOW, () => 0);
+    assert.strictEqual(latest, new Date(NOW).toISOString());
+    assert.ok(Date.parse(earliest) > NOW - RETRY_COOLDOWN_MS);
+
+    // Stamped just now: due one cool-down later; stamped near the start of the window: due soon
+    assert.strictEqual(needsExtraction(row(['BLOCKED', 'BLOCKED'], ['', latest]), NOW + RETRY_COOLDOWN_MS - 1), false);
+    assert.strictEqual(needsExtraction(row(['BLOCKED', 'BLOCKED'], ['', earliest]), NOW + RETRY_COOLDOWN_MS / 100), true);
+
+    // Nothing to stamp for never-processed, found or already stamped rows
+    assert.strictEqual(legacyLastAttempt(row(), NOW), null);
+    assert.strictEqual(legacyLastAttempt(row([LINK, 'App']), NOW), null);
+    assert.strictEqual(legacyLastAttempt(row(['BLOCKED', 'BLOCKED'], ['', latest]), NOW), null);
+});
+
+test('nextRetryState counts attempts and genuine NOT_FOUND outcomes', () => {
+    const blocked = nextRetryState({ attempts: 2, notFoundAttempts: 1 }, { storeLink: 'BLOCKED', appName: 'BLOCKED', errorReason: 'HTTP 429' }, NOW);
+    assert.deepStrictEqual(blocked, { attempts: 3, lastAttempt: '2026-03-01T12:00:00.000Z', errorReason: 'HTTP 429', notFoundAttempts: 1, status: 'BLOCKED' });
+
+    const notFound = nextRetryState(blocked, { storeLink: 'NOT_FOUND', appName: 'NOT_FOUND' }, NOW);
+    assert.deepStrictEqual([notFound.attempts, notFound.errorReason, notFound.notFoundAttempts], [4, 'NOT_FOUND', 2]);
+
+    const found = nextRetryState(undefined, { storeLink: LINK, appName: 'App' }, NOW);
+    assert.deepStrictEqual([found.attempts, found.errorReason, found.notFoundAttempts, found.status], [1, '', 0, 'FOUND']);
+});
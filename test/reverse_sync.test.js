@@ -0,0 +1,102 @@
+/**
+ * Tests for copying master results back into the source sheets (reverse_sync.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { rowFromFields, fieldsFromRow } = require('../sheet_columns');
+const { isPlaceholder, masterResults, planTabUpdates, reverseSync } = require('../reverse_sync');
+
+const creative = (n) => `https://adstransparency.google.com/advertiser/AR1/creative/CR${n}`;
+const PLAY = 'https://play.google.com/store/apps/details?id=com.example.app';
+
+const masterRows = [
+    fieldsFromRow(rowFromFields({ adsUrl: creative(1), storeLink: PLAY, appName: 'Example', appSubtitle: 'Play now' })),
+    fieldsFromRow(rowFromFields({ adsUrl: creative(2), storeLink: '', appName: '', appSubtitle: '', status: 'NOT_FOUND' })),
+    fieldsFromRow(rowFromFields({ adsUrl: creative(3), storeLink: PLAY, appName: 'Example', appSubtitle: '' }))
+];
+
+test('isPlaceholder accepts empty cells and result markers only', () => {
+    for (const value of ['', '  ', undefined, 'NOT_FOUND', 'not found', 'BLOCKED', 'ERROR']) {
+        assert.strictEqual(isPlaceholder(value), true, String(value));
+    }
+    for (const value of ['SKIP', 'Example', PLAY]) assert.strictEqual(isPlaceholder(value), false, value);
+});
+
+test('masterResults leaves out rows without results', () => {
+    const results = masterResults(masterRows);
+    assert.deepStrictEqual([...results.keys()], ['CR1', 'CR3']);
+    assert.deepStrictEqual(results.get('CR1'), { storeLink: PLAY, appName: 'Example', headline: 'Play now' });
+});
+
+test('planTabUpdates fills placeholders and keeps human-entered values', () => {
+    const { updates, kept } = planTabUpdates([
+        ['Adv 1', `${creative(1)}?region=US`, 'NOT_FOUND', 'Typed by hand', ''],
+        ['Adv 2', creative(2), 'NOT_FOUND'],
+        ['Adv 3', creative(3), 'SKIP', 'Example']
+    ], masterResults(masterRows));
+
+    assert.deepStrictEqual(updates.map(u => [u.letter, u.row, u.value]), [
+        ['C', 2, PLAY],
+        ['F', 2, 'Play now']
+    ]);
+    assert.strictEqual(kept, 2);
+});
+
+test('reverseSync writes nothing in a dry run and fills the source on a real run', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reverse-sync-'));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    t.after(async () => {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const source = [
+        ['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID'],
+        ['Adv 1', creative(1), 'NOT_FOUND', '', ''],
+        ['Adv 2', creative(2), 'NOT_FOUND', '', '']
+    ];
+    await storage.addTab('source-1', 'Team Tab');
+    await storage.updateValues('source-1', "'Team Tab'!A1", source);
+    const sheets = [{ id: 'source-1', name: 'Team', sheetName: 'Team Tab' }];
+
+    const dryRun = await reverseSync(storage, sheets, { masterRows, dryRun: true });
+    assert.deepStrictEqual(dryRun, { written: 3, kept: 0, failedTabs: 0 });
+    assert.deepStrictEqual(await storage.getValues('source-1', "'Team Tab'!A1:F3"), [source[0], ['Adv 1', creative(1), 'NOT_FOUND'], ['Adv 2', creative(2), 'NOT_FOUND']]);
+
+    await reverseSync(storage, sheets, { masterRows });
+    assert.deepStrictEqual(await storage.getValues('source-1', "'Team Tab'!A1:F3"), [
+        [...source[0], 'App Headline'],
+        ['Adv 1', creative(1), PLAY, 'Example', '', 'Play now'],
+        ['Adv 2', creative(2), 'NOT_FOUND']
+    ]);
+
+    const again = await reverseSync(storage, sheets, { masterRows });
+    assert.strictEqual(again.written, 0);
+});
+
+test('reverseSync skips and reports a tab whose headline column holds something else', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reverse-sync-'));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    t.after(async () => {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    t.mock.method(console, 'error', () => { });
+
+    const source = [
+        ['Advertiser Name', 'Ads URL', 'App Link', 'App Name', 'Video ID', 'Notes'],
+        ['Adv 1', creative(1), 'NOT_FOUND', '', '', '']
+    ];
+    await storage.addTab('source-1', 'Team Tab');
+    await storage.updateValues('source-1', "'Team Tab'!A1", source);
+
+    const stats = await reverseSync(storage, [{ id: 'source-1', name: 'Team', sheetName: 'Team Tab' }], { masterRows });
+    assert.deepStrictEqual(stats, { written: 0, kept: 0, failedTabs: 1 });
+    assert.match(console.error.mock.calls[0].arguments[0], /column F is "Notes", not "App Headline"/);
+    assert.deepStrictEqual(await storage.getValues('source-1', "'Team Tab'!A1:F2"), [source[0], ['Adv 1', creative(1), 'NOT_FOUND']]);
+});
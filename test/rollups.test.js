@@ -0,0 +1,72 @@
+/**
+ * Tests for the rollup tabs rebuilt from the master tab (rollups.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { rowFromFields, fieldsFromRow } = require('../sheet_columns');
+const { parseSheetDate, buildAdvertiserRollup, buildAppRollup, rewriteTab } = require('../rollups');
+
+const creative = (advertiser, id, query = '') => `https://adstransparency.google.com/advertiser/${advertiser}/creative/${id}${query}`;
+const PLAY = (pkg) => `https://play.google.com/store/apps/details?id=${pkg}`;
+const masterRow = (fields) => fieldsFromRow(rowFromFields(fields));
+
+test('parseSheetDate reads ISO times and the aggregator\'s Pakistan-time dates', () => {
+    assert.strictEqual(parseSheetDate('2026-03-01T10:00:00.000Z'), Date.parse('2026-03-01T10:00:00.000Z'));
+    assert.strictEqual(parseSheetDate('01/03/2026, 03:00:00 pm'), Date.parse('2026-03-01T10:00:00.000Z'));
+    assert.strictEqual(parseSheetDate('01/03/2026'), Date.parse('2026-02-28T19:00:00.000Z'));
+    assert.strictEqual(parseSheetDate(''), null);
+    assert.strictEqual(parseSheetDate('soon'), null);
+});
+
+test('buildAdvertiserRollup groups creatives per advertiser and app', () => {
+    const rows = [
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR1'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush', sourceSheet: 'Team A', dateAdded: '01/03/2026, 10:00:00 am' },
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR2'), storeLink: `${PLAY('com.king.candycrushsaga')}&hl=en`, appName: 'Candy Crush', sourceSheet: 'Team B', dateAdded: '05/03/2026, 10:00:00 am' },
+        // Same creative in another shape counts once
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR2', '?region=US'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush', sourceSheet: 'Team B' },
+        { advertiserName: 'King Ltd', adsUrl: creative('AR1', 'CR3'), storeLink: '', appName: 'Farm Heroes', lastAttempt: '2026-03-09T08:00:00.000Z' },
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR4'), storeLink: '', appName: '' },
+        { advertiserName: 'Solo', adsUrl: creative('AR2', 'CR9'), storeLink: 'https://apps.apple.com/us/app/solo/id123?mt=8', appName: '' }
+    ].map(masterRow);
+
+    assert.deepStrictEqual(buildAdvertiserRollup(rows), [
+        ['AR1', 'King', 2, 4, 'Candy Crush (2); Farm Heroes (1)', '2026-03-01', '2026-03-09', 'Team A, Team B'],
+        ['AR2', 'Solo', 1, 1, 'https://apps.apple.com/app/id123 (1)', '', '', '']
+    ]);
+});
+
+test('buildAppRollup lists advertisers, headlines and a creative timeline per app', () => {
+    const rows = [
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR1'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush', appSubtitle: 'Sweet!', dateAdded: '01/03/2026, 10:00:00 am' },
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR1', '?region=GB'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush', appSubtitle: 'Sweet!', dateAdded: '02/04/2026, 10:00:00 am' },
+        // Runs on both platforms: counts for the Play app and the App Store app
+        { advertiserName: 'Reseller', adsUrl: creative('AR7', 'CR2'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush Saga', appSubtitle: 'Match 3', playStoreLink: PLAY('com.king.candycrushsaga'), appStoreLink: 'https://apps.apple.com/app/id553834731', appStoreId: '553834731', lastAttempt: '2026-04-20T00:00:00.000Z' },
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR3'), storeLink: PLAY('com.king.candycrushsaga'), appName: 'Candy Crush', appSubtitle: 'NOT_FOUND' },
+        // No store link: not an app row
+        { advertiserName: 'King', adsUrl: creative('AR1', 'CR4'), storeLink: '', appName: 'Farm Heroes' }
+    ].map(masterRow);
+
+    assert.deepStrictEqual(buildAppRollup(rows), [
+        ['com.king.candycrushsaga', 'android', 'Candy Crush', PLAY('com.king.candycrushsaga'), 'King, Reseller', 2, 3,
+            'Sweet!\nMatch 3', '2026-03-01', '2026-04-20', '2026-03: 1; 2026-04: 1'],
+        ['id553834731', 'ios', 'Candy Crush Saga', 'https://apps.apple.com/app/id553834731', 'Reseller', 1, 1,
+            'Match 3', '2026-04-20', '2026-04-20', '2026-04: 1']
+    ]);
+});
+
+test('rewriteTab replaces the previous content of a tab', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rollups-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    t.after(() => storage.close());
+
+    await rewriteTab(storage, 'sheet-1', 'Advertisers', ['ID', 'Name'], [['AR1', 'One'], ['AR2', 'Two'], ['AR3', 'Three']]);
+    await rewriteTab(storage, 'sheet-1', 'Advertisers', ['ID', 'Name'], [['AR9', 'Nine']]);
+
+    assert.deepStrictEqual(await storage.getValues('sheet-1', "'Advertisers'!A1:B10"), [['ID', 'Name'], ['AR9', 'Nine']]);
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for row claiming/leasing (row_lease.js) on the SQLite storage backend
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { formatLease, parseLease, isLeasedByOther, claimRows, ownLeases } = require('../row_lease');
+
+const SHEET_ID = 'sheet-1';
+const TAB = 'Text Ads data';
+const item = (rowIndex) => ({ url: `https://adstransparency.google.com/advertiser/AR1/creative/CR${rowIndex}`, rowIndex });
+const rowIndexes = (items) => items.map(i => i.rowIndex);
+
+async function seededStorage(t, rows) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'row-lease-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = await createStorage('sqlite', { filePath: path.join(dir, 'sheets.sqlite') });
+    t.after(() => storage.close());
+    await storage.addTab(SHEET_ID, TAB);
+    await storage.updateValues(SHEET_ID, `'${TAB}'!A1`, rows);
+    return storage;
+}
+
+test('lease cells round-trip and expire', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+    const lease = formatLease('text-ads-lower', now + 60000);
+    assert.strictEqual(lease, 'text-ads-lower until 2026-01-01T00:01:00.000Z');
+    assert.deepStrictEqual(parseLease(lease), { workerId: 'text-ads-lower', expiresAt: now + 60000 });
+    assert.strictEqual(parseLease('garbage'), null);
+
+    assert.strictEqual(isLeasedByOther(lease, 'text-ads-upper', now), true);
+    assert.strictEqual(isLeasedByOther(lease, 'text-ads-lower', now), false);
+    assert.strictEqual(isLeasedByOther(lease, 'text-ads-upper', now + 120000), false);
+    assert.strictEqual(isLeasedByOther('', 'text-ads-upper', now), false);
+});
+
+test('claimRows sorts rows into claimed, leased elsewhere and already processed', async (t) => {
+    const live = formatLease('other-worker', Date.now() + 60000);
+    const expired = formatLease('dead-worker', Date.now() - 1000);
+    const mine = formatLease('me', Date.now() + 60000);
+    const storage = await seededStorage(t, [
+        ['Advertiser Name', 'Ads URL', 'App Link'],
+        ['Adv', 'url-1'],
+        ['Adv', 'url-2', '', '', '', '', '', '', '', '', '', '', '', live],
+        ['Adv', 'url-3', '', '', '', '', '', '', '', '', '', '', '', expired],
+        ['Adv', 'url-4', 'https://play.google.com/store/apps/details?id=com.example.four'],
+        ['Adv', 'url-5', '', '', '', '', '', '', '', '', '', '', '', mine]
+    ]);
+
+    const claim = await claimRows(storage, SHEET_ID, TAB, [item(1), item(2), item(3), item(4), item(5)], { workerId: 'me', confirmDelay: 0 });
+    assert.deepStrictEqual(rowIndexes(claim.claimed), [1, 3, 5]);
+    assert.deepStrictEqual(rowIndexes(claim.leasedElsewhere), [2]);
+    assert.deepStrictEqual(rowIndexes(claim.alreadyProcessed), [4]);
+    assert.deepStrictEqual(claim.claimed[0].retry, { attempts: 0, lastAttempt: null, errorReason: '', notFoundAttempts: 0 });
+
+    const leases = await storage.getValues(SHEET_ID, `'${TAB}'!N2:N6`);
+    assert.strictEqual(parseLease(leases[0][0]).workerId, 'me');
+    assert.strictEqual(leases[1][0], live);
+});
+
+test('two workers racing for the same rows: only the last writer keeps them', async (t) => {
+    const storage = await seededStorage(t, [['Advertiser Name', 'Ads URL'], ['Adv', 'url-1'], ['Adv', 'url-2']]);
+
+    const [first, second] = await Promise.all([
+        claimRows(storage, SHEET_ID, TAB, [item(1), item(2)], { workerId: 'worker-a', confirmDelay: 20 }),
+        claimRows(storage, SHEET_ID, TAB, [item(1), item(2)], { workerId: 'worker-b', confirmDelay: 20 })
+    ]);
+
+    assert.strictEqual(first.claimed.length + first.leasedElsewhere.length, 2);
+    assert.strictEqual(second.claimed.length + second.leasedElsewhere.length, 2);
+    assert.deepStrictEqual([...rowIndexes(first.claimed), ...rowIndexes(second.claimed)].sort(), [1, 2]);
+});
+
+test('ownLeases keeps only rows whose lease is still the one this claim wrote', async (t) => {
+    const storage = await seededStorage(t, [['Advertiser Name', 'Ads URL'], ['Adv', 'url-1'], ['Adv', 'url-2'], ['Adv', 'url-3']]);
+    const claim = await claimRows(storage, SHEET_ID, TAB, [item(1), item(2), item(3)], { workerId: 'me', confirmDelay: 0 });
+    assert.ok(claim.claimed.every(c => c.lease === claim.claimed[0].lease && parseLease(c.lease).workerId === 'me'));
+
+    // Row 2: our lease expired and another worker claimed it; row 3: a later claim of the same worker name
+    await storage.batchUpdateValues(SHEET_ID, [
+        { range: `'${TAB}'!N3`, values: [[formatLease('other-worker', Date.now() + 60000)]] },
+        { range: `'${TAB}'!N4`, values: [[formatLease('me', Date.now() + 120000)]] }
+    ]);
+
+    assert.deepStrictEqual([...await ownLeases(storage, SHEET_ID, TAB, [...claim.claimed, item(4)])], [1]);
+});
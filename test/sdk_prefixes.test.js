@@ -0,0 +1,49 @@
+/**
+ * Tests for the known SDK/library package list (sdk_prefixes.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SDK_PREFIXES, loadSdkPrefixes, matchSdkPackage, isSdkPackage } = require('../sdk_prefixes');
+
+test('the shipped list loads and every entry has a category', () => {
+    assert.ok(SDK_PREFIXES.prefixes.length > 0);
+    for (const entry of [...SDK_PREFIXES.prefixes, ...SDK_PREFIXES.segments]) {
+        assert.ok(entry.category, JSON.stringify(entry));
+    }
+});
+
+test('matchSdkPackage prefers the longest prefix, then whole segments', () => {
+    const db = {
+        prefixes: [
+            { prefix: 'com.bytedance.', category: 'platform', name: 'ByteDance' },
+            { prefix: 'com.bytedance.sdk.', category: 'ad_network', name: 'Pangle' }
+        ],
+        segments: [{ segment: 'sdk', category: 'library', name: 'sdk' }]
+    };
+    assert.strictEqual(matchSdkPackage('com.bytedance.sdk.openadsdk', db).name, 'Pangle');
+    assert.strictEqual(matchSdkPackage('com.bytedance.tiktok', db).category, 'platform');
+    assert.strictEqual(matchSdkPackage('com.vendor.sdk.core', db).category, 'library');
+    assert.strictEqual(matchSdkPackage('com.vendor.adsdk', db), null);
+    assert.strictEqual(matchSdkPackage('com.example.weather', db), null);
+
+    assert.strictEqual(isSdkPackage('com.applovin.mediation'), true);
+    assert.strictEqual(isSdkPackage('Com.Unity3d.Ads'), true);
+    assert.strictEqual(isSdkPackage('com.king.candycrushsaga'), false);
+    // "lib"/"sdk" inside a word is not an SDK
+    for (const app of ['com.bilibili.app.in', 'com.liberty.mobile', 'com.example.library', 'com.sdkboy.game']) {
+        assert.strictEqual(isSdkPackage(app), false, app);
+    }
+    assert.strictEqual(isSdkPackage('com.vendor.lib.net'), true);
+});
+
+test('loadSdkPrefixes rejects entries without a category', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdk-prefixes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'sdk_prefixes.json');
+    fs.writeFileSync(file, JSON.stringify({ prefixes: [{ prefix: 'com.example.' }] }));
+    assert.throws(() => loadSdkPrefixes(file), /needs a prefix \(or segment\) and a category/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the storage backends (storage.js): SQLite semantics match the
+ * Sheets API as seen through the mock server, and the aggregator runs on SQLite
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createStorage, copyTab } = require('../storage');
+const { createMockSheetsServer } = require('../mock_sheets_server');
+
+const MASTER_ID = '1yq2UwI94lwfYPY86CFwGbBsm3kpdqKrefYgrw3lEAwk';
+
+function tempDir(t, prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('sqlite backend reads and writes like the Sheets API', async (t) => {
+    const filePath = path.join(tempDir(t, 'storage-'), 'sheets.sqlite');
+    const storage = await createStorage('sqlite', { filePath });
+
+    await storage.addTab('s1', 'Tab');
+    await assert.rejects(storage.addTab('s1', 'Tab'), /already exists/);
+    assert.deepStrictEqual(await storage.listTabs('s1'), ['Tab']);
+
+    await storage.updateValues('s1', "'Tab'!A1:C1", [['h1', 'h2', 'h3']]);
+    await storage.batchUpdateValues('s1', [
+        { range: "'Tab'!B3", values: [['b3']] },
+        { range: "'Tab'!E3", values: [['e3']] }
+    ]);
+    await storage.appendValues('s1', "'Tab'!A2:C", [['a4', 'b4'], ['a5']]);
+
+    assert.strictEqual(await storage.getRowCount('s1', 'Tab'), 5);
+    assert.deepStrictEqual(await storage.getValues('s1', "'Tab'!A2:C10"), [[], ['', 'b3'], ['a4', 'b4'], ['a5']]);
+    assert.deepStrictEqual(await storage.getValues('s1', "'Tab'!E1:E5"), [[], [], ['e3']]);
+    await assert.rejects(storage.getValues('s1', "'Missing'!A1"), /Unable to parse range/);
+
+    // Writes stay in memory until close (or SQLITE_SAVE_INTERVAL_MS), then come back on reopen
+    assert.strictEqual(fs.existsSync(filePath), false);
+    await storage.close();
+    const reopened = await createStorage('sqlite', { filePath });
+    assert.deepStrictEqual(await reopened.getValues('s1', "'Tab'!3:3"), [['', 'b3', '', '', 'e3']]);
+    await reopened.close();
+});
+
+test('sqlite backend saves unsaved writes when the process exits without close()', async (t) => {
+    const dir = tempDir(t, 'storage-exit-');
+    const storageModule = path.join(__dirname, '..', 'storage');
+
+    // One child ends with process.exit(1), the other is stopped by SIGTERM
+    const endings = { exit: 'process.exit(1);', sigterm: "process.kill(process.pid, 'SIGTERM'); setTimeout(() => { }, 5000);" };
+    for (const [name, ending] of Object.entries(endings)) {
+        const filePath = path.join(dir, `${name}.sqlite`);
+        const script = `
+            const { createStorage } = require(${JSON.stringify(storageModule)});
+            (async () => {
+                const storage = await createStorage('sqlite', { filePath: ${JSON.stringify(filePath)} });
+                await storage.addTab('s1', 'Tab');
+                await storage.updateValues('s1', "'Tab'!A1", [['${name}']]);
+                ${ending}
+            })();`;
+        const code = await new Promise(resolve => {
+            execFile(process.execPath, ['-e', script], { timeout: 30000 }, error => resolve(error ? error.code : 0));
+        });
+        assert.strictEqual(code, name === 'exit' ? 1 : 143);
+
+        const reopened = await createStorage('sqlite', { filePath });
+        assert.deepStrictEqual(await reopened.getValues('s1', "'Tab'!A1"), [[name]]);
+        await reopened.close();
+    }
+});
+
+test('copyTab moves a tab from Sheets to SQLite keeping row numbers', async (t) => {
+    const mock = createMockSheetsServer({
+        spreadsheets: { [MASTER_ID]: { 'Text Ads data': [['Advertiser Name', 'Ads URL'], ['Adv 1', 'url-1'], [], ['Adv 3', 'url-3', 'NOT_FOUND']] } }
+    });
+    const apiUrl = await mock.listen();
+    t.after(() => mock.close());
+    t.mock.method(console, 'log', () => { });
+
+    const sheets = await createStorage('sheets', { apiUrl });
+    const sqlite = await createStorage('sqlite', { filePath: path.join(tempDir(t, 'storage-'), 'copy.sqlite') });
+    t.after(() => sqlite.close());
+
+    assert.strictEqual(await copyTab(sheets, sqlite, MASTER_ID, 'Text Ads data', 2), 3);
+    assert.deepStrictEqual(await sqlite.getValues(MASTER_ID, "'Text Ads data'!A1:C4"),
+        [['Advertiser Name', 'Ads URL'], ['Adv 1', 'url-1'], [], ['Adv 3', 'url-3', 'NOT_FOUND']]);
+});
+
+test('aggregator runs against a SQLite database', async (t) => {
+    const dir = tempDir(t, 'aggregator-sqlite-');
+    const filePath = path.join(dir, 'sheets.sqlite');
+    const configPath = path.join(dir, 'source_sheets.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sheets: [{ id: 'source-1', name: 'Team', sheetName: 'Team Tab' }] }));
+
+    const seed = await createStorage('sqlite', { filePath });
+    await seed.addTab('source-1', 'Team Tab');
+    await seed.updateValues('source-1', "'Team Tab'!A1", [
+        ['Advertiser Name', 'Ads URL', 'App Link'],
+        ['Adv 1', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1', ''],
+        ['Adv 2', 'https://adstransparency.google.com/advertiser/AR2/creative/CR2', 'https://play.google.com/store/apps/details?id=com.example.two']
+    ]);
+    await seed.close();
+
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'data_aggregator.js')], {
+            env: {
+                ...process.env, STORAGE_BACKEND: 'sqlite', SQLITE_PATH: filePath, SOURCE_SHEETS_CONFIG: configPath,
+                HEADLINE_HISTORY_PATH: path.join(dir, 'headline_history.sqlite'),
+                AGGREGATOR_CHECKPOINT_PATH: path.join(dir, 'aggregator_checkpoints.sqlite')
+            },
+            timeout: 60000
+        }, (error, stdout, stderr) => (error ? reject(new Error(`${error.message}\n${stdout}\n${stderr}`)) : resolve()));
+    });
+
+    const result = await createStorage('sqlite', { filePath });
+    t.after(() => result.close());
+    const rows = await result.getValues(MASTER_ID, "'Text Ads data'!A1:G10");
+    assert.strictEqual(rows[0][0], 'Advertiser Name');
+    assert.strictEqual(rows.length, 2);
+    assert.deepStrictEqual(rows[1].slice(0, 6), ['Adv 1', 'https://adstransparency.google.com/advertiser/AR1/creative/CR1', '', '', '', 'Team']);
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for the scan plan of the extraction agent (text_ads_extraction.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveScanPlan, getUrlData } = require('../text_ads_extraction');
+
+const rowWindow = (plan) => [plan.startRow, plan.endRow, plan.descending];
+
+test('middle-out halves split on the shared split row, whatever each worker counted', () => {
+    const upper = (totalRows) => resolveScanPlan(totalRows, { direction: 'middle-out', half: 'upper', splitRow: 500 });
+    const lower = (totalRows) => resolveScanPlan(totalRows, { direction: 'middle-out', half: 'lower', splitRow: 500 });
+
+    // Rows appended between the two reads go to the lower half, no gap at the split
+    assert.deepStrictEqual(rowWindow(upper(1000)), [2, 500, true]);
+    assert.deepStrictEqual(rowWindow(lower(1200)), [501, 1200, false]);
+
+    // A sheet shorter than the split leaves the lower half empty instead of overlapping
+    assert.deepStrictEqual(rowWindow(upper(300)), [2, 300, true]);
+    const empty = lower(300);
+    assert.ok(empty.startRow > empty.endRow);
+});
+
+test('range and bottom-up windows stay inside the sheet', () => {
+    assert.deepStrictEqual(rowWindow(resolveScanPlan(1000, { direction: 'range', rows: '1-5000' })), [2, 1000, false]);
+    assert.deepStrictEqual(rowWindow(resolveScanPlan(1000, { direction: 'range', rows: '200-' })), [200, 1000, false]);
+    assert.deepStrictEqual(rowWindow(resolveScanPlan(1000, { direction: 'bottom-up' })), [2, 1000, true]);
+});
+
+test('getUrlData skips the scan when the row count cannot be read', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'error', () => { });
+    const storage = {
+        getRowCount: async () => { throw new Error('HTTP 503'); },
+        getValues: async () => assert.fail('no rows should be read without a row count')
+    };
+    assert.deepStrictEqual(await getUrlData(storage, 100), []);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the canonical store / creative URL and advertiser ID forms (url_normalizer.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalStoreUrl, canonicalAdvertiserId, canonicalCreativeUrl, parseTransparencyUrl } = require('../url_normalizer');
+const { createRowKey } = require('../data_aggregator');
+
+const PLAY = 'https://play.google.com/store/apps/details?id=com.king.candycrushsaga';
+const APP_STORE = 'https://apps.apple.com/app/id553834731';
+
+test('canonicalStoreUrl collapses every shape of a store link', () => {
+    for (const link of [
+        PLAY,
+        `${PLAY}&hl=en&gl=US`,
+        `${PLAY}&`,
+        'https://play.google.com/store/apps/details?hl=en&id=com.king.candycrushsaga',
+        'play.google.com/store/apps/details?id=com.king.candycrushsaga',
+        `https://www.googleadservices.com/pagead/aclk?sa=L&adurl=${encodeURIComponent(`${PLAY}&hl=de`)}`
+    ]) {
+        assert.strictEqual(canonicalStoreUrl(link), PLAY, link);
+    }
+    for (const link of [
+        APP_STORE,
+        'https://apps.apple.com/us/app/candy-crush-saga/id553834731?mt=8&uo=4',
+        'https://itunes.apple.com/gb/app/id553834731',
+        'id553834731'
+    ]) {
+        assert.strictEqual(canonicalStoreUrl(link), APP_STORE, link);
+    }
+    for (const value of ['', 'NOT_FOUND', null, 'https://example.com/?id=com.example.app',
+        'https://play.google.com/store/apps/details?id=notapackage']) {
+        assert.strictEqual(canonicalStoreUrl(value), null, String(value));
+    }
+});
+
+test('canonicalCreativeUrl and canonicalAdvertiserId', () => {
+    const canonical = 'https://adstransparency.google.com/advertiser/AR123/creative/CR456';
+    for (const url of [
+        canonical,
+        `${canonical}?region=US&format=TEXT`,
+        'HTTPS://AdsTransparency.google.com/advertiser/ar123/creative/cr456/',
+        'adstransparency.google.com/advertiser/AR123/creative/CR456#top'
+    ]) {
+        assert.strictEqual(canonicalCreativeUrl(url), canonical, url);
+    }
+    assert.strictEqual(canonicalCreativeUrl('https://adstransparency.google.com/advertiser/AR123'), null);
+    assert.strictEqual(canonicalCreativeUrl('https://example.com/advertiser/AR1/creative/CR2'), null);
+
+    assert.strictEqual(canonicalAdvertiserId(' ar123 '), 'AR123');
+    assert.strictEqual(canonicalAdvertiserId(`${canonical}?region=US`), 'AR123');
+    assert.strictEqual(canonicalAdvertiserId('CAR123'), null);
+});
+
+test('parseTransparencyUrl splits advertiser, creative, region and format', () => {
+    assert.deepStrictEqual(
+        parseTransparencyUrl('https://adstransparency.google.com/advertiser/ar123/creative/CR456?region=US&format=text'),
+        { advertiserId: 'AR123', creativeId: 'CR456', region: 'US', format: 'TEXT' }
+    );
+    assert.deepStrictEqual(
+        parseTransparencyUrl('adstransparency.google.com/advertiser/AR123?region=anywhere'),
+        { advertiserId: 'AR123', creativeId: '', region: 'anywhere', format: '' }
+    );
+    assert.strictEqual(parseTransparencyUrl('https://adstransparency.google.com/?region=US'), null);
+    assert.strictEqual(parseTransparencyUrl('not a url'), null);
+});
+
+test('aggregator dedupe key is the creative ID', () => {
+    assert.strictEqual(createRowKey(' https://adstransparency.google.com/advertiser/ar1/creative/cr2?region=US '), 'CR2');
+    assert.strictEqual(createRowKey('https://adstransparency.google.com/advertiser/AR1/creative/CR2/?format=IMAGE'), 'CR2');
+    assert.strictEqual(createRowKey('Some Other URL'), 'some other url');
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for the YouTube video helpers (video_extractor.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { findVideoId, parseDurationText } = require('../video_extractor');
+
+const ID = 'dQw4w9WgXcQ';
+
+test('findVideoId reads the ID from every URL and JSON shape', () => {
+    for (const text of [
+        `https://www.youtube.com/embed/${ID}?autoplay=1`,
+        `https://www.youtube-nocookie.com/embed/${ID}`,
+        `https://www.youtube.com/watch?v=${ID}`,
+        `https://www.youtube.com/watch?feature=share&v=${ID}&t=10`,
+        `https://youtu.be/${ID}`,
+        `https://i.ytimg.com/vi/${ID}/hqdefault.jpg`,
+        `https://i.ytimg.com/vi_webp/${ID}/maxresdefault.webp`,
+        `{"video_id":"${ID}","title":"Ad"}`,
+        `{'videoId': '${ID}'}`
+    ]) {
+        assert.strictEqual(findVideoId(text), ID, text);
+    }
+});
+
+test('findVideoId rejects IDs of the wrong length and non-YouTube text', () => {
+    assert.strictEqual(findVideoId(`https://www.youtube.com/embed/${ID}X`), null);
+    assert.strictEqual(findVideoId('https://www.youtube.com/embed/short'), null);
+    assert.strictEqual(findVideoId(`https://vimeo.com/${ID}`), null);
+    assert.strictEqual(findVideoId(''), null);
+    assert.strictEqual(findVideoId(null), null);
+    assert.strictEqual(findVideoId({ url: ID }), null);
+});
+
+test('parseDurationText reads m:ss and h:mm:ss labels', () => {
+    assert.strictEqual(parseDurationText('0:30'), 30);
+    assert.strictEqual(parseDurationText(' 2:05 '), 125);
+    assert.strictEqual(parseDurationText('15:00'), 900);
+    assert.strictEqual(parseDurationText('1:02:03'), 3723);
+    assert.strictEqual(parseDurationText('10:00:00'), 36000);
+});
+
+test('parseDurationText returns null for anything else', () => {
+    for (const text of ['', null, undefined, '30', '1:5', '1:2:3', 'abc', '1:60x', '-0:30', '0:30 / 1:00']) {
+        assert.strictEqual(parseDurationText(text), null, String(text));
+    }
+});
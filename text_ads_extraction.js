@@ -1,8 +1,18 @@
 /**
- * TEXT ADS EXTRACTION AGENT (BOTTOM TO TOP)
+ * TEXT ADS EXTRACTION AGENT
  * =====================================
  * Extracts App Name & Subtitle from ALL Google Ads Transparency URLs
- * Processes rows from BOTTOM to TOP in batches
+ * Processes rows in batches using a configurable scan order
+ * 
+ * Scan Order (--direction=... or SCAN_DIRECTION env var):
+ *   bottom-up   Last row to row 2 (default)
+ *   top-down    Row 2 to last row
+ *   random      Every row, shuffled
+ *   range       Explicit rows only: --rows=START-END (or SCAN_ROWS)
+ *   middle-out  Split the sheet at --split-row=N (or SCAN_SPLIT_ROW): --half=upper
+ *               walks from row N up to row 2, --half=lower walks from row N+1 down
+ *               to the last row (or SCAN_HALF). Both workers must be given the same
+ *               split row; rows appended later all fall to the lower half.
  * 
  * Sheet Structure:
  *   Column A: Advertiser Name
@@ -10,14 +20,52 @@
  *   Column C: App Link
  *   Column D: App Name
  *   Column E: App Headline
+ *   Column H-M: Ad Type, Image URL, Image Orientation, Package Name,
+ *               Video ID, Video Duration (see sheet_columns.js)
+ *
+ * Storage: Google Sheets by default; STORAGE_BACKEND=sqlite runs against a
+ * local SQLite file instead (see storage.js)
+ *
+ * Job queue: rows found by a scan are kept in job_queue.sqlite (JOB_QUEUE_PATH)
+ * with their state and attempt count; the next run resumes the pending rows and
+ * only rescans the sheet once the queue is drained (see job_queue.js)
+ *
+ * Retries: every attempt is recorded in columns O-S (Attempts, Last Attempt,
+ * Error Reason, Not Found Count, Status). C-E only hold extracted values; a
+ * NOT_FOUND/BLOCKED/ERROR outcome is written to Status. BLOCKED/ERROR rows are picked up again after
+ * RETRY_COOLDOWN_HOURS, NOT_FOUND rows until MAX_NOT_FOUND_ATTEMPTS (see retry_policy.js)
+ *
+ * Provenance: columns T-W record which strategy found the link, name and headline
+ * plus a confidence score, so guesses can be filtered out (see provenance.js).
+ * Candidate packages are validated before a link is built from them; column X
+ * (Link Check) flags unverified links and lists rejected packages
+ *
+ * Platforms: every Play Store / App Store link seen in the ad is kept; column Y
+ * records the platform (android / ios / both) and Z-AB the Play Store link, the
+ * canonical App Store link and the numeric App Store ID
+ *
+ * Ads URL parts: advertiser ID, creative ID, region and format of column B go to AC-AF
  */
 
 // EXACT IMPORTS FROM app_data_agent.js
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 puppeteer.use(StealthPlugin());
-const { google } = require('googleapis');
 const fs = require('fs');
+const { createStorage } = require('./storage');
+const { columnToIndex } = require('./a1_notation');
+const { JOB_QUEUE_PATH, openJobQueue } = require('./job_queue');
+const { WORKER_ID, isLeasedByOther, claimRows, ownLeases } = require('./row_lease');
+const { extractedValue, needsExtraction, legacyLastAttempt, readRetryState, nextRetryState } = require('./retry_policy');
+const { PACKAGE_PICK_SOURCES, describeProvenance, describeLinkCheck } = require('./provenance');
+const { canonicalStoreUrl, parseTransparencyUrl } = require('./url_normalizer');
+const { loadAdTypesConfig, getDomFallbackSelectors, extractWithAdTypeConfig } = require('./ad_type_extractor');
+const { COLUMNS, COLUMN, LAST_COLUMN, AGENT_EXTRA_COLUMNS } = require('./sheet_columns');
+const { extractVideoData } = require('./video_extractor');
+const { startLogCapture, capturePageSnapshot, writeSnapshotBundle } = require('./snapshot_capture');
+const {
+    buildPlayStoreUrl, cleanStoreLink, groupStoreLinks, cleanName, filterFramePackages, choosePackage, evaluateWithHelpers
+} = require('./extraction_helpers');
 
 // ============================================
 // CONFIGURATION
@@ -26,7 +74,8 @@ const SPREADSHEET_ID = '1yq2UwI94lwfYPY86CFwGbBsm3kpdqKrefYgrw3lEAwk';
 const SHEET_NAME = process.env.SHEET_NAME || 'Text Ads data'; // Can be overridden via env var
 // Escape sheet name for use in A1 notation (wrap in single quotes if it contains spaces)
 const ESCAPED_SHEET_NAME = SHEET_NAME.includes(' ') ? `'${SHEET_NAME}'` : SHEET_NAME;
-const CREDENTIALS_PATH = './credentials.json';
+const AD_TYPES = loadAdTypesConfig(); // Detection/extraction selectors per ad type (ad_types_config.json)
+const DOM_FALLBACK_SELECTORS = getDomFallbackSelectors(AD_TYPES);
 const SHEET_BATCH_SIZE = parseInt(process.env.SHEET_BATCH_SIZE) || 10000; // Rows to load per batch
 const CONCURRENT_PAGES = parseInt(process.env.CONCURRENT_PAGES) || 2; // Reduced for reliability
 const MAX_WAIT_TIME = 90000; // Increased timeout for slow loads
@@ -44,6 +93,46 @@ const MAX_PROXY_ATTEMPTS = parseInt(process.env.MAX_PROXY_ATTEMPTS) || Math.max(
 const PROXY_RETRY_DELAY_MIN = parseInt(process.env.PROXY_RETRY_DELAY_MIN) || 45000; // Increased cooldown
 const PROXY_RETRY_DELAY_MAX = parseInt(process.env.PROXY_RETRY_DELAY_MAX) || 120000; // Increased cooldown
 const PAGES_PER_BROWSER = parseInt(process.env.PAGES_PER_BROWSER) || 15; // Fewer pages per browser for freshness
+const SNAPSHOT_ON_FAILURE = process.env.SNAPSHOT_ON_FAILURE !== 'false'; // Save page bundles for rows that fail every retry
+
+// Read a command line option given as --name=value or --name value
+function getCliOption(name) {
+    const prefix = `--${name}=`;
+    const inline = process.argv.find(arg => arg.startsWith(prefix));
+    if (inline) return inline.slice(prefix.length);
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const SCAN_DIRECTIONS = ['bottom-up', 'top-down', 'random', 'range', 'middle-out'];
+const SCAN_DIRECTION = (getCliOption('direction') || process.env.SCAN_DIRECTION || 'bottom-up').toLowerCase();
+const SCAN_ROWS = getCliOption('rows') || process.env.SCAN_ROWS || ''; // e.g. "2-5000" (used by 'range')
+const SCAN_HALF = (getCliOption('half') || process.env.SCAN_HALF || 'lower').toLowerCase(); // 'upper' or 'lower' (used by 'middle-out')
+const SCAN_SPLIT_ROW = parseInt(getCliOption('split-row') || process.env.SCAN_SPLIT_ROW) || 0; // Last row of the upper half (used by 'middle-out')
+
+if (!SCAN_DIRECTIONS.includes(SCAN_DIRECTION)) {
+    console.error(`❌ Unknown scan direction "${SCAN_DIRECTION}". Use one of: ${SCAN_DIRECTIONS.join(', ')}`);
+    process.exit(1);
+}
+if (SCAN_DIRECTION === 'middle-out' && !['upper', 'lower'].includes(SCAN_HALF)) {
+    console.error(`❌ Unknown half "${SCAN_HALF}" for middle-out. Use 'upper' or 'lower'`);
+    process.exit(1);
+}
+if (SCAN_DIRECTION === 'middle-out' && SCAN_SPLIT_ROW < 2) {
+    console.error(`❌ Scan direction 'middle-out' needs --split-row=N (N >= 2), the same for both halves`);
+    process.exit(1);
+}
+if (SCAN_DIRECTION === 'range' && !/^\d+\s*-\s*\d*$/.test(SCAN_ROWS.trim())) {
+    console.error(`❌ Scan direction 'range' needs --rows=START-END (e.g. --rows=2-5000)`);
+    process.exit(1);
+}
+
+const LEASE_INDEX = columnToIndex(COLUMN.lease); // Lease column inside a row read from column A
+
+// Identifies this scan's rows in the job queue (job_queue.js), e.g. "middle-out:lower:20000"
+const SCAN_KEY = SCAN_DIRECTION === 'middle-out' ? `${SCAN_DIRECTION}:${SCAN_HALF}:${SCAN_SPLIT_ROW}`
+    : SCAN_DIRECTION === 'range' ? `${SCAN_DIRECTION}:${SCAN_ROWS.replace(/\s/g, '')}`
+        : SCAN_DIRECTION;
 
 function pickProxy() {
     if (!PROXIES.length) return null;
@@ -76,44 +165,77 @@ const VIEWPORTS = [
     { width: 1680, height: 1050 }
 ];
 
+// Offline fixture mode (see fixture_runner.js): maps a request URL to a saved
+// response ({ status, contentType, headers, body }) or null to abort it
+let fixtureResolver = null;
+function setFixtureResolver(resolver) {
+    fixtureResolver = resolver;
+}
+
 const randomDelay = (min, max) => new Promise(r => setTimeout(r, min + Math.random() * (max - min)));
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 // ============================================
-// GOOGLE SHEETS
+// SHEET STORAGE (Google Sheets or SQLite, see storage.js)
 // ============================================
-async function getGoogleSheetsClient() {
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH));
-    const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-    const authClient = await auth.getClient();
-    return google.sheets({ version: 'v4', auth: authClient });
+/**
+ * Work out which rows to scan and in which order for the configured scan direction
+ * Returns the inclusive row window plus whether to walk it backwards or shuffle it
+ */
+function resolveScanPlan(totalRows, { direction = SCAN_DIRECTION, rows = SCAN_ROWS, half = SCAN_HALF, splitRow = SCAN_SPLIT_ROW } = {}) {
+    const firstRow = 2; // Row 1 is the header
+    const plan = { startRow: firstRow, endRow: totalRows, descending: false, shuffle: false, label: '' };
+
+    switch (direction) {
+        case 'top-down':
+            plan.label = `TOP (row ${firstRow}) to BOTTOM (row ${totalRows})`;
+            break;
+        case 'random':
+            plan.shuffle = true;
+            plan.label = `rows ${firstRow}-${totalRows} in RANDOM order`;
+            break;
+        case 'range': {
+            const [start, end] = rows.split('-').map(v => parseInt(v.trim()));
+            plan.startRow = Math.max(firstRow, start);
+            plan.endRow = Math.min(totalRows, end || totalRows);
+            plan.label = `RANGE row ${plan.startRow} to row ${plan.endRow}`;
+            break;
+        }
+        case 'middle-out': {
+            // Split on the shared split row (not this worker's own row count), so
+            // the upper and lower workers never overlap however the sheet changes
+            if (half === 'upper') {
+                plan.endRow = Math.min(splitRow, totalRows);
+                plan.descending = true;
+                plan.label = `SPLIT (row ${plan.endRow}) up to TOP (row ${firstRow})`;
+            } else {
+                plan.startRow = splitRow + 1;
+                plan.label = `SPLIT (row ${plan.startRow}) down to BOTTOM (row ${totalRows})`;
+            }
+            break;
+        }
+        default: // bottom-up
+            plan.descending = true;
+            plan.label = `BOTTOM (row ${totalRows}) to TOP (row ${firstRow})`;
+    }
+
+    return plan;
 }
 
-async function getUrlData(sheets, batchSize = SHEET_BATCH_SIZE) {
+async function getUrlData(storage, batchSize = SHEET_BATCH_SIZE) {
     const toProcess = [];
 
     // First, get the total number of rows using sheet metadata (supports 40,000+ rows)
-    // Then scan ALL rows from absolute bottom to top
-    console.log(`📊 Finding total rows and scanning ALL data from BOTTOM to TOP in batches of ${batchSize} rows...`);
+    // Then scan the rows selected by the scan direction
+    console.log(`📊 Finding total rows and scanning data (${SCAN_DIRECTION}) in batches of ${batchSize} rows...`);
 
     // Get the actual total row count using sheet metadata (supports 40,000+ rows)
     let totalRows = 0;
     let metadataRowCount = 0;
     try {
-        // Use spreadsheet metadata to get actual row count
-        const sheetMetadata = await sheets.spreadsheets.get({
-            spreadsheetId: SPREADSHEET_ID,
-            ranges: [`${ESCAPED_SHEET_NAME}`],
-            fields: 'sheets.properties.gridProperties.rowCount'
-        });
-
         // Get the row count from metadata - this is our PRIMARY source of truth
-        const sheetProps = sheetMetadata.data.sheets?.[0]?.properties?.gridProperties;
-        if (sheetProps && sheetProps.rowCount) {
-            metadataRowCount = sheetProps.rowCount;
+        metadataRowCount = await storage.getRowCount(SPREADSHEET_ID, SHEET_NAME);
+        if (metadataRowCount > 0) {
             console.log(`  ✓ Sheet metadata indicates ${metadataRowCount} total rows`);
         }
 
@@ -131,11 +253,7 @@ async function getUrlData(sheets, batchSize = SHEET_BATCH_SIZE) {
             while (!foundLastDataRow && checkEnd > 1) {
                 const checkStart = Math.max(2, checkEnd - 1000);
                 try {
-                    const checkResponse = await sheets.spreadsheets.values.get({
-                        spreadsheetId: SPREADSHEET_ID,
-                        range: `${ESCAPED_SHEET_NAME}!B${checkStart}:B${checkEnd}`,
-                    });
-                    const checkRows = checkResponse.data.values || [];
+                    const checkRows = await storage.getValues(SPREADSHEET_ID, `${ESCAPED_SHEET_NAME}!B${checkStart}:B${checkEnd}`);
 
                     // Find last non-empty row in this chunk
                     for (let i = checkRows.length - 1; i >= 0; i--) {
@@ -157,12 +275,10 @@ async function getUrlData(sheets, batchSize = SHEET_BATCH_SIZE) {
                 }
             }
         }
-
-        console.log(`  ✓ Will scan ${totalRows} rows from BOTTOM (row ${totalRows}) to TOP (row 2)`);
     } catch (error) {
-        console.error(`  ⚠️ Error finding total rows: ${error.message}`);
-        // Fallback: try to get rows in batches from a large assumed number
-        totalRows = 100000; // Assume large number, will stop when no more data
+        // Without a row count there is no scan window - try again on the next run
+        console.error(`  ❌ Error finding total rows, skipping the scan: ${error.message}`);
+        return toProcess;
     }
 
     if (totalRows <= 1) {
@@ -170,147 +286,279 @@ async function getUrlData(sheets, batchSize = SHEET_BATCH_SIZE) {
         return toProcess;
     }
 
-    // Process from bottom to top in batches
-    let endRow = totalRows; // Start from the last row
-    let hasMoreData = true;
-    let totalProcessed = 0;
+    const plan = resolveScanPlan(totalRows);
+    if (plan.startRow > plan.endRow) {
+        console.log(`📊 No data rows in scan window (rows ${plan.startRow}-${plan.endRow})\n`);
+        return toProcess;
+    }
+    console.log(`  ✓ Will scan ${plan.endRow - plan.startRow + 1} rows from ${plan.label}`);
 
-    while (hasMoreData && endRow > 1) {
-        try {
-            // Calculate start row for this batch (working backwards)
-            const startRow = Math.max(2, endRow - batchSize + 1); // Row 2 is first data row (skip header)
-            const range = `${ESCAPED_SHEET_NAME}!A${startRow}:E${endRow}`;
+    // Walk the scan window in batches, forwards or backwards
+    let cursor = plan.descending ? plan.endRow : plan.startRow;
+    let totalProcessed = 0;
+    let retries = 0;
+    const legacyStamps = []; // Last Attempt for legacy marker rows (retry_policy.js)
+    const inWindow = () => plan.descending ? cursor >= plan.startRow : cursor <= plan.endRow;
 
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: SPREADSHEET_ID,
-                range: range,
-            });
+    while (inWindow()) {
+        const startRow = plan.descending ? Math.max(plan.startRow, cursor - batchSize + 1) : cursor;
+        const endRow = plan.descending ? cursor : Math.min(cursor + batchSize - 1, plan.endRow);
 
-            const rows = response.data.values || [];
+        try {
+            const range = `${ESCAPED_SHEET_NAME}!A${startRow}:${LAST_COLUMN}${endRow}`;
 
-            if (rows.length === 0) {
-                hasMoreData = false;
-                break;
-            }
+            // An empty batch is just a gap in the sheet - keep going to the end of the window
+            const rows = await storage.getValues(SPREADSHEET_ID, range);
 
-            // Process rows in reverse order (from bottom to top within this batch)
-            for (let i = rows.length - 1; i >= 0; i--) {
+            // Process rows in the batch in scan order
+            for (let n = 0; n < rows.length; n++) {
+                const i = plan.descending ? rows.length - 1 - n : n;
                 const row = rows[i];
                 const actualRowIndex = startRow + i - 1; // Actual row number in sheet (0-indexed from startRow)
                 const url = row[1]?.trim() || '';
-                const storeLink = row[2]?.trim() || '';
-                const appName = row[3]?.trim() || '';
-                const appSubtitle = row[4]?.trim() || '';
+                const lease = row[LEASE_INDEX] || '';
 
                 // Skip if no URL
                 if (!url) continue;
 
-                // Skip rows that already have ANY extracted data in columns C, D, or E
-                // Treat any existing value as processed so we only handle empty rows
-                if (storeLink || appName || appSubtitle) continue;
+                // Legacy NOT_FOUND/BLOCKED/ERROR row without a Last Attempt: stamp one
+                // now and let it come due with the retry policy
+                const stamp = legacyLastAttempt(row);
+                if (stamp) {
+                    legacyStamps.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.lastAttempt}${actualRowIndex + 1}`, values: [[stamp]] });
+                    continue;
+                }
+
+                // Skip rows that were already processed (Status, or data in C-E), unless
+                // the retry policy says a BLOCKED/ERROR/NOT_FOUND row is due again
+                if (!needsExtraction(row)) continue;
+
+                // Another agent is working on this row (expired leases are fair game)
+                if (isLeasedByOther(lease)) continue;
+
+                const retry = readRetryState(row);
+                if (retry.attempts > 0) retries++;
 
-                // Row has no storeLink - needs processing
                 toProcess.push({
                     url,
                     rowIndex: actualRowIndex,
                     needsMetadata: true,
-                    needsVideoId: false,
-                    existingStoreLink: ''
+                    needsVideoId: true,
+                    existingStoreLink: '',
+                    retry
                 });
             }
 
             totalProcessed += rows.length;
-            console.log(`  ✓ Processed ${totalProcessed} rows (from bottom), found ${toProcess.length} to process`);
+            console.log(`  ✓ Processed ${totalProcessed} rows (${SCAN_DIRECTION}), found ${toProcess.length} to process (${retries} retries)`);
+        } catch (error) {
+            console.error(`  ⚠️ Error loading batch ${startRow}-${endRow}: ${error.message}`);
+            await sleep(500); // Wait a bit longer on error
+        }
 
-            // Move to next batch (going backwards)
-            endRow = startRow - 1;
+        // Move to next batch
+        cursor = plan.descending ? startRow - 1 : endRow + 1;
 
-            // If we've reached row 1 (header), we're done
-            if (endRow <= 1) {
-                hasMoreData = false;
-            } else {
-                // Small delay between batches to avoid rate limits
-                await sleep(100);
-            }
+        // Small delay between batches to avoid rate limits
+        if (inWindow()) await sleep(100);
+    }
+
+    if (legacyStamps.length > 0) {
+        try {
+            await storage.batchUpdateValues(SPREADSHEET_ID, legacyStamps);
+            console.log(`  ✓ Stamped Last Attempt on ${legacyStamps.length} legacy rows, they come due over the retry cool-down`);
         } catch (error) {
-            console.error(`  ⚠️ Error loading batch ending at row ${endRow}: ${error.message}`);
-            // If error, try to continue with next batch (move backwards)
-            endRow -= batchSize;
-            if (endRow <= 1) {
-                hasMoreData = false;
-            }
-            await sleep(500); // Wait a bit longer on error
+            console.error(`  ⚠️ Could not stamp legacy rows, trying again next scan: ${error.message}`);
         }
     }
 
-    console.log(`📊 Total: ${totalProcessed} rows scanned, ${toProcess.length} need processing (from bottom to top)\n`);
+    if (plan.shuffle) {
+        // Fisher-Yates shuffle so parallel random runs spread across the sheet
+        for (let i = toProcess.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [toProcess[i], toProcess[j]] = [toProcess[j], toProcess[i]];
+        }
+    }
+
+    console.log(`📊 Total: ${totalProcessed} rows scanned, ${toProcess.length} need processing (${plan.label})\n`);
     return toProcess;
 }
 
-async function batchWriteToSheet(sheets, updates, retryCount = 0) {
-    if (updates.length === 0) return;
+/**
+ * Write headers for the columns the agent fills beyond A-E (only where row 1 is empty),
+ * adding grid columns first where the tab is narrower than the last of them
+ */
+async function ensureExtraHeaders(storage) {
+    const extra = COLUMNS.filter(c => AGENT_EXTRA_COLUMNS.includes(c.key));
+    const first = extra[0].letter;
+    const last = extra[extra.length - 1].letter;
 
-    const MAX_WRITE_RETRIES = 5;
-    const BASE_RETRY_DELAY = 5000; // 5 seconds base delay
+    try {
+        await storage.ensureGridSize(SPREADSHEET_ID, SHEET_NAME, { columns: columnToIndex(last) + 1 });
+        const headerRows = await storage.getValues(SPREADSHEET_ID, `${ESCAPED_SHEET_NAME}!${first}1:${last}1`);
+        const existing = headerRows[0] || [];
+        const data = extra
+            .filter((c, i) => !existing[i]?.trim())
+            .map(c => ({ range: `${ESCAPED_SHEET_NAME}!${c.letter}1`, values: [[c.header]] }));
+
+        if (data.length > 0) {
+            await storage.batchUpdateValues(SPREADSHEET_ID, data);
+            console.log(`  ✓ Added ${data.length} column header(s): ${data.map(d => d.values[0][0]).join(', ')}`);
+        }
+    } catch (error) {
+        console.error(`  ⚠️ Could not check column headers: ${error.message}`);
+    }
+}
+
+// Package name from a Play Store link (id= parameter)
+function packageFromStoreLink(storeLink) {
+    const match = (storeLink || '').match(/play\.google\.com\/store\/apps\/details\?id=([a-zA-Z0-9._]+)/);
+    return match ? match[1] : null;
+}
+
+const MAX_WRITE_RETRIES = 5;
+const BASE_RETRY_DELAY = 5000; // 5 seconds base delay
+
+/**
+ * Write extraction results to the sheet; returns false if the write still failed after all retries
+ * Leases are read back right before every write attempt: a claimed row whose lease another
+ * worker has taken over since (row_lease.js) is not written, that worker writes it instead
+ */
+async function batchWriteToSheet(storage, updates, retryCount = 0) {
+    if (updates.length === 0) return true;
+
+    let owned;
+    try {
+        owned = await ownLeases(storage, SPREADSHEET_ID, SHEET_NAME, updates);
+    } catch (error) {
+        return retrySheetWrite(storage, updates, retryCount, error);
+    }
 
     const data = [];
-    updates.forEach(({ rowIndex, advertiserName, storeLink, appName, appSubtitle }) => {
+    const now = Date.now();
+    const lostRows = [];
+    updates.forEach((update) => {
+        const { rowIndex, advertiserName, storeLink, appName, appSubtitle, adType, imageUrl, imageOrientation, packageName, videoId, videoDuration } = update;
         const rowNum = rowIndex + 1;
 
-        // WRITE EVERYTHING - whatever data we get, write it to the sheet
-        // This ensures every processed row gets marked with something
+        // Another worker holds the row now - leave the row and its lease to it
+        if (update.lease && !owned.has(rowIndex)) {
+            lostRows.push(rowNum);
+            return;
+        }
 
-        // Write advertiser name (if we have any value)
-        if (advertiserName && advertiserName !== 'NOT_FOUND') {
+        // Write advertiser name (only a real value - never a NOT_FOUND/BLOCKED/ERROR marker)
+        if (extractedValue(advertiserName)) {
             data.push({ range: `${ESCAPED_SHEET_NAME}!A${rowNum}`, values: [[advertiserName]] });
         }
 
-        // Write store link (always write something - even BLOCKED, NOT_FOUND, ERROR)
-        const storeLinkValue = storeLink || 'NOT_FOUND';
-        data.push({ range: `${ESCAPED_SHEET_NAME}!C${rowNum}`, values: [[storeLinkValue]] });
+        // C-E hold only extracted values; anything missing is left empty and the
+        // outcome goes to the Status column (this also clears markers of older runs).
+        // Store links are written in canonical form (url_normalizer.js)
+        data.push({
+            range: `${ESCAPED_SHEET_NAME}!C${rowNum}:E${rowNum}`,
+            values: [[canonicalStoreUrl(storeLink) || extractedValue(storeLink), extractedValue(appName), extractedValue(appSubtitle)]]
+        });
+
+        // Ad type and image creative details go to their own columns (only when known)
+        if (adType && adType !== 'NOT_FOUND') {
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.adType}${rowNum}`, values: [[adType]] });
+        }
+        if (imageUrl) {
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.imageUrl}${rowNum}`, values: [[imageUrl]] });
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.imageOrientation}${rowNum}`, values: [[imageOrientation || '']] });
+        }
+        // Video ID/duration never touch Column E (the headline)
+        if (videoId) {
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.videoId}${rowNum}`, values: [[videoId]] });
+            if (videoDuration) {
+                data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.videoDuration}${rowNum}`, values: [[videoDuration]] });
+            }
+        }
+        // Android and iOS links of the app, when the ad carries them
+        const links = groupStoreLinks([storeLink, ...(update.storeLinks || [])].map(canonicalStoreUrl));
+        if (links.platform) {
+            data.push({
+                range: `${ESCAPED_SHEET_NAME}!${COLUMN.platform}${rowNum}:${COLUMN.appStoreId}${rowNum}`,
+                values: [[links.platform, links.playStoreLink, links.appStoreLink, links.appStoreId]]
+            });
+        }
+
+        // Advertiser ID, creative ID, region and format of the Ads URL
+        const creative = parseTransparencyUrl(update.adsUrl);
+        if (creative) {
+            data.push({
+                range: `${ESCAPED_SHEET_NAME}!${COLUMN.advertiserId}${rowNum}:${COLUMN.format}${rowNum}`,
+                values: [[creative.advertiserId, creative.creativeId, creative.region, creative.format]]
+            });
+        }
 
-        // Write app name (always write something)
-        const appNameValue = appName || 'NOT_FOUND';
-        data.push({ range: `${ESCAPED_SHEET_NAME}!D${rowNum}`, values: [[appNameValue]] });
+        const packageValue = packageFromStoreLink(links.playStoreLink) || packageName;
+        if (packageValue) {
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.packageName}${rowNum}`, values: [[packageValue]] });
+        }
 
-        // Write app subtitle/headline to Column E
-        const appSubtitleValue = appSubtitle || 'NOT_FOUND';
-        data.push({ range: `${ESCAPED_SHEET_NAME}!E${rowNum}`, values: [[appSubtitleValue]] });
+        // Which strategy found each field, how far to trust it, and whether the
+        // link's package matches the app (provenance.js)
+        const provenance = describeProvenance(update);
+        data.push({
+            range: `${ESCAPED_SHEET_NAME}!${COLUMN.linkSource}${rowNum}:${COLUMN.linkCheck}${rowNum}`,
+            values: [[...provenance.sources, provenance.confidence, describeLinkCheck(update)]]
+        });
+
+        // Record the attempt and its status so the retry policy can decide when to try the row again
+        const retry = nextRetryState(update.retry, update, now);
+        data.push({
+            range: `${ESCAPED_SHEET_NAME}!${COLUMN.attempts}${rowNum}:${COLUMN.status}${rowNum}`,
+            values: [[retry.attempts, retry.lastAttempt, retry.errorReason, retry.notFoundAttempts, retry.status]]
+        });
+
+        // Row is finished - release this claim's lease (row_lease.js)
+        if (owned.has(rowIndex)) {
+            data.push({ range: `${ESCAPED_SHEET_NAME}!${COLUMN.lease}${rowNum}`, values: [['']] });
+        }
     });
 
-    if (data.length === 0) return;
+    if (lostRows.length > 0) {
+        console.log(`  ⚠️ Rows ${lostRows.join(', ')} were claimed by another worker, not writing them`);
+    }
+    if (data.length === 0) return true;
 
     try {
-        await sheets.spreadsheets.values.batchUpdate({
-            spreadsheetId: SPREADSHEET_ID,
-            resource: { valueInputOption: 'RAW', data: data }
-        });
-        console.log(`  ✅ Wrote ${updates.length} results to sheet`);
+        await storage.batchUpdateValues(SPREADSHEET_ID, data);
+        console.log(`  ✅ Wrote ${updates.length - lostRows.length} results to sheet`);
+        return true;
     } catch (error) {
-        const errorMessage = error.message || '';
-        const isRateLimit = errorMessage.includes('429') || errorMessage.includes('Quota') ||
-            errorMessage.includes('rate') || errorMessage.includes('RATE_LIMIT');
-        const isTransient = errorMessage.includes('503') || errorMessage.includes('500') ||
-            errorMessage.includes('UNAVAILABLE') || errorMessage.includes('timeout');
-
-        if ((isRateLimit || isTransient) && retryCount < MAX_WRITE_RETRIES) {
-            // Exponential backoff: 5s, 10s, 20s, 40s, 80s
-            const retryDelay = BASE_RETRY_DELAY * Math.pow(2, retryCount);
-            console.log(`  ⚠️ Sheet write error (${errorMessage.substring(0, 50)}...). Retry ${retryCount + 1}/${MAX_WRITE_RETRIES} in ${retryDelay / 1000}s...`);
-            await sleep(retryDelay);
-            return batchWriteToSheet(sheets, updates, retryCount + 1);
-        } else if (retryCount < MAX_WRITE_RETRIES) {
-            // Non-rate-limit error, still retry with shorter delay
-            const retryDelay = 3000;
-            console.log(`  ⚠️ Sheet write error: ${errorMessage}. Retry ${retryCount + 1}/${MAX_WRITE_RETRIES} in ${retryDelay / 1000}s...`);
-            await sleep(retryDelay);
-            return batchWriteToSheet(sheets, updates, retryCount + 1);
-        } else {
-            console.error(`  ❌ Sheet write FAILED after ${MAX_WRITE_RETRIES} retries: ${errorMessage}`);
-            // Log which rows failed so they can be identified
-            const failedRows = updates.map(u => u.rowIndex + 1).join(', ');
-            console.error(`  ❌ Failed rows: ${failedRows}`);
-        }
+        return retrySheetWrite(storage, updates, retryCount, error);
+    }
+}
+
+// Retry a failed batchWriteToSheet attempt with backoff, or give up (false) after MAX_WRITE_RETRIES
+async function retrySheetWrite(storage, updates, retryCount, error) {
+    const errorMessage = error.message || '';
+    const isRateLimit = errorMessage.includes('429') || errorMessage.includes('Quota') ||
+        errorMessage.includes('rate') || errorMessage.includes('RATE_LIMIT');
+    const isTransient = errorMessage.includes('503') || errorMessage.includes('500') ||
+        errorMessage.includes('UNAVAILABLE') || errorMessage.includes('timeout');
+
+    if ((isRateLimit || isTransient) && retryCount < MAX_WRITE_RETRIES) {
+        // Exponential backoff: 5s, 10s, 20s, 40s, 80s
+        const retryDelay = BASE_RETRY_DELAY * Math.pow(2, retryCount);
+        console.log(`  ⚠️ Sheet write error (${errorMessage.substring(0, 50)}...). Retry ${retryCount + 1}/${MAX_WRITE_RETRIES} in ${retryDelay / 1000}s...`);
+        await sleep(retryDelay);
+        return batchWriteToSheet(storage, updates, retryCount + 1);
+    } else if (retryCount < MAX_WRITE_RETRIES) {
+        // Non-rate-limit error, still retry with shorter delay
+        const retryDelay = 3000;
+        console.log(`  ⚠️ Sheet write error: ${errorMessage}. Retry ${retryCount + 1}/${MAX_WRITE_RETRIES} in ${retryDelay / 1000}s...`);
+        await sleep(retryDelay);
+        return batchWriteToSheet(storage, updates, retryCount + 1);
+    } else {
+        console.error(`  ❌ Sheet write FAILED after ${MAX_WRITE_RETRIES} retries: ${errorMessage}`);
+        // Log which rows failed so they can be identified
+        const failedRows = updates.map(u => u.rowIndex + 1).join(', ');
+        console.error(`  ❌ Failed rows: ${failedRows}`);
+        return false;
     }
 }
 
@@ -411,47 +659,12 @@ async function extractVisibleTextData(target) {
 }
 
 /**
- * Extract app data using VISUAL PATTERNS across ALL frames
+ * Advertiser name from the MAIN page (DOM-based for reliability), or NOT_FOUND
  */
-async function extractFromVisibleContent(page) {
-    console.log(`  👁️ Scanning frontend content (main + iframes)...`);
-
-    const result = {
-        advertiserName: 'NOT_FOUND',
-        appName: 'NOT_FOUND',
-        storeLink: 'NOT_FOUND',
-        appSubtitle: 'NOT_FOUND'
-    };
-
-    // Helper: Build Play Store URL from package name
-    const buildPlayStoreUrl = (packageName) => {
-        if (!packageName || !packageName.includes('.')) return null;
-        return `https://play.google.com/store/apps/details?id=${packageName}`;
-    };
-
-    // Helper: Clean store link
-    const cleanStoreLink = (href) => {
-        if (!href || typeof href !== 'string') return null;
-        if (href.includes('play.google.com/store/apps') && href.includes('id=')) {
-            const match = href.match(/(https?:\/\/play\.google\.com\/store\/apps\/details\?id=[a-zA-Z0-9._]+)/);
-            return match ? match[1] : href.split('&')[0];
-        }
-        if ((href.includes('apps.apple.com') || href.includes('itunes.apple.com')) && href.includes('/app/')) {
-            return href.split('&')[0];
-        }
-        const pkgMatch = href.match(/[?&]id=([a-zA-Z][a-zA-Z0-9_.]+)/);
-        if (pkgMatch && pkgMatch[1] && pkgMatch[1].includes('.')) {
-            return buildPlayStoreUrl(pkgMatch[1]);
-        }
-        return null;
-    };
-
-    // Package extraction now happens in STEP 2 (same frame as app name)
-    const frames = page.frames();
-
-    // STEP 1: Get advertiser name from MAIN page (DOM-based for reliability)
+async function extractAdvertiserName(page) {
+    let advertiserName = 'NOT_FOUND';
     try {
-        result.advertiserName = await page.evaluate(() => {
+        advertiserName = await page.evaluate(() => {
             // Helper: clean text
             const clean = t => (t || '').replace(/[\u200B-\u200D\uFEFF]/g, '').trim();
             const blacklist = [
@@ -518,8 +731,8 @@ async function extractFromVisibleContent(page) {
             return 'NOT_FOUND';
         });
 
-        if (result.advertiserName !== 'NOT_FOUND') {
-            console.log(`  ✓ Advertiser (DOM): ${result.advertiserName}`);
+        if (advertiserName !== 'NOT_FOUND') {
+            console.log(`  ✓ Advertiser (DOM): ${advertiserName}`);
         } else {
             // Fallback to visual scan from previous data (if needed, but DOM should be better)
             // ... existing visual scan fallback ...
@@ -528,6 +741,31 @@ async function extractFromVisibleContent(page) {
         }
     } catch (e) { console.log(`  ⚠️ Advertiser search failed: ${e.message}`); }
 
+    return advertiserName;
+}
+
+/**
+ * Extract app data using VISUAL PATTERNS across ALL frames
+ * (pass advertiserName when it is already known to skip the main-page lookup)
+ */
+async function extractFromVisibleContent(page, advertiserName = null) {
+    console.log(`  👁️ Scanning frontend content (main + iframes)...`);
+
+    const result = {
+        advertiserName: 'NOT_FOUND',
+        appName: 'NOT_FOUND',
+        storeLink: 'NOT_FOUND',
+        appSubtitle: 'NOT_FOUND',
+        sources: {}, // Strategy per field (provenance.js)
+        storeLinks: [] // Every store link seen, any platform (groupStoreLinks)
+    };
+
+    // Package extraction now happens in STEP 2 (same frame as app name)
+    const frames = page.frames();
+
+    // STEP 1: Get advertiser name from MAIN page
+    result.advertiserName = advertiserName || await extractAdvertiserName(page);
+
     // STEP 2: Scan frames for ad content (app name, subtitle, AND package from SAME frame)
     console.log(`  📦 Scanning ${frames.length} frames for app name/headline...`);
 
@@ -544,11 +782,14 @@ async function extractFromVisibleContent(page) {
                     text.includes('install') || text.includes('get');
             });
 
+            result.storeLinks.push(...storeLinks.map(link => cleanStoreLink(link.href)).filter(Boolean));
+
             if (storeLinks.length > 0 && result.storeLink === 'NOT_FOUND') {
                 const link = storeLinks[0];
                 const cleaned = cleanStoreLink(link.href);
                 if (cleaned) {
                     result.storeLink = cleaned;
+                    result.sources.storeLink = 'visible_link';
                     console.log(`  ✓ Store link (frame): ${cleaned.substring(0, 50)}...`);
                 }
 
@@ -569,12 +810,9 @@ async function extractFromVisibleContent(page) {
                         // Blacklist invalid app names
                         if (lower.includes('advertiser details') || lower.includes('about this ad')) continue;
 
-                        if (b.text.includes('|')) {
-                            result.appName = b.text;
-                            appNameBlock = b;
-                            console.log(`  ✓ App name (frame): ${b.text}`);
-                        } else if (b.fontSize >= 14 || b.isBold) {
+                        if (b.text.includes('|') || b.fontSize >= 14 || b.isBold) {
                             result.appName = b.text;
+                            result.sources.appName = 'visible_near_link';
                             appNameBlock = b;
                             console.log(`  ✓ App name (frame): ${b.text}`);
                         }
@@ -595,6 +833,7 @@ async function extractFromVisibleContent(page) {
                         if (lower === 'install' || lower === 'open' || lower === 'get' || lower === 'google play') continue;
                         if (b.text.length >= 5 && b.text.length <= 200) {
                             result.appSubtitle = b.text;
+                            result.sources.appSubtitle = 'visible_below_name';
                             console.log(`  ✓ Headline (below app name): ${b.text}`);
                             break;
                         }
@@ -608,6 +847,7 @@ async function extractFromVisibleContent(page) {
                     if (block.text.includes('|')) {
                         if (block.text.length >= 3 && block.text.length <= 150 && block.text !== result.advertiserName) {
                             result.appName = block.text;
+                            result.sources.appName = 'visible_pattern';
                             console.log(`  ✓ App name (pattern): ${block.text}`);
 
                             // Find headline below
@@ -623,6 +863,7 @@ async function extractFromVisibleContent(page) {
                                 if (lower === 'install' || lower === 'open' || lower === 'get') continue;
                                 if (b.text.length >= 5 && b.text.length <= 200) {
                                     result.appSubtitle = b.text;
+                                    result.sources.appSubtitle = 'visible_below_pattern';
                                     console.log(`  ✓ Headline (below pattern): ${b.text}`);
                                     break;
                                 }
@@ -637,61 +878,27 @@ async function extractFromVisibleContent(page) {
             if (result.appName !== 'NOT_FOUND' && result.storeLink === 'NOT_FOUND') {
                 console.log(`  🔍 Searching for package in SAME frame as app name...`);
                 try {
-                    const framePackage = await frame.evaluate(() => {
+                    const frameMatches = await frame.evaluate(() => {
                         const packageRegex = /\b(com\.[a-zA-Z][a-zA-Z0-9_]*\.[a-zA-Z0-9_.]+)\b/g;
                         const html = document.documentElement.innerHTML || '';
-                        const matches = html.match(packageRegex) || [];
-
-                        // Filter out Google/SDK packages
-                        const blacklist = ['com.google.', 'com.android.', 'com.facebook.', 'androidx.'];
-                        const valid = matches.filter(m =>
-                            m.length >= 10 &&
-                            m.split('.').length >= 3 &&
-                            !blacklist.some(b => m.startsWith(b)) &&
-                            !m.includes('sdk') && !m.includes('lib')
-                        );
-
-                        // Return unique packages from THIS frame only
-                        return [...new Set(valid)];
+                        return html.match(packageRegex) || [];
                     });
 
+                    // Filter out Google/SDK packages - unique packages from THIS frame only
+                    const framePackage = filterFramePackages(frameMatches);
+
                     if (framePackage.length > 0) {
                         console.log(`  📦 Found ${framePackage.length} packages in ad frame: ${framePackage.slice(0, 3).join(', ')}...`);
 
-                        // If only one package in this frame, use it!
-                        if (framePackage.length === 1) {
-                            result.storeLink = buildPlayStoreUrl(framePackage[0]);
-                            console.log(`  ✓ Package (only one in frame): ${framePackage[0]}`);
+                        // One valid package: use it; several: only one matching the app name or advertiser
+                        const pick = choosePackage(framePackage, { appName: result.appName, advertiserName: result.advertiserName });
+                        result.rejectedPackages = [...(result.rejectedPackages || []), ...pick.rejected];
+                        if (pick.packageName) {
+                            result.storeLink = buildPlayStoreUrl(pick.packageName);
+                            result.sources.storeLink = PACKAGE_PICK_SOURCES[pick.strategy];
+                            console.log(`  ✓ Package (${pick.strategy === 'only' ? 'only valid one in frame' : 'best match'}): ${pick.packageName} (similarity: ${pick.similarity})`);
                         } else {
-                            // Multiple packages, try to match with app name
-                            const appText = result.appName.toLowerCase().replace(/[^a-z0-9]/g, '');
-                            let bestPkg = null;
-                            let bestScore = 0;
-
-                            for (const pkg of framePackage) {
-                                const pkgText = pkg.toLowerCase().replace(/[^a-z]/g, '');
-                                let score = 0;
-
-                                // Check for word matches
-                                const appWords = result.appName.toLowerCase().split(/[^a-z]+/).filter(w => w.length >= 3);
-                                for (const word of appWords) {
-                                    if (pkgText.includes(word)) score += word.length * 2;
-                                }
-
-                                if (score > bestScore) {
-                                    bestScore = score;
-                                    bestPkg = pkg;
-                                }
-                            }
-
-                            if (bestPkg && bestScore > 0) {
-                                result.storeLink = buildPlayStoreUrl(bestPkg);
-                                console.log(`  ✓ Package (best match): ${bestPkg} (score: ${bestScore})`);
-                            } else {
-                                // Use first package as fallback
-                                result.storeLink = buildPlayStoreUrl(framePackage[0]);
-                                console.log(`  ✓ Package (first in frame): ${framePackage[0]}`);
-                            }
+                            console.log(`  ⚠️ No package matches the app name - rejected ${pick.rejected.map(c => c.packageName).join(', ')}`);
                         }
                     }
                 } catch (e) { console.log(`  ⚠️ Frame package search failed: ${e.message}`); }
@@ -709,13 +916,15 @@ async function extractFromVisibleContent(page) {
 // UNIFIED EXTRACTION - ONE VISIT PER URL
 // Both metadata + video ID extracted on same page
 // ============================================
-async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, existingStoreLink, attempt = 1) {
+async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, existingStoreLink, attempt = 1, options = {}) {
     let page;
     let result = {
         advertiserName: 'NOT_FOUND',
         appName: 'NOT_FOUND',
         storeLink: 'NOT_FOUND',
-        appSubtitle: 'NOT_FOUND'
+        appSubtitle: 'NOT_FOUND',
+        sources: {}, // Strategy per field (provenance.js)
+        storeLinks: [] // Every store link seen, any platform (groupStoreLinks)
     };
 
     // Create page with error handling for browser crashes
@@ -723,43 +932,9 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
         page = await browser.newPage();
     } catch (pageErr) {
         console.error(`  ❌ Failed to create page: ${pageErr.message}`);
-        return { advertiserName: 'ERROR', appName: 'ERROR', storeLink: 'ERROR', appSubtitle: 'ERROR' };
+        return { advertiserName: 'ERROR', appName: 'ERROR', storeLink: 'ERROR', appSubtitle: 'ERROR', errorReason: `Failed to create page: ${pageErr.message}` };
     }
 
-    // Clean name function - removes CSS garbage and normalizes
-    const cleanName = (name) => {
-        if (!name) return 'NOT_FOUND';
-        let cleaned = name.trim();
-
-        // Remove invisible unicode
-        cleaned = cleaned.replace(/[\u200B-\u200D\uFEFF\u2066-\u2069]/g, '');
-
-        // Remove CSS-like patterns
-        cleaned = cleaned.replace(/[a-zA-Z-]+\s*:\s*[^;]+;?/g, ' ');
-        cleaned = cleaned.replace(/\d+px/g, ' ');
-        cleaned = cleaned.replace(/\*+/g, ' ');
-        cleaned = cleaned.replace(/\.[a-zA-Z][\w-]*/g, ' ');
-
-        // Remove special markers
-        cleaned = cleaned.split('!@~!@~')[0];
-        if (cleaned.includes('|')) {
-            cleaned = cleaned.split('|')[0];
-        }
-
-        // Normalize whitespace
-        cleaned = cleaned.replace(/\s+/g, ' ').trim();
-
-        // Length check
-        if (cleaned.length < 2 || cleaned.length > 80) return 'NOT_FOUND';
-
-        // Reject if looks like CSS
-        if (/:\s*\d/.test(cleaned) || cleaned.includes('height') || cleaned.includes('width') || cleaned.includes('font')) {
-            return 'NOT_FOUND';
-        }
-
-        return cleaned || 'NOT_FOUND';
-    };
-
     // ENHANCED ANTI-DETECTION - More comprehensive fingerprint masking
     const userAgent = USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
     await page.setUserAgent(userAgent);
@@ -843,6 +1018,15 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
     page.on('request', (request) => {
         const requestUrl = request.url();
         const resourceType = request.resourceType();
+
+        // Offline fixture mode: answer from saved snapshots, never touch the network
+        if (fixtureResolver) {
+            const fixture = fixtureResolver(requestUrl);
+            if (fixture) request.respond(fixture);
+            else request.abort();
+            return;
+        }
+
         const blockedTypes = ['image', 'font', 'other'];
         const blockedPatterns = [
             'analytics', 'google-analytics', 'doubleclick',
@@ -903,7 +1087,8 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
             content.toLowerCase().includes('verify you are human')) {
             console.error('  ⚠️ BLOCKED');
             await page.close();
-            return { advertiserName: 'BLOCKED', appName: 'BLOCKED', storeLink: 'BLOCKED' };
+            const errorReason = response && response.status && response.status() === 429 ? 'HTTP 429' : 'Captcha / unusual traffic page';
+            return { advertiserName: 'BLOCKED', appName: 'BLOCKED', storeLink: 'BLOCKED', errorReason };
         }
 
         // Wait for dynamic elements to settle - CRITICAL for reliability
@@ -996,29 +1181,80 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
         }
 
         // =====================================================
-        // PHASE 1: VISUAL EXTRACTION (PRIMARY METHOD)
+        // VIDEO: YouTube video ID + duration (independent of metadata)
+        // =====================================================
+        if (needsVideoId) {
+            try {
+                const videoData = await extractVideoData(page);
+                if (videoData.isVideo) result.adType = 'video_ad';
+                result.videoId = videoData.videoId;
+                result.videoDuration = videoData.videoDuration;
+            } catch (videoErr) {
+                console.log(`  ⚠️ Video extraction failed: ${videoErr.message}`);
+            }
+        }
+
+        // =====================================================
+        // PHASE 0: CONFIG-DRIVEN EXTRACTION (PRIMARY METHOD)
+        // Detect the ad type and apply its selectors from ad_types_config.json;
+        // the heuristics below only run for fields it could not find
+        // =====================================================
+        if (needsMetadata) {
+            result.advertiserName = await extractAdvertiserName(page);
+            try {
+                const advertiserName = result.advertiserName !== 'NOT_FOUND' ? result.advertiserName : '';
+                const configResult = await extractWithAdTypeConfig(page, AD_TYPES, advertiserName);
+                if (result.adType !== 'video_ad' && configResult.adType !== 'NOT_FOUND') result.adType = configResult.adType;
+
+                const configSources = { appName: 'config_selector', storeLink: 'config_package', appSubtitle: 'config_selector' };
+                for (const [field, source] of Object.entries(configSources)) {
+                    if (configResult[field] === 'NOT_FOUND') continue;
+                    result[field] = field === 'appName' ? cleanName(configResult.appName) : configResult[field];
+                    result.sources[field] = source;
+                }
+                result.packageName = configResult.packageName;
+                result.rejectedPackages = configResult.rejectedPackages;
+
+                // Image ads: creative URL + orientation
+                if (configResult.adType === 'image_ad' && configResult.imageUrl) {
+                    result.imageUrl = configResult.imageUrl;
+                    result.imageOrientation = configResult.imageOrientation;
+                }
+
+                // If we have everything, we can return early
+                if (result.appName !== 'NOT_FOUND' && result.storeLink !== 'NOT_FOUND' && result.appSubtitle !== 'NOT_FOUND') {
+                    await page.close();
+                    return result;
+                }
+            } catch (configErr) {
+                console.log(`  ⚠️ Config extraction failed: ${configErr.message}, trying visual method...`);
+            }
+        }
+
+        // =====================================================
+        // PHASE 1: VISUAL EXTRACTION (FALLBACK)
         // Extract from what's VISIBLE on the frontend
+        // Fills in whatever the config-driven pass did not find
         // =====================================================
         let visualResult = null;
         if (needsMetadata) {
             try {
-                // Try visual extraction first (works without DOM inspection)
-                visualResult = await extractFromVisibleContent(page);
+                visualResult = await extractFromVisibleContent(page, result.advertiserName !== 'NOT_FOUND' ? result.advertiserName : null);
+                result.storeLinks.push(...visualResult.storeLinks);
 
                 // If visual extraction found good data, use it
                 if (visualResult.appName !== 'NOT_FOUND' || visualResult.storeLink !== 'NOT_FOUND') {
                     result.advertiserName = visualResult.advertiserName;
-                    result.appName = visualResult.appName;
-                    result.storeLink = visualResult.storeLink;
-                    result.appSubtitle = visualResult.appSubtitle;
+                    for (const field of ['appName', 'storeLink', 'appSubtitle']) {
+                        if (result[field] === 'NOT_FOUND' && visualResult[field] !== 'NOT_FOUND') {
+                            result[field] = visualResult[field];
+                            result.sources[field] = visualResult.sources[field];
+                        }
+                    }
 
                     console.log(`  ✅ Visual extraction successful!`);
-
-                    // If we have everything, we can return early
-                    if (result.appName !== 'NOT_FOUND' && result.storeLink !== 'NOT_FOUND' && result.advertiserName !== 'NOT_FOUND') {
-                        await page.close();
-                        return result;
-                    }
+                } else if (visualResult.advertiserName !== 'NOT_FOUND') {
+                    result.advertiserName = visualResult.advertiserName;
                 }
             } catch (visualErr) {
                 console.log(`  ⚠️ Visual extraction failed: ${visualErr.message}, trying DOM method...`);
@@ -1027,7 +1263,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
 
         // =====================================================
         // PHASE 2: DOM-BASED EXTRACTION (FALLBACK)
-        // Only used if visual extraction didn't find everything
+        // Only used if config and visual extraction didn't find everything
         // =====================================================
         let mainPageInfo = null;
         if (needsMetadata && (result.appName === 'NOT_FOUND' || result.storeLink === 'NOT_FOUND')) {
@@ -1071,13 +1307,14 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
             });
 
             const blacklistName = mainPageInfo.blacklist;
-            result.advertiserName = mainPageInfo.advertiserName;
+            if (result.advertiserName === 'NOT_FOUND') result.advertiserName = mainPageInfo.advertiserName;
+            if (mainPageInfo.isVideo && (!result.adType || result.adType === 'NOT_FOUND')) result.adType = 'video_ad';
 
             const frames = page.frames();
             for (const frame of frames) {
                 try {
-                    const frameData = await frame.evaluate((blacklist) => {
-                        const data = { appName: null, storeLink: null, appSubtitle: null, isVideo: false };
+                    const frameData = await evaluateWithHelpers(frame, (blacklist, selectors) => {
+                        const data = { appName: null, storeLink: null, appSubtitle: null, isVideo: false, sources: {}, storeLinks: [] };
                         const root = document.querySelector('#portrait-landscape-phone') || document.body;
 
                         // Check if this frame content is visible (has dimensions)
@@ -1086,14 +1323,18 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                             return { ...data, isHidden: true };
                         }
 
+                        // Every Play Store / App Store link in the frame (both platforms are recorded)
+                        data.storeLinks = [...root.querySelectorAll('a[href]')].map(a => extractStoreLink(a.href)).filter(Boolean);
+
                         // =====================================================
                         // ULTRA-PRECISE STORE LINK EXTRACTOR
                         // Only accepts REAL Play Store / App Store links
                         // OR constructs from package name found in DOM
                         // =====================================================
 
-                        // Function to find package name in ANY text/attribute in the DOM
-                        const findPackageName = () => {
+                        // Function to find package name candidates in ANY text/attribute in the DOM
+                        // (validated node-side by choosePackage)
+                        const findPackageCandidates = () => {
                             // Package name pattern: com.something.something (at least 2 dots, valid chars)
                             const packageRegex = /\b(com\.[a-zA-Z][a-zA-Z0-9_]*\.[a-zA-Z0-9_.]+)\b/g;
                             const altPackageRegex = /\b([a-zA-Z][a-zA-Z0-9_]*\.[a-zA-Z][a-zA-Z0-9_]*\.[a-zA-Z0-9_.]+)\b/g;
@@ -1143,98 +1384,21 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                             const htmlMatches = html.match(packageRegex);
                             if (htmlMatches) htmlMatches.forEach(m => foundPackages.add(m));
 
-                            // Filter out false positives (CSS classes, common patterns)
-                            const blacklistPatterns = ['com.google.android', 'com.android.', 'schema.org', 'w3.org'];
+                            // Filter out false positives by size; known SDKs (sdk_prefixes.json) are
+                            // rejected node-side by choosePackage
                             const validPackages = [...foundPackages].filter(pkg => {
                                 if (pkg.length < 5 || pkg.length > 100) return false;
-                                if (blacklistPatterns.some(bp => pkg.startsWith(bp))) return false;
                                 if (pkg.split('.').length < 2) return false;
                                 return true;
                             });
 
-                            // Return first valid package (prioritize com.* packages)
+                            // com.* packages first
                             const comPackages = validPackages.filter(p => p.startsWith('com.'));
-                            return comPackages[0] || validPackages[0] || null;
-                        };
-
-                        // Build Play Store URL from package name
-                        const buildPlayStoreUrl = (packageName) => {
-                            if (!packageName) return null;
-                            return `https://play.google.com/store/apps/details?id=${packageName}`;
+                            return [...comPackages, ...validPackages.filter(p => !p.startsWith('com.'))];
                         };
-                        // =====================================================
-                        const extractStoreLink = (href) => {
-                            if (!href || typeof href !== 'string') return null;
-                            if (href.includes('javascript:') || href === '#') return null;
-
-                            const isValidStoreLink = (url) => {
-                                if (!url) return false;
-                                const isPlayStore = url.includes('play.google.com/store/apps') && url.includes('id=');
-                                const isAppStore = (url.includes('apps.apple.com') || url.includes('itunes.apple.com')) && url.includes('/app/');
-                                return isPlayStore || isAppStore;
-                            };
-
-                            if (isValidStoreLink(href)) return href;
-
-                            if (href.includes('googleadservices.com') || href.includes('/pagead/aclk')) {
-                                try {
-                                    const patterns = [
-                                        /[?&]adurl=([^&\s]+)/i,
-                                        /[?&]dest=([^&\s]+)/i,
-                                        /[?&]url=([^&\s]+)/i
-                                    ];
-                                    for (const pattern of patterns) {
-                                        const match = href.match(pattern);
-                                        if (match && match[1]) {
-                                            const decoded = decodeURIComponent(match[1]);
-                                            if (isValidStoreLink(decoded)) return decoded;
-                                        }
-                                    }
-                                } catch (e) { }
-                            }
 
-                            try {
-                                const playMatch = href.match(/(https?:\/\/play\.google\.com\/store\/apps\/details\?id=[a-zA-Z0-9._]+)/);
-                                if (playMatch && playMatch[1]) return playMatch[1];
-                                const appMatch = href.match(/(https?:\/\/(apps|itunes)\.apple\.com\/[^\s&"']+\/app\/[^\s&"']+)/);
-                                if (appMatch && appMatch[1]) return appMatch[1];
-
-                                // Try to extract package name from href and build URL
-                                const pkgMatch = href.match(/[?&]id=([a-zA-Z][a-zA-Z0-9_.]+)/);
-                                if (pkgMatch && pkgMatch[1] && pkgMatch[1].includes('.')) {
-                                    return buildPlayStoreUrl(pkgMatch[1]);
-                                }
-                            } catch (e) { }
-
-                            return null;
-                        };
-
-                        // =====================================================
-                        // CLEAN APP NAME - Unicode/Multi-language safe
-                        // =====================================================
-                        const cleanAppName = (text) => {
-                            if (!text || typeof text !== 'string') return null;
-                            let clean = text.trim();
-                            // Remove invisible Unicode characters only
-                            clean = clean.replace(/[\u200B-\u200D\uFEFF\u2066-\u2069\u00AD]/g, '');
-                            // Remove CSS-like patterns (only ASCII)
-                            clean = clean.replace(/\.[a-zA-Z][\w-]*/g, ' ');
-                            clean = clean.replace(/[a-zA-Z-]+\s*:\s*[^;]+;/g, ' ');
-                            // Remove markers
-                            clean = clean.split('!@~!@~')[0];
-                            if (clean.includes('|')) {
-                                const parts = clean.split('|').map(p => p.trim()).filter(p => p.length > 2);
-                                if (parts.length > 0) clean = parts[0];
-                            }
-                            clean = clean.replace(/\s+/g, ' ').trim();
-                            if (clean.length < 1 || clean.length > 100) return null;
-                            // Only reject if it's ONLY ASCII digits/punctuation (keep ALL Unicode letters)
-                            if (/^[\d\s.,!?@#$%^&*()\-_=+\[\]{}|\\;:'"<>\/`~]+$/.test(clean)) return null;
-                            // Reject common non-app-name text
-                            const lower = clean.toLowerCase();
-                            if (lower === 'install' || lower === 'open' || lower === 'get' || lower === 'download') return null;
-                            return clean;
-                        };
+                        // buildPlayStoreUrl, extractStoreLink and cleanAppName come from
+                        // extraction_helpers.js (injected by evaluateWithHelpers)
 
                         // =====================================================
                         // EXTRACTION - Find app name using KDwhZb class (primary)
@@ -1242,45 +1406,8 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                         // =====================================================
 
                         // PRIMARY: Use the KDwhZb div class to find app name (contains span with name)
-
-                        const appNameDivSelectors = [
-                            // PRIMARY: Google Ads Transparency Centre specific selectors
-                            'div.KDwhZb-Gxk8ed-r4nke',
-                            'div[class*="KDwhZb-Gxk8ed-r4nke"]',
-                            'div[class*="KDwhZb"][class*="Gxk8ed"]',
-                            'div.cS4Vcb-kb9wTc',
-                            'div[class*="cS4Vcb-kb9wTc"]',
-                            'div[class*="cS4Vcb-pGL6qe-c0XB9d"]',
-
-                            // ENHANCED: Main text ad container (often contains app name in text ads)
-                            'div[class*="main-text"]',
-                            'div[class*="ad-text"]',
-                            'div[class*="creative-text"]',
-
-                            // Data attribute selectors (high priority)
-                            '[data-asoch-targets*="AppName"]',
-                            '[data-asoch-targets*="appName"]',
-                            '[data-asoch-targets*="app_name"]',
-                            '[data-asoch-targets*="ochAppName"]',
-                            '[data-asoch-targets*="rrappname"]',
-
-                            // Class-based selectors
-                            '.app-name',
-                            '[class*="app-name"]',
-                            '[class*="appName"]',
-                            '[class*="short-app-name"]',
-                            '[class*="title"][class*="app"]',
-
-                            // Semantic HTML selectors
-                            'div[role="heading"]',
-                            'span[role="heading"]',
-                            'h1[class*="app"]',
-                            'h2[class*="app"]',
-
-                            // Iframe-specific selectors for embedded ads
-                            'div[id*="portrait-landscape-phone"] div[class*="KDwhZb"]',
-                            'div[id*="portrait-landscape-phone"] span[class*="app"]'
-                        ];
+                        // Selector lists come from ad_types_config.json (text_ad.extraction.*.fallback)
+                        const appNameDivSelectors = selectors.appNameContainers;
 
                         // First try to get app name from the KDwhZb div (span inside)
                         for (const selector of appNameDivSelectors) {
@@ -1292,6 +1419,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                                 const appName = cleanAppName(rawName);
                                 if (appName && appName.toLowerCase() !== blacklist && appName.length > 2) {
                                     data.appName = appName;
+                                    data.sources.appName = 'dom_container';
                                     break;
                                 }
                             }
@@ -1299,13 +1427,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                         }
 
                         // SECONDARY: Link-based selectors (for store link + fallback app name)
-                        const appLinkSelectors = [
-                            'a[data-asoch-targets*="ochAppName"]',
-                            'a[data-asoch-targets*="appname" i]',
-                            'a[data-asoch-targets*="rrappname" i]',
-                            'a[class*="short-app-name"]',
-                            '.short-app-name a'
-                        ];
+                        const appLinkSelectors = selectors.appNameLinks;
 
                         for (const selector of appLinkSelectors) {
                             const elements = root.querySelectorAll(selector);
@@ -1318,33 +1440,31 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                                     const appName = cleanAppName(rawName);
                                     if (appName && appName.toLowerCase() !== blacklist) {
                                         data.appName = appName;
+                                        data.sources.appName = 'dom_link_text';
                                     }
                                 }
 
                                 // If we have both name and link, return immediately
                                 if (data.appName && storeLink) {
-                                    return { appName: data.appName, storeLink, appSubtitle: data.appSubtitle, isVideo: true, isHidden: false };
+                                    const sources = { ...data.sources, storeLink: 'dom_link' };
+                                    return { appName: data.appName, storeLink, appSubtitle: data.appSubtitle, isVideo: true, isHidden: false, sources, storeLinks: data.storeLinks };
                                 } else if (storeLink && !data.storeLink) {
                                     data.storeLink = storeLink;
+                                    data.sources.storeLink = 'dom_link';
                                 }
                             }
                         }
 
                         // Backup: Install button for link
                         if (!data.storeLink) {
-                            const installSels = [
-                                'a[data-asoch-targets*="ochButton"]',
-                                'a[data-asoch-targets*="Install" i]',
-                                'a[aria-label*="Install" i]',
-                                'a[href*="play.google.com"]',
-                                'a[href*="apps.apple.com"]'
-                            ];
+                            const installSels = selectors.install;
                             for (const sel of installSels) {
                                 const el = root.querySelector(sel);
                                 if (el && el.href) {
                                     const storeLink = extractStoreLink(el.href);
                                     if (storeLink) {
                                         data.storeLink = storeLink;
+                                        data.sources.storeLink = 'dom_install_button';
                                         data.isVideo = true;
                                         break;
                                     }
@@ -1353,30 +1473,16 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                         }
 
                         // =====================================================
-                        // ULTIMATE FALLBACK: Search ENTIRE DOM for package name
+                        // ULTIMATE FALLBACK: Search ENTIRE DOM for package names
                         // If no store link found, search every tag/attribute
                         // =====================================================
                         if (!data.storeLink) {
-                            const packageName = findPackageName();
-                            if (packageName) {
-                                data.storeLink = buildPlayStoreUrl(packageName);
-                                console.log('Found package via DOM search:', packageName);
-                            }
+                            data.packageCandidates = findPackageCandidates();
                         }
 
                         // Fallback for app name only (if primary selectors didn't find it)
                         if (!data.appName) {
-                            const textSels = [
-                                'div[class*="KDwhZb"] span',
-                                '[role="heading"]',
-                                'div[class*="app-name"]',
-                                '.app-title',
-                                // More fallback selectors
-                                '[class*="title"]',
-                                'h1', 'h2', 'h3',
-                                'strong',
-                                '[class*="name"]'
-                            ];
+                            const textSels = selectors.appNameText;
                             for (const sel of textSels) {
                                 const elements = root.querySelectorAll(sel);
                                 for (const el of elements) {
@@ -1388,6 +1494,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                                         !appName.toLowerCase().includes('google ads') &&
                                         appName.length > 1) {
                                         data.appName = appName;
+                                        data.sources.appName = 'dom_text';
                                         break;
                                     }
                                 }
@@ -1402,43 +1509,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                         // EXTRACT APP SUBTITLE/HEADLINE using cS4Vcb-vnv8ic class
                         // =====================================================
                         if (!data.appSubtitle) {
-                            const subtitleSelectors = [
-                                // PRIMARY: Google Ads Transparency Centre subtitle/headline classes
-                                '.cS4Vcb-vnv8ic',
-                                '[class*="cS4Vcb-vnv8ic"]',
-                                'div.cS4Vcb-vnv8ic',
-                                '[class*="vnv8ic"]',
-
-                                // Data attribute selectors (high priority)
-                                '[data-asoch-targets*="Headline"]',
-                                '[data-asoch-targets*="headline"]',
-                                '[data-asoch-targets*="Description"]',
-                                '[data-asoch-targets*="description"]',
-                                '[data-asoch-targets*="ochHeadline"]',
-                                '[data-asoch-targets*="rrheadline"]',
-
-                                // Class-based selectors
-                                '.description',
-                                'div[class*="description"]',
-                                '[class*="subtitle"]',
-                                '[class*="tagline"]',
-                                '[class*="headline"]',
-                                '[class*="ad-headline"]',
-                                '[class*="ad-description"]',
-
-                                // Text content selectors
-                                'p[class*="ad"]',
-                                'span[class*="text"]',
-                                'div[class*="text-content"]',
-
-                                // Fallback to generic text elements
-                                'p',
-                                'span[class*="text"]',
-
-                                // Iframe-specific selectors
-                                'div[id*="portrait-landscape-phone"] div[class*="vnv8ic"]',
-                                'div[id*="portrait-landscape-phone"] p'
-                            ];
+                            const subtitleSelectors = selectors.headline;
                             for (const sel of subtitleSelectors) {
                                 const els = root.querySelectorAll(sel);
                                 for (const el of els) {
@@ -1452,6 +1523,7 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                                         const blacklistSub = ['install', 'open', 'download', 'play', 'get', 'ad details', 'google play', 'app store'];
                                         if (!blacklistSub.some(b => lower === b || lower === b + ' now')) {
                                             data.appSubtitle = text;
+                                            data.sources.appSubtitle = 'dom_headline';
                                             break;
                                         }
                                     }
@@ -1467,25 +1539,46 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                             if (potentialName.length > 50) potentialName = potentialName.substring(0, 50).trim();
                             if (potentialName.length > 2) {
                                 data.appName = potentialName;
+                                data.sources.appName = 'dom_subtitle_prefix';
                             }
                         }
 
                         data.isHidden = false;
                         return data;
-                    }, blacklistName);
+                    }, blacklistName, DOM_FALLBACK_SELECTORS);
 
                     // Skip hidden frames
                     if (frameData.isHidden) continue;
+                    result.storeLinks.push(...frameData.storeLinks);
+
+                    // Packages found anywhere in the frame DOM: only take one that passes validation
+                    if (!frameData.storeLink && frameData.packageCandidates?.length > 0) {
+                        const pick = choosePackage(frameData.packageCandidates, {
+                            appName: frameData.appName || (result.appName !== 'NOT_FOUND' ? result.appName : ''),
+                            advertiserName: result.advertiserName
+                        });
+                        result.rejectedPackages = [...(result.rejectedPackages || []), ...pick.rejected];
+                        if (pick.packageName) {
+                            frameData.storeLink = buildPlayStoreUrl(pick.packageName);
+                            frameData.sources.storeLink = 'dom_package_search';
+                            console.log(`  ✓ Package (DOM search): ${pick.packageName} (similarity: ${pick.similarity})`);
+                        }
+                    }
 
                     // Capture subtitle if found
                     if (frameData.appSubtitle && result.appSubtitle === 'NOT_FOUND') {
                         result.appSubtitle = frameData.appSubtitle;
+                        result.sources.appSubtitle = frameData.sources.appSubtitle;
                     }
 
                     // If we found BOTH app name AND store link, use this immediately (high confidence)
                     if (frameData.appName && frameData.storeLink && result.appName === 'NOT_FOUND') {
                         result.appName = cleanName(frameData.appName);
-                        result.storeLink = frameData.storeLink;
+                        result.sources.appName = frameData.sources.appName;
+                        if (result.storeLink === 'NOT_FOUND') {
+                            result.storeLink = frameData.storeLink;
+                            result.sources.storeLink = frameData.sources.storeLink;
+                        }
                         console.log(`  ✓ Found: ${result.appName} -> ${result.storeLink.substring(0, 60)}...`);
                         if (result.appSubtitle !== 'NOT_FOUND') {
                             console.log(`  ✓ Subtitle: ${result.appSubtitle}`);
@@ -1496,82 +1589,138 @@ async function extractAllInOneVisit(url, browser, needsMetadata, needsVideoId, e
                     // If we only found name (no link), store it but keep looking
                     if (frameData.appName && !frameData.storeLink && result.appName === 'NOT_FOUND') {
                         result.appName = cleanName(frameData.appName);
+                        result.sources.appName = frameData.sources.appName;
                         // DON'T break - continue looking for a frame with BOTH name+link
                     }
                 } catch (e) { }
             }
+        }
 
-            // Final fallback from Meta/Title
-            if (result.appName === 'NOT_FOUND' || result.appName === 'Ad Details') {
-                try {
-                    const title = await page.title();
-                    if (title && !title.toLowerCase().includes('google ads')) {
-                        result.appName = title.split(' - ')[0].split('|')[0].trim();
-                    }
-                } catch (e) { }
-            }
+        // Final fallback from Meta/Title
+        if (needsMetadata && (result.appName === 'NOT_FOUND' || result.appName === 'Ad Details')) {
+            try {
+                const title = await page.title();
+                if (title && !title.toLowerCase().includes('google ads')) {
+                    result.appName = title.split(' - ')[0].split('|')[0].trim();
+                    result.sources.appName = 'page_title';
+                }
+            } catch (e) { }
+        }
+
+        // Keep evidence of what the page looked like when nothing was found
+        if (options.captureSnapshot && result.appName === 'NOT_FOUND' && result.storeLink === 'NOT_FOUND') {
+            result.snapshot = await capturePageSnapshot(page);
         }
 
         await page.close();
         return result;
     } catch (err) {
         console.error(`  ❌ Error: ${err.message}`);
+        let snapshot = null;
+        if (options.captureSnapshot) {
+            try { snapshot = await capturePageSnapshot(page); } catch (e) { /* Page unusable */ }
+        }
         await page.close();
-        return { advertiserName: 'ERROR', appName: 'ERROR', storeLink: 'ERROR', appSubtitle: 'ERROR' };
+        return { advertiserName: 'ERROR', appName: 'ERROR', storeLink: 'ERROR', appSubtitle: 'ERROR', errorReason: err.message, snapshot };
     }
 }
 
 async function extractWithRetry(item, browser) {
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        if (attempt > 1) console.log(`  🔄 Retry ${attempt}/${MAX_RETRIES}...`);
-
-        const data = await extractAllInOneVisit(
-            item.url,
-            browser,
-            item.needsMetadata,
-            item.needsVideoId,
-            item.existingStoreLink,
-            attempt
-        );
+    const logCapture = SNAPSHOT_ON_FAILURE ? startLogCapture() : null;
+    let data = null;
 
-        if (data.storeLink === 'BLOCKED' || data.appName === 'BLOCKED') return data;
+    try {
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            if (attempt > 1) console.log(`  🔄 Retry ${attempt}/${MAX_RETRIES}...`);
+
+            data = await extractAllInOneVisit(
+                item.url,
+                browser,
+                item.needsMetadata,
+                item.needsVideoId,
+                item.existingStoreLink,
+                attempt,
+                { captureSnapshot: SNAPSHOT_ON_FAILURE && attempt === MAX_RETRIES }
+            );
 
-        // Success criteria: found at least app name or store link
-        const success = data.appName !== 'NOT_FOUND' || data.storeLink !== 'NOT_FOUND';
+            if (data.storeLink === 'BLOCKED' || data.appName === 'BLOCKED') return data;
 
-        if (success) {
-            return data;
-        } else {
-            console.log(`  ⚠️ Attempt ${attempt} - no data found. Retrying...`);
+            // Success criteria: found at least app name or store link (ERROR is retried too)
+            const isError = data.appName === 'ERROR' || data.storeLink === 'ERROR';
+            const success = !isError && (data.appName !== 'NOT_FOUND' || data.storeLink !== 'NOT_FOUND');
+
+            if (success) {
+                return data;
+            } else {
+                console.log(`  ⚠️ Attempt ${attempt} - ${isError ? 'error' : 'no data found'}. Retrying...`);
+            }
+
+            await randomDelay(2000, 4000);
         }
+    } finally {
+        if (logCapture) logCapture.stop();
+    }
 
-        await randomDelay(2000, 4000);
+    // If we're here, we exhausted retries. Save the evidence, then return whatever we have.
+    const reason = data && data.appName === 'ERROR' ? 'ERROR' : 'NOT_FOUND';
+    if (SNAPSHOT_ON_FAILURE) {
+        try {
+            const bundleDir = writeSnapshotBundle({
+                rowIndex: item.rowIndex,
+                url: item.url,
+                reason,
+                snapshot: data?.snapshot || null,
+                log: logCapture.lines
+            });
+            console.log(`  📸 Snapshot saved: ${bundleDir}`);
+        } catch (e) {
+            console.log(`  ⚠️ Snapshot write failed: ${e.message}`);
+        }
+    }
+
+    if (reason === 'ERROR') {
+        return { advertiserName: 'ERROR', storeLink: 'ERROR', appName: 'ERROR', appSubtitle: 'ERROR', errorReason: data.errorReason };
     }
-    // If we're here, we exhausted retries. Return whatever we have.
-    return { advertiserName: 'NOT_FOUND', storeLink: 'NOT_FOUND', appName: 'NOT_FOUND', appSubtitle: 'NOT_FOUND' };
+    return { advertiserName: 'NOT_FOUND', storeLink: 'NOT_FOUND', appName: 'NOT_FOUND', appSubtitle: 'NOT_FOUND', errorReason: `No app link or name after ${MAX_RETRIES} attempts` };
 }
 
 // ============================================
 // MAIN EXECUTION
 // ============================================
-(async () => {
-    console.log(`🤖 Starting App Name Extraction Agent (BOTTOM TO TOP)...\n`);
+async function main() {
+    console.log(`🤖 Starting App Name Extraction Agent (${SCAN_DIRECTION.toUpperCase()}${SCAN_DIRECTION === 'middle-out' ? `, ${SCAN_HALF} half` : ''})...\n`);
     console.log(`📋 Sheet: ${SHEET_NAME}`);
+    console.log(`🪪 Worker: ${WORKER_ID}`);
     console.log(`⚡ Columns: A=Advertiser, B=URL, C=App Link, D=App Name, E=Headline\n`);
 
     const sessionStartTime = Date.now();
     const MAX_RUNTIME = 330 * 60 * 1000;
 
-    const sheets = await getGoogleSheetsClient();
-    const toProcess = await getUrlData(sheets);
+    const storage = await createStorage();
+    await ensureExtraHeaders(storage);
+
+    // Resume the rows a previous run left in the job queue; scan the sheet only when it is drained
+    const queue = await openJobQueue({ spreadsheetId: SPREADSHEET_ID, tab: SHEET_NAME, scan: SCAN_KEY });
+    const recovered = queue.recoverInFlight();
+    if (recovered > 0) console.log(`♻️ ${recovered} in-flight rows from an interrupted run returned to the queue`);
+
+    let toProcess = queue.pendingJobs();
+    if (toProcess.length > 0) {
+        console.log(`📥 Resuming ${toProcess.length} pending rows from the job queue (${JOB_QUEUE_PATH}, ${SCAN_KEY})`);
+    } else {
+        toProcess = await getUrlData(storage);
+        queue.enqueue(toProcess);
+    }
 
     if (toProcess.length === 0) {
         console.log('✨ All rows complete. Nothing to process.');
+        queue.close();
+        await storage.close();
         process.exit(0);
     }
 
     const needsMeta = toProcess.filter(x => x.needsMetadata).length;
-    console.log(`📊 Found ${toProcess.length} rows to process (from bottom to top)\n`);
+    console.log(`📊 Found ${toProcess.length} rows to process (${SCAN_DIRECTION})\n`);
 
     console.log(PROXIES.length ? `🔁 Proxy rotation enabled (${PROXIES.length} proxies)` : '🔁 Running direct');
 
@@ -1582,6 +1731,9 @@ async function extractWithRetry(item, browser) {
     while (currentIndex < toProcess.length) {
         if (Date.now() - sessionStartTime > MAX_RUNTIME) {
             console.log('\n⏰ Time limit reached. Stopping.');
+            console.log(`📋 Job queue: ${JSON.stringify(queue.stats())} - next run resumes from here`);
+            queue.close();
+            await storage.close();
             process.exit(0);
         }
 
@@ -1652,7 +1804,7 @@ async function extractWithRetry(item, browser) {
 
         while (sessionProcessed < currentSessionSize && !blocked) {
             const batchSize = Math.min(CONCURRENT_PAGES, currentSessionSize - sessionProcessed);
-            const batch = toProcess.slice(currentIndex, currentIndex + batchSize);
+            const candidates = toProcess.slice(currentIndex, currentIndex + batchSize);
 
             console.log(`📦 Batch ${currentIndex + 1}-${currentIndex + batchSize} / ${toProcess.length}`);
 
@@ -1664,6 +1816,21 @@ async function extractWithRetry(item, browser) {
                     break;
                 }
 
+                // Claim the rows so other agents on this tab skip them (row_lease.js)
+                const claim = await claimRows(storage, SPREADSHEET_ID, SHEET_NAME, candidates);
+                const batch = claim.claimed;
+                queue.markInFlight(batch);
+                queue.release(claim.leasedElsewhere);
+                queue.skip(claim.alreadyProcessed, 'ALREADY_PROCESSED');
+                if (batch.length < candidates.length) {
+                    console.log(`  🔒 Skipping ${candidates.length - batch.length} row(s) held or finished by another worker`);
+                }
+                if (batch.length === 0) {
+                    currentIndex += batchSize;
+                    sessionProcessed += batchSize;
+                    continue;
+                }
+
                 // Process pages sequentially to avoid browser overload
                 const results = [];
                 for (let index = 0; index < batch.length; index++) {
@@ -1679,19 +1846,36 @@ async function extractWithRetry(item, browser) {
                         const data = await extractWithRetry(item, browser);
                         results.push({
                             rowIndex: item.rowIndex,
+                            adsUrl: item.url,
                             advertiserName: data.advertiserName,
                             storeLink: data.storeLink,
                             appName: data.appName,
-                            appSubtitle: data.appSubtitle
+                            appSubtitle: data.appSubtitle,
+                            adType: data.adType,
+                            imageUrl: data.imageUrl,
+                            imageOrientation: data.imageOrientation,
+                            packageName: data.packageName,
+                            videoId: data.videoId,
+                            videoDuration: data.videoDuration,
+                            errorReason: data.errorReason,
+                            sources: data.sources,
+                            rejectedPackages: data.rejectedPackages,
+                            storeLinks: data.storeLinks,
+                            retry: item.retry,
+                            lease: item.lease
                         });
                     } catch (itemErr) {
                         console.error(`  ❌ Item ${item.rowIndex + 1} error: ${itemErr.message}`);
                         results.push({
                             rowIndex: item.rowIndex,
+                            adsUrl: item.url,
                             advertiserName: 'ERROR',
                             storeLink: 'ERROR',
                             appName: 'ERROR',
-                            appSubtitle: 'ERROR'
+                            appSubtitle: 'ERROR',
+                            errorReason: itemErr.message,
+                            retry: item.retry,
+                            lease: item.lease
                         });
 
                         // If we get a protocol error, browser is dead
@@ -1706,7 +1890,7 @@ async function extractWithRetry(item, browser) {
                 if (blocked) {
                     // Still write whatever results we got before the crash
                     if (results.length > 0) {
-                        await batchWriteToSheet(sheets, results);
+                        queue.recordResults(results, await batchWriteToSheet(storage, results));
                         currentIndex += results.length;
                         sessionProcessed += results.length;
                     }
@@ -1741,7 +1925,7 @@ async function extractWithRetry(item, browser) {
                 // WRITE ALL RESULTS TO SHEET (including blocked/not_found)
                 // This ensures processed rows get marked and won't be reprocessed
                 if (results.length > 0) {
-                    await batchWriteToSheet(sheets, results);
+                    queue.recordResults(results, await batchWriteToSheet(storage, results));
                     console.log(`  ✅ Wrote ${results.length} results (${successfulResults.length} success, ${notFoundResults.length} not_found, ${blockedResults.length} blocked)`);
 
                     // Add cooldown after each write to prevent rate limits
@@ -1810,13 +1994,35 @@ async function extractWithRetry(item, browser) {
         }
     }
 
-    const remaining = await getUrlData(sheets);
-    if (remaining.length > 0) {
-        console.log(`📈 ${remaining.length} rows remaining for next scheduled run.`);
+    const queueStats = queue.stats();
+    if (queueStats.pending > 0) {
+        console.log(`📈 ${queueStats.pending} rows remaining for next scheduled run.`);
     }
+    console.log(`📋 Job queue: ${JSON.stringify(queueStats)}`);
 
     console.log('🔍 Proxy stats:', JSON.stringify(proxyStats));
     console.log(`📊 Total NOT_FOUND: ${totalNotFoundCount}`);
     console.log('\n🏁 Complete.');
+    queue.close();
+    await storage.close();
     process.exit(0);
-})();
\ No newline at end of file
+}
+
+// Run the agent when executed directly; fixture_runner.js requires it for offline replays
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    resolveScanPlan,
+    getUrlData,
+    ensureExtraHeaders,
+    batchWriteToSheet,
+    setFixtureResolver,
+    extractAllInOneVisit,
+    extractFromVisibleContent,
+    extractWithRetry
+};
\ No newline at end of file
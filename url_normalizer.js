@@ -0,0 +1,110 @@
+/**
+ * URL NORMALIZER
+ * ==============
+ * Canonical forms of the identifiers both scripts join and dedupe on, so the same
+ * app or creative written in a different shape is still recognised:
+ *
+ *   Play Store link     https://play.google.com/store/apps/details?id=<package>
+ *   App Store link      https://apps.apple.com/app/id<number>
+ *   Creative URL        https://adstransparency.google.com/advertiser/AR.../creative/CR...
+ *   Advertiser ID       AR... (upper case)
+ *
+ * Store links are unwrapped from googleadservices redirects and lose tracking
+ * params (&hl=, &gl=, trailing &). Creative URLs lose their query (?region=...)
+ * and fragment. Every function returns null for values it does not recognise.
+ *
+ * parseTransparencyUrl splits a Transparency Center URL into its parts
+ * (advertiser ID, creative ID, region and format filters), which the master tab
+ * keeps in their own columns (see sheet_columns.js).
+ *
+ * Used by text_ads_extraction.js (links it writes) and data_aggregator.js (dedupe keys).
+ */
+
+const { buildPlayStoreUrl, buildAppStoreUrl, parseAppStoreId } = require('./extraction_helpers');
+
+const PACKAGE_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z0-9_]+)+$/;
+const REDIRECT_PARAMS = ['adurl', 'dest', 'url'];
+
+function parseUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    let text = value.trim();
+    if (!/^https?:\/\//i.test(text) && /^[\w.-]+\.(com|google)\//i.test(text)) text = `https://${text}`;
+    try {
+        return new URL(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Store link a googleadservices / pagead redirect points at (or the URL itself)
+function unwrapRedirect(url) {
+    if (!url.hostname.endsWith('googleadservices.com') && !url.pathname.includes('/pagead/aclk')) return url;
+    for (const param of REDIRECT_PARAMS) {
+        const target = parseUrl(url.searchParams.get(param));
+        if (target) return target;
+    }
+    return url;
+}
+
+/**
+ * Canonical Play Store / App Store URL, or null if the value is not a store link
+ * Accepts bare App Store ids ("id553834731")
+ */
+function canonicalStoreUrl(value) {
+    if (typeof value === 'string' && /^id\d+$/.test(value.trim())) return buildAppStoreUrl(parseAppStoreId(value));
+
+    const parsed = parseUrl(value);
+    if (!parsed) return null;
+    const url = unwrapRedirect(parsed);
+    const host = url.hostname.toLowerCase();
+
+    if (host === 'play.google.com' && url.pathname.startsWith('/store/apps')) {
+        const packageName = url.searchParams.get('id');
+        return packageName && PACKAGE_PATTERN.test(packageName) ? buildPlayStoreUrl(packageName) : null;
+    }
+    if (host === 'apps.apple.com' || host === 'itunes.apple.com') {
+        return buildAppStoreUrl(parseAppStoreId(url.href));
+    }
+    return null;
+}
+
+// Canonical advertiser ID ("AR" + digits) from an ID or any URL containing one
+function canonicalAdvertiserId(value) {
+    const match = String(value || '').match(/(?:^|[^a-zA-Z0-9])(ar\d+)(?![0-9])/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Parts of a Transparency Center URL, or null if the value is not one
+ * Returns { advertiserId, creativeId, region, format } ('' for parts the URL lacks), e.g.
+ *   .../advertiser/AR123/creative/CR456?region=US&format=TEXT
+ *   -> { advertiserId: 'AR123', creativeId: 'CR456', region: 'US', format: 'TEXT' }
+ */
+function parseTransparencyUrl(value) {
+    const url = parseUrl(value);
+    if (!url || url.hostname.toLowerCase() !== 'adstransparency.google.com') return null;
+    const advertiser = url.pathname.match(/\/advertiser\/(ar\d+)(?:\/|$)/i);
+    if (!advertiser) return null;
+    const creative = url.pathname.match(/\/creative\/(cr\d+)(?:\/|$)/i);
+
+    return {
+        advertiserId: advertiser[1].toUpperCase(),
+        creativeId: creative ? creative[1].toUpperCase() : '',
+        region: (url.searchParams.get('region') || '').trim(),
+        format: (url.searchParams.get('format') || '').trim().toUpperCase()
+    };
+}
+
+// Canonical Transparency Center creative URL, or null if the value is not one
+function canonicalCreativeUrl(value) {
+    const parts = parseTransparencyUrl(value);
+    if (!parts || !parts.creativeId) return null;
+    return `https://adstransparency.google.com/advertiser/${parts.advertiserId}/creative/${parts.creativeId}`;
+}
+
+module.exports = {
+    canonicalStoreUrl,
+    canonicalAdvertiserId,
+    canonicalCreativeUrl,
+    parseTransparencyUrl
+};
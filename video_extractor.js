@@ -0,0 +1,126 @@
+/**
+ * VIDEO AD EXTRACTOR
+ * ==================
+ * Detects YouTube-backed video creatives and extracts the YouTube video ID
+ * and duration (in seconds) from the page and all of its frames.
+ *
+ * Video ID sources (first hit wins):
+ *   - frame URLs (youtube.com/embed/ID player iframes)
+ *   - iframe src / link href / thumbnail src attributes (ytimg.com/vi/ID/...)
+ *   - inline JSON in the frame HTML ("video_id":"ID", "videoId":"ID")
+ *
+ * Duration sources: <video>.duration, the player's .ytp-time-duration label,
+ * then "lengthSeconds" / "approxDurationMs" in inline player data.
+ */
+
+// Each pattern captures the 11-character YouTube video ID in group 1
+const VIDEO_ID_PATTERNS = [
+    /youtube(?:-nocookie)?\.com\/embed\/([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/,
+    /youtube\.com\/watch\?(?:[^"'\s]*&)?v=([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/,
+    /youtu\.be\/([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/,
+    /ytimg\.com\/vi(?:_webp)?\/([A-Za-z0-9_-]{11})\//,
+    /["']video_?id["']\s*:\s*["']([A-Za-z0-9_-]{11})["']/i
+];
+
+function findVideoId(text) {
+    if (!text || typeof text !== 'string') return null;
+    for (const pattern of VIDEO_ID_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+// Player duration label: "0:30", "1:02:03"
+const DURATION_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/;
+
+function parseDurationText(text) {
+    const match = (text || '').trim().match(DURATION_PATTERN);
+    if (!match) return null;
+    return (parseInt(match[1] || '0') * 3600) + (parseInt(match[2]) * 60) + parseInt(match[3]);
+}
+
+/**
+ * Scan every frame for a YouTube video ID and duration
+ * Returns { isVideo, videoId, videoDuration } (videoId/videoDuration null when unknown)
+ */
+async function extractVideoData(page) {
+    const result = { isVideo: false, videoId: null, videoDuration: null };
+    const patternSources = VIDEO_ID_PATTERNS.map(p => [p.source, p.flags]);
+
+    for (const frame of page.frames()) {
+        try {
+            // The player iframe itself often carries the ID in its URL
+            const fromUrl = findVideoId(frame.url());
+            if (fromUrl && !result.videoId) {
+                result.videoId = fromUrl;
+                result.isVideo = true;
+            }
+
+            const frameData = await frame.evaluate((patterns, parseSource) => {
+                const data = { videoId: null, seconds: null, hasVideo: false };
+                const regexes = patterns.map(([source, flags]) => new RegExp(source, flags));
+                const findId = (text) => {
+                    for (const regex of regexes) {
+                        const match = (text || '').match(regex);
+                        if (match) return match[1];
+                    }
+                    return null;
+                };
+
+                // Attributes first (cheap and precise), then the whole HTML
+                const attributeSources = [
+                    ...Array.from(document.querySelectorAll('iframe[src]')).map(el => el.src),
+                    ...Array.from(document.querySelectorAll('a[href]')).map(el => el.href),
+                    ...Array.from(document.querySelectorAll('img[src]')).map(el => el.getAttribute('src')),
+                    ...Array.from(document.querySelectorAll('[data-video-id]')).map(el => `"video_id":"${el.getAttribute('data-video-id')}"`)
+                ];
+                for (const source of attributeSources) {
+                    data.videoId = findId(source);
+                    if (data.videoId) break;
+                }
+                const html = document.documentElement.innerHTML || '';
+                if (!data.videoId) data.videoId = findId(html);
+
+                const video = document.querySelector('video');
+                data.hasVideo = !!video || document.body.innerText.includes('Format: Video');
+                if (video && isFinite(video.duration) && video.duration > 0) {
+                    data.seconds = Math.round(video.duration);
+                }
+
+                if (!data.seconds) {
+                    const label = document.querySelector('.ytp-time-duration');
+                    const match = label && (label.textContent || '').trim().match(new RegExp(parseSource));
+                    if (match) data.seconds = (parseInt(match[1] || '0') * 3600) + (parseInt(match[2]) * 60) + parseInt(match[3]);
+                }
+
+                if (!data.seconds) {
+                    const lengthMatch = html.match(/"lengthSeconds"\s*:\s*"?(\d+)/);
+                    const approxMatch = html.match(/"approxDurationMs"\s*:\s*"?(\d+)/);
+                    if (lengthMatch) data.seconds = parseInt(lengthMatch[1]);
+                    else if (approxMatch) data.seconds = Math.round(parseInt(approxMatch[1]) / 1000);
+                }
+
+                return data;
+            }, patternSources, DURATION_PATTERN.source);
+
+            if (frameData.videoId && !result.videoId) result.videoId = frameData.videoId;
+            if (frameData.seconds && !result.videoDuration) result.videoDuration = frameData.seconds;
+            if (frameData.hasVideo || frameData.videoId) result.isVideo = true;
+
+            if (result.videoId && result.videoDuration) break;
+        } catch (e) { /* frame not accessible */ }
+    }
+
+    if (result.videoId) {
+        console.log(`  🎬 Video ID: ${result.videoId}${result.videoDuration ? ` (${result.videoDuration}s)` : ''}`);
+    }
+    return result;
+}
+
+module.exports = {
+    VIDEO_ID_PATTERNS,
+    findVideoId,
+    parseDurationText,
+    extractVideoData
+};